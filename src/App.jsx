@@ -7,7 +7,9 @@ import {
   parseGanttTasks,
   parseGanttDirectives,
   resolveDependencies,
-  addWorkingDays,
+  computeWorkingEnd,
+  getAssigneeOffDays,
+  updateGanttCalendars,
   shiftIsoDate,
   shiftDateTime,
   isSubDayFormat,
@@ -21,6 +23,15 @@ import {
   updateGanttNotes,
   updateGanttLink,
   updateGanttProgress,
+  updateGanttAllocation,
+  updateGanttEstimate,
+  updateGanttTypedDeps,
+  updateGanttRecurrence,
+  updateGanttOccurrence,
+  findGanttOccurrence,
+  materializeGanttRecurrences,
+  getTaskDependencies,
+  formatTypedDeps,
   deleteGanttTask,
   findDependentTasks,
   findAllDependentTasks,
@@ -31,25 +42,46 @@ import {
   moveGanttTaskToSection,
   renameGanttSection,
   computeRiskFlags,
+  computeSectionRollups,
+  getBlockedByFlowIds,
+  resolveExternalTask,
   computeCriticalPath,
   detectCycles,
   detectConflicts,
   updateGanttDependency,
   autoAdjustGanttDates,
+  levelResources,
+  bulkEditGanttTasks,
+  moveGanttTaskToBoardColumn,
+  resolveGanttSchedule,
+  computeWorkloadHistogram,
 } from "./ganttUtils";
-import { parseFlowchart, findNodeById, generateNodeId, addFlowchartNode, removeFlowchartNode, updateFlowchartNode, addFlowchartEdge, removeFlowchartEdge, updateFlowchartEdge, parseClassDefs, parseClassAssignments, parseStyleDirectives, createSubgraph, removeSubgraph, renameSubgraph, moveNodeToSubgraph, normalizeFlowchartSubgraphEdges } from "./flowchartUtils";
+import { parseFlowchart, findNodeById, generateNodeId, addFlowchartNode, removeFlowchartNode, updateFlowchartNode, addFlowchartEdge, removeFlowchartEdge, updateFlowchartEdge, parseClassDefs, parseClassAssignments, parseStyleDirectives, createSubgraph, removeSubgraph, renameSubgraph, moveNodeToSubgraph, normalizeFlowchartSubgraphEdges, normalizeFlowLayout, isEmptyFlowLayout, parseLayoutComment, hasLayoutComment, writeLayoutComment, removeLayoutComment } from "./flowchartUtils";
+import { lintFlowchart, applyFlowchartLintFix } from "./flowchartLint";
 import { getDiagramAdapter, parseErDiagram, parseErAttribute, parseCardinality, sqlToErDiagram, erDiagramToSql, parseClassDiagram, parseStateDiagram, addStateDiagramState, addStateDiagramTransition, updateErEntity, updateErRelationship, parseSequenceDiagram, parseSequenceBlocks, parseSequenceExtras, updateSequenceMessageByIndex, removeSequenceMessageByIndex, reorderSequenceParticipants, addSequenceMessage } from "./diagramUtils";
 import { parseStateDiagramEnhanced, xstateToMermaid, mermaidToXState, generateStateId, toggleStateDiagramDirection } from "./stateUtils";
-import { downloadSvgHQ, downloadPngHQ, downloadPdf, captureHtmlToPng, downloadPngFromDataUrl, downloadPdfFromDataUrl, svgToPngBlob } from "./exportUtils";
+import { downloadSvgHQ, downloadPngHQ, downloadPdf, captureHtmlToPng, downloadPngFromDataUrl, downloadPdfFromDataUrl, svgToPngBlob, downloadTextFile } from "./exportUtils";
 import { uploadThumbnail } from "./firebase/storage";
 import { useAuth } from "./firebase/AuthContext";
-import { createFlow, getFlow, updateFlow, getUserSettings, saveFlowVersion, formatFirestoreError, setFlowBaseline, clearFlowBaseline, createTemplate, updateTemplate, getUserTemplates, getTemplate } from "./firebase/firestore";
+import { createFlow, getFlow, updateFlow, getUserSettings, saveFlowVersion, formatFirestoreError, clearFlowBaseline, addFlowBaseline, getFlowBaselines, deleteFlowBaseline, createTemplate, updateTemplate, getUserTemplates, getTemplate, addComment, COMMENT_MAX_LENGTH } from "./firebase/firestore";
 import { ganttToNotionPages, importFromNotion, syncGanttToNotion } from "./notionSync";
+import { msProjectXmlToGantt, ganttToMsProjectXml } from "./msProjectXml";
+import { ganttToCsv, csvToGantt, baselineVarianceToCsv } from "./ganttCsv";
+import { ganttToIcs } from "./ganttIcs";
 import ShareDialog from "./components/ShareDialog";
 import CommentPanel from "./components/CommentPanel";
 import VersionHistoryPanel from "./components/VersionHistoryPanel";
 import ResourceLoadPanel from "./components/ResourceLoadPanel";
+import BaselineReportPanel from "./components/BaselineReportPanel";
+import BaselineCompareDialog from "./components/BaselineCompareDialog";
+import WorkingCalendarDialog from "./components/WorkingCalendarDialog";
+import StatusReportDialog from "./components/StatusReportDialog";
+import GanttBulkBar from "./components/GanttBulkBar";
+import GanttBoard from "./components/GanttBoard";
+import MonteCarloPanel from "./components/MonteCarloPanel";
+import FlowchartLintPanel from "./components/FlowchartLintPanel";
 import PromptDialog from "./components/PromptDialog";
+import ConfirmDialog from "./components/ConfirmDialog";
 import SaveTemplateDialog from "./components/SaveTemplateDialog";
 import { getStoredTheme, getResolvedTheme, cycleTheme, THEME_LABELS, IconSun, IconMoon, IconMonitor } from "./themeUtils";
 
@@ -119,6 +151,11 @@ function normalizeAssigneeArray(value) {
   return names;
 }
 
+function normalizeSectionArray(value) {
+  if (!Array.isArray(value)) return [];
+  return [...new Set(value.filter((name) => typeof name === "string"))];
+}
+
 function hasDoneStatus(status) {
   return Array.isArray(status) && status.some((token) => String(token || "").toLowerCase() === "done");
 }
@@ -128,6 +165,8 @@ function coerceProgressForStatus(status, progress) {
   return progress;
 }
 
+const BOARD_GROUP_OPTIONS = ["status", "section", "assignee"];
+
 function normalizeGanttViewState(raw, fallback) {
   const state = raw && typeof raw === "object" ? raw : {};
   const nextScale = state.ganttScale === "month" ? "month" : state.ganttScale === "week" ? "week" : fallback.ganttScale;
@@ -138,9 +177,20 @@ function normalizeGanttViewState(raw, fallback) {
     pinCategories: typeof state.pinCategories === "boolean" ? state.pinCategories : fallback.pinCategories,
     showCriticalPath: typeof state.showCriticalPath === "boolean" ? state.showCriticalPath : fallback.showCriticalPath,
     showDepLines: typeof state.showDepLines === "boolean" ? state.showDepLines : fallback.showDepLines,
+    cascadeDrag: typeof state.cascadeDrag === "boolean" ? state.cascadeDrag : fallback.cascadeDrag,
+    collapsedSections: normalizeSectionArray(
+      state.collapsedSections != null ? state.collapsedSections : fallback.collapsedSections
+    ),
+    showWorkload: typeof state.showWorkload === "boolean" ? state.showWorkload : fallback.showWorkload,
+    workloadGranularity: state.workloadGranularity === "day" || state.workloadGranularity === "week"
+      ? state.workloadGranularity
+      : fallback.workloadGranularity,
+    boardView: typeof state.boardView === "boolean" ? state.boardView : fallback.boardView,
+    boardGroupBy: BOARD_GROUP_OPTIONS.includes(state.boardGroupBy) ? state.boardGroupBy : fallback.boardGroupBy,
     executiveView: typeof state.executiveView === "boolean" ? state.executiveView : fallback.executiveView,
     showRisks: typeof state.showRisks === "boolean" ? state.showRisks : fallback.showRisks,
     showBaseline: typeof state.showBaseline === "boolean" ? state.showBaseline : fallback.showBaseline,
+    activeBaselineId: typeof state.activeBaselineId === "string" ? state.activeBaselineId : fallback.activeBaselineId ?? null,
     selectedAssignees: normalizeAssigneeArray(
       state.selectedAssignees != null ? state.selectedAssignees : fallback.selectedAssignees
     ),
@@ -285,6 +335,74 @@ function computeLineDiff(oldStr, newStr) {
   return hunks;
 }
 
+// Renders computeLineDiff hunks, collapsing unchanged runs beyond `context` lines
+function DiffView({ hunks, context = 3 }) {
+  const visible = new Array(hunks.length).fill(false);
+  hunks.forEach((h, idx) => {
+    if (h.type !== "equal") {
+      for (let k = Math.max(0, idx - context); k <= Math.min(hunks.length - 1, idx + context); k++) {
+        visible[k] = true;
+      }
+    }
+  });
+  const rows = [];
+  let skipping = false;
+  hunks.forEach((h, idx) => {
+    if (!visible[idx]) {
+      if (!skipping) { skipping = true; rows.push(<div key={`skip-${idx}`} className="diff-skip">...</div>); }
+      return;
+    }
+    skipping = false;
+    rows.push(
+      <div key={idx} className={`diff-line diff-${h.type}`}>
+        <span className="diff-sign">{h.type === "add" ? "+" : h.type === "remove" ? "-" : " "}</span>
+        <span className="diff-text">{h.text || " "}</span>
+      </div>
+    );
+  });
+  if (!rows.length) return <p className="diff-no-changes">No changes</p>;
+  return <div className="diff-view">{rows}</div>;
+}
+
+// Tags each run of consecutive added/removed lines with a `change` index
+function groupDiffChanges(hunks) {
+  let change = -1;
+  let inChange = false;
+  return hunks.map((h) => {
+    if (h.type === "equal") {
+      inChange = false;
+      return h;
+    }
+    if (!inChange) {
+      change++;
+      inChange = true;
+    }
+    return { ...h, change };
+  });
+}
+
+// Rebuilds the new text keeping only accepted change blocks; rejected blocks keep the old lines
+function applyDiffChanges(groupedHunks, acceptedChanges) {
+  const lines = [];
+  for (const h of groupedHunks) {
+    if (h.type === "equal") lines.push(h.text);
+    else if (acceptedChanges.has(h.change) ? h.type === "add" : h.type === "remove") lines.push(h.text);
+  }
+  return lines.join("\n");
+}
+
+// Label-keyed start/end dates for drawing ghost bars (baselines, scenarios)
+function buildGhostTasks(sourceCode) {
+  return resolveGanttSchedule(sourceCode).tasks.map((t) => ({
+    label: t.label,
+    startDate: t.startDate,
+    computedEnd: t.computedEnd,
+    section: t.section || "",
+    isMilestone: t.isMilestone || false,
+    isVertMarker: t.isVertMarker || false,
+  }));
+}
+
 function isMobileViewport() {
   if (typeof window === "undefined") return false;
   return window.matchMedia("(max-width: 768px)").matches;
@@ -584,6 +702,75 @@ function getIframeSrcDoc() {
         color: #334155;
         border-color: #94a3b8;
       }
+      .mf-gantt-role-cell.collapsed {
+        padding-bottom: 10px;
+      }
+      .mf-gantt-section-toggle {
+        border: none;
+        background: transparent;
+        color: #64748b;
+        width: 16px;
+        height: 16px;
+        padding: 0;
+        display: inline-flex;
+        align-items: center;
+        justify-content: center;
+        cursor: pointer;
+        flex-shrink: 0;
+      }
+      .mf-gantt-section-toggle svg {
+        width: 12px;
+        height: 12px;
+        fill: none;
+        stroke: currentColor;
+        stroke-width: 2.5;
+        transition: transform 0.12s ease;
+      }
+      .mf-gantt-section-toggle.expanded svg { transform: rotate(90deg); }
+      .mf-gantt-section-toggle:hover { color: #1f2937; }
+      .mf-gantt-section-count {
+        font-weight: 500;
+        color: #94a3b8;
+      }
+      .mf-gantt-summary-bar {
+        position: absolute;
+        top: 14px;
+        height: 12px;
+        border-radius: 3px;
+        background: #cbd5e1;
+        z-index: 2;
+        cursor: default;
+      }
+      .mf-gantt-summary-bar::before,
+      .mf-gantt-summary-bar::after {
+        content: "";
+        position: absolute;
+        top: 100%;
+        border-top: 5px solid #475569;
+        border-left: 4px solid transparent;
+        border-right: 4px solid transparent;
+      }
+      .mf-gantt-summary-bar::before { left: 0; border-left: none; }
+      .mf-gantt-summary-bar::after { right: 0; border-right: none; }
+      .mf-gantt-summary-fill {
+        position: absolute;
+        left: 0; top: 0; bottom: 0;
+        border-radius: 3px;
+        background: #475569;
+        pointer-events: none;
+      }
+      .mf-gantt-summary-label {
+        position: absolute;
+        left: 100%;
+        top: 50%;
+        transform: translateY(-50%);
+        margin-left: 8px;
+        font-size: 11px;
+        font-weight: 700;
+        color: #475569;
+        white-space: nowrap;
+        pointer-events: none;
+      }
       .mf-gantt-track {
         border-bottom: 1px solid #e8ecf2;
         background: #ffffff;
@@ -954,6 +1141,14 @@ function getIframeSrcDoc() {
         z-index: 5;
         transition: left 0.08s ease;
       }
+      .mf-gantt-drag-origin {
+        position: absolute;
+        border: 1px dashed rgba(100,116,139,0.7);
+        border-radius: 6px;
+        background: rgba(148,163,184,0.12);
+        pointer-events: none;
+        z-index: 1;
+      }
       .mf-gantt-ripple-summary {
         position: fixed;
         background: rgba(15,23,42,0.92);
@@ -972,6 +1167,9 @@ function getIframeSrcDoc() {
       .mf-dep-line-upstream { stroke: #8b5cf6 !important; stroke-width: 2.5 !important; }
       .mf-dep-line-downstream { stroke: #f97316 !important; stroke-width: 2.5 !important; }
       .mf-dep-line-dimmed { opacity: 0.1 !important; }
+      .mf-gantt-dep-label { font-size: 10px; font-weight: 600; fill: #374151; paint-order: stroke; stroke: #ffffff; stroke-width: 3px; }
+      .mf-gantt-dep-label.mf-dep-line-upstream { fill: #8b5cf6; stroke: #ffffff !important; stroke-width: 3px !important; }
+      .mf-gantt-dep-label.mf-dep-line-downstream { fill: #f97316; stroke: #ffffff !important; stroke-width: 3px !important; }
       .mf-gantt-bar.mf-dep-dimmed,
       .mf-gantt-milestone.mf-dep-dimmed { opacity: 0.2; filter: grayscale(0.6); transition: opacity 0.15s, filter 0.15s; }
       .mf-gantt-bar.mf-dep-upstream-bar { outline: 2px solid #8b5cf6; outline-offset: 1px; }
@@ -979,6 +1177,17 @@ function getIframeSrcDoc() {
       .mf-gantt-milestone.mf-dep-upstream-bar { filter: drop-shadow(0 0 4px #8b5cf6); }
       .mf-gantt-milestone.mf-dep-downstream-bar { filter: drop-shadow(0 0 4px #f97316); }
 
+      /* ── Scenario ghost bars (color set inline) ── */
+      .mf-gantt-scenario-bar {
+        position: absolute;
+        border-radius: 8px;
+        opacity: 0.28;
+        border: 1.5px dashed;
+        pointer-events: none;
+        box-sizing: border-box;
+        z-index: 0;
+      }
+
       /* ── Baseline ghost bars ── */
       .mf-gantt-baseline-bar {
         position: absolute;
@@ -990,6 +1199,103 @@ function getIframeSrcDoc() {
         box-sizing: border-box;
         z-index: 0;
       }
+      .mf-gantt-external-role {
+        color: #64748b;
+        font-style: italic;
+      }
+      .mf-gantt-external-bar {
+        position: absolute;
+        border-radius: 8px;
+        border: 1.5px dashed #6366f1;
+        background: repeating-linear-gradient(135deg, #eef2ff, #eef2ff 6px, #e0e7ff 6px, #e0e7ff 12px);
+        box-sizing: border-box;
+        display: flex;
+        align-items: center;
+        padding: 0 8px;
+        min-width: 18px;
+        cursor: pointer;
+        z-index: 3;
+        overflow: visible;
+        white-space: nowrap;
+      }
+      .mf-gantt-external-bar .bar-label {
+        color: #4338ca;
+        font-size: 11.5px;
+        font-weight: 600;
+      }
+      .mf-gantt-external-bar:hover { box-shadow: 0 2px 8px rgba(0,0,0,0.15); }
+      .mf-gantt-external-bar.mf-external-done { border-color: #22c55e; background: #f0fdf4; }
+      .mf-gantt-external-bar.mf-external-done .bar-label { color: #15803d; }
+      .mf-gantt-external-bar.mf-external-missing { border-color: #94a3b8; background: #f8fafc; }
+      .mf-gantt-external-bar.mf-external-missing .bar-label { color: #64748b; }
+      .mf-gantt-workload-role {
+        flex-direction: column;
+        gap: 6px;
+        padding-bottom: 10px;
+        overflow: hidden;
+      }
+      .mf-gantt-workload-head {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        width: 100%;
+      }
+      .mf-gantt-workload-toggle {
+        display: inline-flex;
+        border: 1px solid #d9dee8;
+        border-radius: 6px;
+        overflow: hidden;
+      }
+      .mf-gantt-workload-toggle button {
+        border: 0;
+        background: transparent;
+        padding: 1px 7px;
+        font: 600 10px "Manrope", system-ui, sans-serif;
+        color: #64748b;
+        cursor: pointer;
+      }
+      .mf-gantt-workload-toggle button.active { background: #e0e7ff; color: #4338ca; }
+      .mf-gantt-workload-legend {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 3px 8px;
+        font-size: 10.5px;
+        font-weight: 500;
+        color: #475569;
+      }
+      .mf-gantt-workload-swatch {
+        display: inline-block;
+        width: 8px;
+        height: 8px;
+        border-radius: 2px;
+        margin-right: 4px;
+      }
+      .mf-gantt-workload-track { border-top: 2px solid #d9dee8; }
+      .mf-gantt-workload-col {
+        position: absolute;
+        bottom: 0;
+        display: flex;
+        flex-direction: column-reverse;
+        box-sizing: border-box;
+        padding: 0 1px;
+        cursor: pointer;
+        z-index: 3;
+      }
+      .mf-gantt-workload-col:hover { filter: brightness(0.92); }
+      .mf-gantt-workload-seg { width: 100%; flex-shrink: 0; }
+      .mf-gantt-workload-seg:first-child { border-radius: 0 0 1px 1px; }
+      .mf-gantt-workload-seg:last-child { border-radius: 2px 2px 0 0; }
+      .mf-gantt-workload-seg.mf-workload-over {
+        background-image: repeating-linear-gradient(135deg, rgba(220,38,38,0.55), rgba(220,38,38,0.55) 3px, transparent 3px, transparent 6px) !important;
+      }
+      .mf-gantt-workload-capacity {
+        position: absolute;
+        height: 0;
+        border-top: 1.5px dashed #dc2626;
+        pointer-events: none;
+        z-index: 4;
+      }
+      .mf-gantt-workload-col.mf-workload-spike + .mf-gantt-workload-capacity { border-top-style: solid; }
       .mf-gantt-delta-badge {
         position: absolute;
         font-size: 9px;
@@ -1074,6 +1380,22 @@ function getIframeSrcDoc() {
         filter: brightness(0.85);
         box-shadow: 0 0 0 3px rgba(37, 99, 235, 0.5);
       }
+      /* ── Working calendar days off (per row) ── */
+      .mf-gantt-offday {
+        position: absolute;
+        background: repeating-linear-gradient(
+          45deg,
+          rgba(245, 158, 11, 0.16),
+          rgba(245, 158, 11, 0.16) 3px,
+          transparent 3px,
+          transparent 7px
+        );
+        pointer-events: none;
+        z-index: 0;
+      }
+      .mf-gantt-offday-half {
+        opacity: 0.5;
+      }
       /* ── Excluded day shading ── */
       .mf-gantt-excluded-day {
         position: absolute;
@@ -1174,6 +1496,12 @@ function getIframeSrcDoc() {
         pointer-events: none;
         z-index: 9999;
       }
+      .mf-flow-guide {
+        position: absolute;
+        background: #ec4899;
+        pointer-events: none;
+        z-index: 9998;
+      }
       .mf-flow-subgraph.mf-subgraph-drop-target {
         outline: 2.5px dashed #2563eb;
         outline-offset: 2px;
@@ -1858,6 +2186,14 @@ function getIframeSrcDoc() {
         color: #9a9fb2;
         border-color: #4a5068;
       }
+      [data-theme="dark"] .mf-gantt-section-toggle { color: #6b7088; }
+      [data-theme="dark"] .mf-gantt-section-toggle:hover { color: #e4e6ed; }
+      [data-theme="dark"] .mf-gantt-section-count { color: #6b7088; }
+      [data-theme="dark"] .mf-gantt-summary-bar { background: #3a3f52; }
+      [data-theme="dark"] .mf-gantt-summary-bar::before,
+      [data-theme="dark"] .mf-gantt-summary-bar::after { border-top-color: #9a9fb2; }
+      [data-theme="dark"] .mf-gantt-summary-fill { background: #9a9fb2; }
+      [data-theme="dark"] .mf-gantt-summary-label { color: #9a9fb2; }
       [data-theme="dark"] .mf-gantt-track {
         border-bottom-color: #2a2e3d;
         background: #1c1f2b;
@@ -1908,11 +2244,16 @@ function getIframeSrcDoc() {
         box-shadow: 0 0 0 2.5px #f87171, 0 0 0 5px #fbbf24, 0 0 12px rgba(248, 113, 113, 0.5);
       }
       [data-theme="dark"] .mf-dep-lines-svg path { stroke: #d1d5db; }
+      [data-theme="dark"] .mf-gantt-dep-label { fill: #d1d5db; stroke: #1f2937; }
       [data-theme="dark"] .mf-dep-lines-svg marker path { fill: #d1d5db; }
       [data-theme="dark"] .mf-gantt-cycle-banner { background: #451a03; border-color: #fbbf24; color: #fde68a; }
       [data-theme="dark"] .mf-gantt-conflict-badge { background: #fbbf24; color: #000; }
       [data-theme="dark"] .mf-gantt-slack { background: repeating-linear-gradient(45deg, #1e40af, #1e40af 3px, #1e3a8a 3px, #1e3a8a 6px); }
       [data-theme="dark"] .mf-gantt-ghost-bar { background: rgba(59,130,246,0.2); border-color: #3b82f6; }
+      [data-theme="dark"] .mf-gantt-drag-origin { background: rgba(148,163,184,0.08); border-color: rgba(148,163,184,0.5); }
+      [data-theme="dark"] .mf-gantt-offday {
+        background: repeating-linear-gradient(45deg, rgba(251,191,36,0.14), rgba(251,191,36,0.14) 3px, transparent 3px, transparent 7px);
+      }
       [data-theme="dark"] .mf-gantt-excluded-day {
         background: rgba(255,255,255,0.03);
       }
@@ -1935,6 +2276,22 @@ function getIframeSrcDoc() {
       [data-theme="dark"] .mf-gantt-vert-label {
         color: #60a5fa;
       }
+      [data-theme="dark"] .mf-gantt-external-role { color: #6b7088; }
+      [data-theme="dark"] .mf-gantt-external-bar {
+        border-color: #818cf8;
+        background: repeating-linear-gradient(135deg, #1e1b4b, #1e1b4b 6px, #262262 6px, #262262 12px);
+      }
+      [data-theme="dark"] .mf-gantt-external-bar .bar-label { color: #c7d2fe; }
+      [data-theme="dark"] .mf-gantt-external-bar.mf-external-done { border-color: #4ade80; background: #14331c; }
+      [data-theme="dark"] .mf-gantt-external-bar.mf-external-done .bar-label { color: #4ade80; }
+      [data-theme="dark"] .mf-gantt-external-bar.mf-external-missing { border-color: #4a5068; background: #252838; }
+      [data-theme="dark"] .mf-gantt-external-bar.mf-external-missing .bar-label { color: #6b7088; }
+      [data-theme="dark"] .mf-gantt-workload-toggle { border-color: #3a3f52; }
+      [data-theme="dark"] .mf-gantt-workload-toggle button { color: #9a9fb2; }
+      [data-theme="dark"] .mf-gantt-workload-toggle button.active { background: #262262; color: #c7d2fe; }
+      [data-theme="dark"] .mf-gantt-workload-legend { color: #9a9fb2; }
+      [data-theme="dark"] .mf-gantt-workload-track { border-top-color: #3a3f52; }
+      [data-theme="dark"] .mf-gantt-workload-capacity { border-top-color: #f87171; }
       [data-theme="dark"] .mf-gantt-baseline-bar {
         background: #64748b;
         opacity: 0.18;
@@ -2280,10 +2637,22 @@ function getIframeSrcDoc() {
       import mermaid from "https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.esm.min.mjs";
       import dagre from "https://esm.sh/@dagrejs/dagre@1.1.4";
 
+      // ELK is only fetched the first time a flowchart asks for it
+      let elkPromise = null;
+      const loadElk = () => {
+        if (!elkPromise) {
+          elkPromise = import("https://esm.sh/elkjs@0.9.3/lib/elk.bundled.js")
+            .then((m) => new m.default())
+            .catch((err) => { elkPromise = null; throw err; });
+        }
+        return elkPromise;
+      };
+
       let selected = null;
       let dragState = null;
       let suppressClick = false;
       let currentDiagramType = "";
+      let renderSeq = 0; // bumped per render so async layouts can tell they were superseded
       let lastGanttAutoStartKey = "";
       const wrap = document.getElementById("wrap");
       const canvas = document.getElementById("canvas");
@@ -2584,7 +2953,7 @@ function getIframeSrcDoc() {
         }
       };
 
-      const renderCustomGantt = (tasks, scale, showDates, showGrid, directives, compact, ganttZoom, pinCategories, showCriticalPath, showDepLines, executiveView, showRisks, riskFlags, cycles, baselineTasks, assigneeFilterApplied) => {
+      const renderCustomGantt = (tasks, scale, showDates, showGrid, directives, compact, ganttZoom, pinCategories, showCriticalPath, showDepLines, executiveView, showRisks, riskFlags, cycles, baselineTasks, assigneeFilterApplied, scenarioOverlays, cascadeDrag, selectedLabels, sectionRollups, collapsedSections, externalStubs, workload) => {
         setGanttMode(true);
         clearGanttOverlay();
         canvas.innerHTML = "";
@@ -2696,6 +3065,15 @@ function getIframeSrcDoc() {
           }
         }
 
+        // Scenario ghost lookups by label, one per overlay
+        const scenarioLookups = (scenarioOverlays || []).map((overlay) => {
+          const byLabel = new Map();
+          for (const st of overlay.tasks || []) {
+            if (st.label && !st.isVertMarker) byLabel.set(st.label.toLowerCase(), st);
+          }
+          return { name: overlay.name, color: overlay.color, byLabel };
+        });
+
         // Date range (include vert markers in range calculation)
         const allItems = [...enriched, ...vertTasks.map((t) => ({ startDate: t.startDate, resolvedEnd: t.startDate }))];
         const allStartMs = allItems.map((t) => isoToMs(t.startDate)).filter(Number.isFinite);
@@ -2709,6 +3087,20 @@ function getIframeSrcDoc() {
             if (Number.isFinite(beMs)) allEndMs.push(beMs);
           }
         }
+        for (const lookup of scenarioLookups) {
+          for (const st of lookup.byLabel.values()) {
+            const ssMs = isoToMs(st.startDate);
+            const seMs = isoToMs(st.computedEnd) || ssMs;
+            if (Number.isFinite(ssMs)) allStartMs.push(ssMs);
+            if (Number.isFinite(seMs)) allEndMs.push(seMs);
+          }
+        }
+        for (const stub of externalStubs) {
+          const xsMs = isoToMs(stub.startDate);
+          const xeMs = isoToMs(stub.computedEnd) || xsMs;
+          if (Number.isFinite(xsMs)) allStartMs.push(xsMs);
+          if (Number.isFinite(xeMs)) allEndMs.push(xeMs);
+        }
         if (!allStartMs.length) {
           canvas.textContent = "No dated tasks found.";
           return;
@@ -2859,6 +3251,61 @@ function getIframeSrcDoc() {
           container.appendChild(banner);
         }
 
+        // === Body: Upstream tasks from other flows (%% blockedBy) ===
+        if (externalStubs.length) {
+          const stubHeight = externalStubs.length * rowHeight;
+          const stubRoleCell = document.createElement("div");
+          stubRoleCell.className = "mf-gantt-role-cell mf-gantt-external-role";
+          stubRoleCell.style.height = stubHeight + "px";
+          if (!pinCategories) stubRoleCell.style.position = "relative";
+          stubRoleCell.textContent = "Other flows";
+          container.appendChild(stubRoleCell);
+
+          const stubTrack = document.createElement("div");
+          stubTrack.className = "mf-gantt-track mf-gantt-external-track";
+          stubTrack.style.height = stubHeight + "px";
+          stubTrack.style.setProperty("--px-per-day", pxPerUnit + "px");
+          if (showGrid) stubTrack.classList.add("mf-show-grid-lines");
+          externalStubs.forEach((stub, idx) => {
+            const top = idx * rowHeight + barGap;
+            const stubBar = document.createElement("div");
+            stubBar.className = "mf-gantt-external-bar" + (stub.missing ? " mf-external-missing" : "") + (stub.isDone ? " mf-external-done" : "");
+            const xsMs = isoToMs(stub.startDate);
+            const xeMs = Math.max(isoToMs(stub.computedEnd) || xsMs, xsMs + unitMs);
+            if (Number.isFinite(xsMs)) {
+              stubBar.style.left = Math.round(((xsMs - paddedMin) / unitMs) * pxPerUnit) + "px";
+              stubBar.style.width = Math.max(Math.round(pxPerUnit), Math.round(((xeMs - xsMs) / unitMs) * pxPerUnit)) + "px";
+            } else {
+              stubBar.style.left = "8px";
+            }
+            stubBar.style.top = top + "px";
+            stubBar.style.height = barHeight + "px";
+            const stubLabel = document.createElement("span");
+            stubLabel.className = "bar-label";
+            stubLabel.textContent = "\u2197 " + (stub.missing ? stub.ref + " (not found)" : stub.label);
+            stubBar.appendChild(stubLabel);
+            stubBar.setAttribute(
+              "data-mf-tip",
+              (stub.flowName || stub.flowId) + ": " + (stub.missing ? stub.ref + " not found" : stub.label + "\\n" + stub.startDate + " – " + stub.computedEnd) +
+              "\\nClick to open the flow"
+            );
+            stubBar.addEventListener("click", (e) => {
+              e.stopPropagation();
+              send("gantt:open-external", { flowId: stub.flowId });
+            });
+            if (Number.isFinite(xsMs)) {
+              barPositions.set(stub.key, {
+                left: roleColWidth + parseFloat(stubBar.style.left),
+                right: roleColWidth + parseFloat(stubBar.style.left) + parseFloat(stubBar.style.width),
+                centerY: cumulativeTop + top + barHeight / 2,
+              });
+            }
+            stubTrack.appendChild(stubBar);
+          });
+          container.appendChild(stubTrack);
+          cumulativeTop += stubHeight;
+        }
+
         // === Body: Section rows ===
         for (const [section, sectionTasks] of sectionMap.entries()) {
           // Compact mode: greedy lane packing
@@ -2885,18 +3332,49 @@ function getIframeSrcDoc() {
             rowAssignments = sectionTasks.map((_, idx) => idx);
           }
 
+          // Summary row on top of the section; collapsing leaves only that row
+          const sectionKey = sectionTasks[0].section || "";
+          const rollup = sectionRollups[sectionKey] || null;
+          const isCollapsed = Boolean(rollup) && collapsedSections.includes(sectionKey);
+          const rowOffset = rollup ? 1 : 0;
           const numRows = compact ? Math.max(0, ...rowAssignments) + 1 : sectionTasks.length;
-          const trackHeight = numRows * rowHeight;
+          const trackHeight = (isCollapsed ? 1 : numRows + rowOffset) * rowHeight;
 
           // Role cell
           const roleCell = document.createElement("div");
-          roleCell.className = "mf-gantt-role-cell";
+          roleCell.className = "mf-gantt-role-cell" + (isCollapsed ? " collapsed" : "");
           roleCell.style.height = trackHeight + "px";
           if (!pinCategories) roleCell.style.position = "relative";
           const roleLabelWrap = document.createElement("div");
           roleLabelWrap.className = "mf-gantt-role-label-wrap";
+          if (rollup) {
+            const toggleBtn = document.createElement("button");
+            toggleBtn.type = "button";
+            toggleBtn.className = "mf-gantt-section-toggle" + (isCollapsed ? "" : " expanded");
+            toggleBtn.setAttribute("aria-expanded", isCollapsed ? "false" : "true");
+            toggleBtn.setAttribute("title", isCollapsed ? "Expand category / phase" : "Collapse to summary bar");
+            const chevron = document.createElementNS("http://www.w3.org/2000/svg", "svg");
+            chevron.setAttribute("viewBox", "0 0 24 24");
+            chevron.setAttribute("aria-hidden", "true");
+            const chevronPath = document.createElementNS("http://www.w3.org/2000/svg", "path");
+            chevronPath.setAttribute("d", "M9 6l6 6-6 6");
+            chevron.appendChild(chevronPath);
+            toggleBtn.appendChild(chevron);
+            toggleBtn.addEventListener("click", (event) => {
+              event.preventDefault();
+              event.stopPropagation();
+              send("gantt:toggle-section", { section: sectionKey });
+            });
+            roleLabelWrap.appendChild(toggleBtn);
+          }
           const roleLabel = document.createElement("span");
           roleLabel.textContent = section;
+          if (isCollapsed) {
+            const countSpan = document.createElement("span");
+            countSpan.className = "mf-gantt-section-count";
+            countSpan.textContent = " (" + sectionTasks.length + ")";
+            roleLabel.appendChild(countSpan);
+          }
           roleLabelWrap.appendChild(roleLabel);
           const editSectionBtn = document.createElement("button");
           editSectionBtn.type = "button";
@@ -2919,7 +3397,7 @@ function getIframeSrcDoc() {
           roleCell.appendChild(roleLabelWrap);
           // Insert (+) button per section
           const lastTask = sectionTasks[sectionTasks.length - 1];
-          if (lastTask) {
+          if (lastTask && !isCollapsed) {
             const insertBtn = document.createElement("div");
             insertBtn.className = "mf-gantt-insert-btn";
             insertBtn.textContent = "+";
@@ -2938,6 +3416,32 @@ function getIframeSrcDoc() {
           track.style.setProperty("--px-per-day", pxPerUnit + "px");
           if (showGrid) track.classList.add("mf-show-grid-lines");
 
+          // Section summary bar: earliest start to latest end, filled to the
+          // duration-weighted progress of its tasks
+          const summaryStartMs = rollup ? isoToMs(rollup.start) : null;
+          if (rollup && Number.isFinite(summaryStartMs)) {
+            const summaryEndMs = Math.max(isoToMs(rollup.end) || summaryStartMs, summaryStartMs + unitMs);
+            const summaryBar = document.createElement("div");
+            summaryBar.className = "mf-gantt-summary-bar";
+            summaryBar.style.left = Math.round(((summaryStartMs - paddedMin) / unitMs) * pxPerUnit) + "px";
+            summaryBar.style.width = Math.max(Math.round(pxPerUnit), Math.round(((summaryEndMs - summaryStartMs) / unitMs) * pxPerUnit)) + "px";
+            const summaryFill = document.createElement("div");
+            summaryFill.className = "mf-gantt-summary-fill";
+            summaryFill.style.width = Math.min(100, rollup.progress) + "%";
+            summaryBar.appendChild(summaryFill);
+            const summaryLabel = document.createElement("span");
+            summaryLabel.className = "mf-gantt-summary-label";
+            summaryLabel.textContent = rollup.progress + "%";
+            summaryBar.appendChild(summaryLabel);
+            summaryBar.setAttribute(
+              "data-mf-tip",
+              section + "\\n" + rollup.start + " – " + rollup.end +
+              "\\nProgress: " + rollup.progress + "% (duration-weighted)" +
+              "\\n" + rollup.doneCount + "/" + rollup.taskCount + " tasks done"
+            );
+            track.appendChild(summaryBar);
+          }
+
           // Excluded day shading (only for day-level charts)
           if (excludes.length && !subDay) {
             for (let uIdx = 0; uIdx < totalUnits; uIdx++) {
@@ -2952,14 +3456,37 @@ function getIframeSrcDoc() {
             }
           }
 
+          // Holidays and time off from each assignee's working calendar, per row
+          if (!subDay && !isCollapsed) {
+            const offBands = new Set();
+            sectionTasks.forEach((task, idx) => {
+              if (!task.offDays) return;
+              for (const iso in task.offDays) {
+                const uIdx = Math.round((isoToMs(iso) - paddedMin) / unitMs);
+                if (!(uIdx >= 0 && uIdx < totalUnits)) continue;
+                const bandKey = rowAssignments[idx] + "|" + uIdx;
+                if (offBands.has(bandKey)) continue;
+                offBands.add(bandKey);
+                const band = document.createElement("div");
+                band.className = "mf-gantt-offday" + (task.offDays[iso] < 1 ? " mf-gantt-offday-half" : "");
+                band.style.left = (uIdx * pxPerUnit) + "px";
+                band.style.width = pxPerUnit + "px";
+                band.style.top = ((rowAssignments[idx] + rowOffset) * rowHeight) + "px";
+                band.style.height = rowHeight + "px";
+                track.appendChild(band);
+              }
+            });
+          }
+
           sectionTasks.forEach((task, idx) => {
+            if (isCollapsed) return;
             const startMs = isoToMs(task.startDate);
             const endMs = isoToMs(task.resolvedEnd) || startMs;
             if (!Number.isFinite(startMs)) return;
 
             const left = Math.round(((startMs - paddedMin) / unitMs) * pxPerUnit);
             const width = Math.max(Math.round(pxPerUnit), Math.round(((Math.max(endMs, startMs + unitMs) - startMs) / unitMs) * pxPerUnit));
-            const top = rowAssignments[idx] * rowHeight + barGap;
+            const top = (rowAssignments[idx] + rowOffset) * rowHeight + barGap;
 
             // Baseline ghost bar
             const baselineTask = baselineByLabel.get((task.label || "").toLowerCase());
@@ -2980,6 +3507,28 @@ function getIframeSrcDoc() {
               }
             }
 
+            // Scenario ghost bars (only where the scenario differs)
+            for (const lookup of scenarioLookups) {
+              const scenarioTask = lookup.byLabel.get((task.label || "").toLowerCase());
+              if (!scenarioTask || task.isMilestone) continue;
+              const scStartMs = isoToMs(scenarioTask.startDate);
+              const scEndMs = isoToMs(scenarioTask.computedEnd) || scStartMs;
+              if (!Number.isFinite(scStartMs)) continue;
+              if (scStartMs === startMs && scEndMs === endMs) continue;
+              const scLeft = Math.round(((scStartMs - paddedMin) / unitMs) * pxPerUnit);
+              const scWidth = Math.max(Math.round(pxPerUnit), Math.round(((Math.max(scEndMs, scStartMs + unitMs) - scStartMs) / unitMs) * pxPerUnit));
+              const scGhost = document.createElement("div");
+              scGhost.className = "mf-gantt-scenario-bar";
+              scGhost.style.left = scLeft + "px";
+              scGhost.style.width = scWidth + "px";
+              scGhost.style.top = top + "px";
+              scGhost.style.height = barHeight + "px";
+              scGhost.style.borderColor = lookup.color;
+              scGhost.style.background = lookup.color;
+              scGhost.setAttribute("data-mf-tip", lookup.name + ": " + (scenarioTask.startDate || "") + " – " + (scenarioTask.computedEnd || ""));
+              track.appendChild(scGhost);
+            }
+
             // Delta badge (baseline vs current start date)
             if (baselineTask && task.startDate && baselineTask.startDate) {
               const baselineStartMs = isoToMs(baselineTask.startDate);
@@ -3036,6 +3585,7 @@ function getIframeSrcDoc() {
               bar.style.height = barHeight + "px";
             }
             bar.setAttribute("data-task-label", task.label || "");
+            if (selectedLabels.includes(task.label)) bar.classList.add("mf-selected");
             const rawTaskLink = String(task.link || "").trim();
             const openableTaskLink = buildOpenableTaskUrl(rawTaskLink);
             const hasTaskLink = Boolean(rawTaskLink);
@@ -3257,11 +3807,16 @@ function getIframeSrcDoc() {
             if (task.progress != null) tip += "\\nProgress: " + task.progress + "%";
             if (rawTaskLink) tip += "\\nLink: " + rawTaskLink;
             // Dependency info in tooltip
-            if (task.afterDeps && task.afterDeps.length) {
-              tip += "\\nDepends on: " + task.afterDeps.join(", ");
+            if (task.occurrence) tip += "\\nRepeat #" + task.occurrence + " (drag to move just this one)";
+            if (task.deps && task.deps.length) {
+              tip += "\\nDepends on: " + task.deps.map(function(d) { return d.type === "FS" && !d.lag ? d.ref : d.ref + " (" + d.type + d.lag + ")"; }).join(", ");
             }
             if (task.conflicts && task.conflicts.length) {
-              tip += "\\n\\u26a0 Scheduling conflict: this task starts before " + task.conflicts.map(function(c) { return '"' + c.depLabel + '" finishes (' + c.overlapDays + "d overlap)"; }).join(", ");
+              tip += "\\n\\u26a0 Scheduling conflict: this task " + task.conflicts.map(function(c) {
+                return c.linkType && c.linkType !== "FS"
+                  ? 'breaks its ' + c.linkType + ' link to "' + c.depLabel + '" (' + c.overlapDays + "d early)"
+                  : 'starts before "' + c.depLabel + '" finishes (' + c.overlapDays + "d overlap)";
+              }).join(", ");
             }
             if (typeof task.slackDays === "number" && task.slackDays > 0) {
               tip += "\\nBuffer: " + task.slackDays + " day" + (task.slackDays !== 1 ? "s" : "") + " before this delays the project";
@@ -3334,6 +3889,17 @@ function getIframeSrcDoc() {
             // Click handler: select task + highlight dependency chain
             bar.addEventListener("click", (e) => {
               e.stopPropagation();
+              // Shift/Ctrl/Cmd-click adds or removes the bar from a multi-selection
+              if (e.shiftKey || e.ctrlKey || e.metaKey) {
+                bar.classList.toggle("mf-selected");
+                const picked = [];
+                canvas.querySelectorAll(".mf-gantt-bar.mf-selected, .mf-gantt-milestone.mf-selected").forEach((el) => {
+                  const lbl = el.getAttribute("data-task-label");
+                  if (lbl && !picked.includes(lbl)) picked.push(lbl);
+                });
+                send("gantt:multi-selected", { labels: picked });
+                return;
+              }
               // Clear previous selection & dep highlighting
               canvas.querySelectorAll(".mf-gantt-bar.mf-selected, .mf-gantt-milestone.mf-selected").forEach((el) => el.classList.remove("mf-selected"));
               canvas.querySelectorAll(".mf-dep-upstream-bar,.mf-dep-downstream-bar,.mf-dep-dimmed,.mf-dep-line-upstream,.mf-dep-line-downstream,.mf-dep-line-dimmed").forEach((el) => {
@@ -3349,8 +3915,8 @@ function getIframeSrcDoc() {
                 const k = (t.idToken || t.label || "").toLowerCase();
                 depFwd[k] = depFwd[k] || [];
                 depRev[k] = depRev[k] || [];
-                for (const d of t.afterDeps || []) {
-                  const dk = d.toLowerCase();
+                for (const d of t.deps || []) {
+                  const dk = d.ref.toLowerCase();
                   depFwd[dk] = depFwd[dk] || [];
                   depFwd[dk].push(k);
                   depRev[k].push(dk);
@@ -3396,7 +3962,7 @@ function getIframeSrcDoc() {
                 // Highlight dep lines
                 const svg = canvas.querySelector(".mf-dep-lines-svg");
                 if (svg) {
-                  svg.querySelectorAll("path[data-from]").forEach((p) => {
+                  svg.querySelectorAll("[data-from]").forEach((p) => {
                     const f = p.getAttribute("data-from");
                     const t = p.getAttribute("data-to");
                     if ((upstream.has(f) || f === thisKey) && (upstream.has(t) || t === thisKey)) p.classList.add("mf-dep-line-upstream");
@@ -3464,64 +4030,79 @@ function getIframeSrcDoc() {
                 bar.style.width = Math.max(4, dragInfo.origWidth - dx) + "px";
               } else {
                 bar.style.left = (dragInfo.origLeft + dx) + "px";
+              }
 
-                // Ghost bars: show ripple effect on downstream tasks
-                if (task.durationDays && barPositions.size > 0) {
-                  const pxDay = dragInfo.origWidth / task.durationDays;
-                  const tentShift = Math.round(dx / pxDay);
-                  // Build downstream set via BFS
-                  const fwd = {};
-                  for (const t of enriched) {
-                    const k = (t.idToken || t.label || "").toLowerCase();
-                    for (const d of t.afterDeps || []) {
-                      const dk = d.toLowerCase();
-                      fwd[dk] = fwd[dk] || [];
-                      fwd[dk].push(k);
-                    }
+              // Before: the bar's current slot stays visible while dragging
+              if (!dragInfo.originGhost) {
+                const origin = document.createElement("div");
+                origin.className = "mf-gantt-drag-origin";
+                origin.style.left = dragInfo.origLeft + "px";
+                origin.style.top = bar.style.top;
+                origin.style.width = dragInfo.origWidth + "px";
+                origin.style.height = bar.style.height || (barHeight + "px");
+                bar.parentNode.insertBefore(origin, bar);
+                dragInfo.originGhost = origin;
+              }
+
+              // After: ghost bars where downstream tasks will land. Moving the
+              // finish (shift or resize-end) pushes "after" chains; dated
+              // dependents only follow when cascading is on.
+              if (dragInfo.mode !== "resize-start" && task.durationDays && barPositions.size > 0) {
+                const pxDay = dragInfo.origWidth / task.durationDays;
+                const tentShift = Math.round(dx / pxDay);
+                const byKey = {};
+                const fwd = {};
+                for (const t of enriched) {
+                  const k = (t.idToken || t.label || "").toLowerCase();
+                  byKey[k] = t;
+                  for (const d of t.deps || []) {
+                    const dk = d.ref.toLowerCase();
+                    fwd[dk] = fwd[dk] || [];
+                    fwd[dk].push(k);
                   }
-                  const dsSet = new Set();
-                  const dsQ = [...(fwd[(task.idToken || task.label || "").toLowerCase()] || [])];
-                  for (const k of dsQ) dsSet.add(k);
-                  let dsi = 0;
-                  while (dsi < dsQ.length) {
-                    const cur = dsQ[dsi++];
-                    for (const dep of (fwd[cur] || [])) {
-                      if (!dsSet.has(dep)) { dsSet.add(dep); dsQ.push(dep); }
-                    }
+                }
+                const follows = (k) => byKey[k] && (cascadeDrag || !byKey[k].hasExplicitDate);
+                const dsSet = new Set();
+                const dsQ = (fwd[(task.idToken || task.label || "").toLowerCase()] || []).filter(follows);
+                for (const k of dsQ) dsSet.add(k);
+                let dsi = 0;
+                while (dsi < dsQ.length) {
+                  const cur = dsQ[dsi++];
+                  for (const dep of (fwd[cur] || [])) {
+                    if (!dsSet.has(dep) && follows(dep)) { dsSet.add(dep); dsQ.push(dep); }
                   }
-                  // Remove old ghosts
-                  canvas.querySelectorAll(".mf-gantt-ghost-bar").forEach(function(g) { g.remove(); });
-                  var oldRipple = document.querySelector(".mf-gantt-ripple-summary");
-                  if (oldRipple) oldRipple.remove();
-                  if (dsSet.size > 0 && tentShift !== 0) {
-                    var shiftPx = tentShift * pxDay;
-                    for (var dKey of dsSet) {
-                      var dPos = barPositions.get(dKey);
-                      if (!dPos) continue;
-                      var parentTrack = bar.closest(".mf-gantt-track");
-                      // Find the actual track for this bar (search all tracks)
-                      var allTracks = container.querySelectorAll(".mf-gantt-track");
-                      for (var trk of allTracks) {
-                        var match = trk.querySelector('[data-label="' + dKey + '"]');
-                        if (match) {
-                          var ghost = document.createElement("div");
-                          ghost.className = "mf-gantt-ghost-bar";
-                          ghost.style.left = (parseFloat(match.style.left) + shiftPx) + "px";
-                          ghost.style.top = match.style.top;
-                          ghost.style.width = match.style.width;
-                          ghost.style.height = match.style.height || (barHeight + "px");
-                          trk.appendChild(ghost);
-                          break;
-                        }
+                }
+                // Remove old ghosts
+                canvas.querySelectorAll(".mf-gantt-ghost-bar").forEach(function(g) { g.remove(); });
+                var oldRipple = document.querySelector(".mf-gantt-ripple-summary");
+                if (oldRipple) oldRipple.remove();
+                if (dsSet.size > 0 && tentShift !== 0) {
+                  var shiftPx = tentShift * pxDay;
+                  for (var dKey of dsSet) {
+                    var dPos = barPositions.get(dKey);
+                    if (!dPos) continue;
+                    // Find the actual track for this bar (search all tracks)
+                    var allTracks = container.querySelectorAll(".mf-gantt-track");
+                    for (var trk of allTracks) {
+                      var match = trk.querySelector('[data-label="' + dKey + '"]');
+                      if (match) {
+                        var ghost = document.createElement("div");
+                        ghost.className = "mf-gantt-ghost-bar";
+                        ghost.style.left = (parseFloat(match.style.left) + shiftPx) + "px";
+                        ghost.style.top = match.style.top;
+                        ghost.style.width = match.style.width;
+                        ghost.style.height = match.style.height || (barHeight + "px");
+                        trk.appendChild(ghost);
+                        break;
                       }
                     }
-                    var ripple = document.createElement("div");
-                    ripple.className = "mf-gantt-ripple-summary";
-                    ripple.textContent = "Affects " + dsSet.size + " task" + (dsSet.size !== 1 ? "s" : "") + ", shifts by " + Math.abs(tentShift) + "d";
-                    ripple.style.left = (e.clientX + 16) + "px";
-                    ripple.style.top = (e.clientY - 30) + "px";
-                    document.body.appendChild(ripple);
                   }
+                  var ripple = document.createElement("div");
+                  ripple.className = "mf-gantt-ripple-summary";
+                  ripple.textContent = "Affects " + dsSet.size + " task" + (dsSet.size !== 1 ? "s" : "") + ", shifts by " + Math.abs(tentShift) + "d";
+                  ripple.style.left = (e.clientX + 16) + "px";
+                  ripple.style.top = (e.clientY - 30) + "px";
+                  document.body.appendChild(ripple);
                 }
               }
             });
@@ -3537,8 +4118,8 @@ function getIframeSrcDoc() {
                 const fwd = {};
                 for (const t of enriched) {
                   const k = (t.idToken || t.label || "").toLowerCase();
-                  for (const d of t.afterDeps || []) {
-                    const dk = d.toLowerCase();
+                  for (const d of t.deps || []) {
+                    const dk = d.ref.toLowerCase();
                     fwd[dk] = fwd[dk] || [];
                     fwd[dk].push(k);
                   }
@@ -3570,6 +4151,7 @@ function getIframeSrcDoc() {
               }
 
               // Clean up ghosts and ripple summary
+              if (dragInfo.originGhost) dragInfo.originGhost.remove();
               canvas.querySelectorAll(".mf-gantt-ghost-bar").forEach(function(g) { g.remove(); });
               var oldRipple = document.querySelector(".mf-gantt-ripple-summary");
               if (oldRipple) oldRipple.remove();
@@ -3590,6 +4172,107 @@ function getIframeSrcDoc() {
           cumulativeTop += trackHeight;
         }
 
+        // === Workload histogram lane (stacked hours per assignee) ===
+        if (workload) {
+          const laneHeight = 132;
+          const plotHeight = laneHeight - 18;
+          const palette = ["#6366f1", "#0ea5e9", "#14b8a6", "#f59e0b", "#ec4899", "#8b5cf6", "#84cc16", "#f97316"];
+          const colorOf = (name) => palette[workload.names.indexOf(name) % palette.length];
+          const isWeekly = workload.granularity === "week";
+          const formatBucketDay = (iso) => new Date(iso + "T00:00:00Z").toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+
+          const loadRoleCell = document.createElement("div");
+          loadRoleCell.className = "mf-gantt-role-cell mf-gantt-workload-role";
+          loadRoleCell.style.height = laneHeight + "px";
+          if (!pinCategories) loadRoleCell.style.position = "relative";
+          const loadHead = document.createElement("div");
+          loadHead.className = "mf-gantt-workload-head";
+          const loadTitle = document.createElement("span");
+          loadTitle.textContent = "Workload";
+          loadHead.appendChild(loadTitle);
+          const granularityToggle = document.createElement("span");
+          granularityToggle.className = "mf-gantt-workload-toggle";
+          [["day", "Day"], ["week", "Week"]].forEach(([value, text]) => {
+            const btn = document.createElement("button");
+            btn.type = "button";
+            btn.textContent = text;
+            if (workload.granularity === value) btn.classList.add("active");
+            btn.addEventListener("click", (e) => {
+              e.stopPropagation();
+              if (workload.granularity !== value) send("gantt:workload-granularity", { granularity: value });
+            });
+            granularityToggle.appendChild(btn);
+          });
+          loadHead.appendChild(granularityToggle);
+          loadRoleCell.appendChild(loadHead);
+          const legend = document.createElement("div");
+          legend.className = "mf-gantt-workload-legend";
+          if (!workload.names.length) legend.textContent = "No assigned work";
+          for (const name of workload.names) {
+            const item = document.createElement("span");
+            const swatch = document.createElement("span");
+            swatch.className = "mf-gantt-workload-swatch";
+            swatch.style.background = colorOf(name);
+            item.appendChild(swatch);
+            item.appendChild(document.createTextNode(name));
+            legend.appendChild(item);
+          }
+          loadRoleCell.appendChild(legend);
+          container.appendChild(loadRoleCell);
+
+          const loadTrack = document.createElement("div");
+          loadTrack.className = "mf-gantt-track mf-gantt-workload-track";
+          loadTrack.style.height = laneHeight + "px";
+          loadTrack.style.setProperty("--px-per-day", pxPerUnit + "px");
+          if (showGrid) loadTrack.classList.add("mf-show-grid-lines");
+          const maxHours = workload.maxHours || 1;
+          for (const bucket of workload.buckets) {
+            const bsMs = isoToMs(bucket.start);
+            const beMs = isoToMs(bucket.end);
+            if (bsMs === null || beMs === null) continue;
+            const left = Math.max(0, Math.round(((bsMs - paddedMin) / unitMs) * pxPerUnit));
+            const width = Math.max(2, Math.round(((beMs - paddedMin) / unitMs) * pxPerUnit) - left);
+
+            const col = document.createElement("div");
+            col.className = "mf-gantt-workload-col" + (bucket.overloaded.length ? " mf-workload-spike" : "");
+            col.style.left = left + "px";
+            col.style.width = width + "px";
+            for (const name of Object.keys(bucket.hours)) {
+              const seg = document.createElement("div");
+              seg.className = "mf-gantt-workload-seg" + (bucket.overloaded.includes(name) ? " mf-workload-over" : "");
+              seg.style.height = Math.max(1, Math.round((bucket.hours[name] / maxHours) * plotHeight)) + "px";
+              seg.style.background = colorOf(name);
+              col.appendChild(seg);
+            }
+            const tipLines = [
+              (isWeekly ? "Week of " : "") + formatBucketDay(bucket.start) + ": " + bucket.total + "h / " + bucket.capacity + "h capacity",
+              ...Object.keys(bucket.hours).map((name) => name + ": " + bucket.hours[name] + "h" + (bucket.overloaded.includes(name) ? " (over capacity)" : "")),
+              "Click to select " + bucket.labels.length + " task" + (bucket.labels.length !== 1 ? "s" : ""),
+            ];
+            col.setAttribute("data-mf-tip", tipLines.join("\\n"));
+            col.addEventListener("click", (e) => {
+              e.stopPropagation();
+              canvas.querySelectorAll(".mf-gantt-bar.mf-selected, .mf-gantt-milestone.mf-selected").forEach((el) => el.classList.remove("mf-selected"));
+              canvas.querySelectorAll(".mf-gantt-bar, .mf-gantt-milestone").forEach((el) => {
+                if (bucket.labels.includes(el.getAttribute("data-task-label"))) el.classList.add("mf-selected");
+              });
+              send("gantt:multi-selected", { labels: bucket.labels });
+            });
+            loadTrack.appendChild(col);
+
+            if (bucket.capacity > 0) {
+              const capLine = document.createElement("div");
+              capLine.className = "mf-gantt-workload-capacity";
+              capLine.style.left = left + "px";
+              capLine.style.width = width + "px";
+              capLine.style.bottom = Math.round((bucket.capacity / maxHours) * plotHeight) + "px";
+              loadTrack.appendChild(capLine);
+            }
+          }
+          container.appendChild(loadTrack);
+          cumulativeTop += laneHeight;
+        }
+
         // Extend container width if outside labels overflow the timeline
         if (effectiveTimelineWidth > timelineWidth) {
           container.style.gridTemplateColumns = roleColWidth + "px " + effectiveTimelineWidth + "px";
@@ -3667,32 +4350,41 @@ function getIframeSrcDoc() {
 
           const allRegularTasks = enriched;
           for (const task of allRegularTasks) {
-            if (!task.afterDeps || !task.afterDeps.length) continue;
+            if (!task.deps || !task.deps.length) continue;
             const toKey = (task.idToken || task.label || "").toLowerCase();
             const toPos = barPositions.get(toKey);
             if (!toPos) continue;
 
-            for (const depId of task.afterDeps) {
-              const fromKey = depId.toLowerCase();
+            for (const dep of task.deps) {
+              const fromKey = dep.ref.toLowerCase();
               const fromPos = barPositions.get(fromKey);
               if (!fromPos) continue;
 
-              const x1 = fromPos.right + 2;
+              // Anchor on the bar edges the link constrains: SS/SF leave the
+              // predecessor's start, FF/SF arrive at the dependent's finish
+              const fromStart = dep.type === "SS" || dep.type === "SF";
+              const toFinish = dep.type === "FF" || dep.type === "SF";
+              const x1 = fromStart ? fromPos.left - 2 : fromPos.right + 2;
               const y1 = fromPos.centerY;
-              const x2 = toPos.left - 2;
+              const x2 = toFinish ? toPos.right + 2 : toPos.left - 2;
               const y2 = toPos.centerY;
               const isCpEdge = showCriticalPath && cpSet.has(fromKey) && cpSet.has(toKey);
 
               const path = document.createElementNS(svgNS, "path");
-              if (Math.abs(y1 - y2) < 2) {
+              if (dep.type === "FS" && Math.abs(y1 - y2) < 2) {
                 // Same row: straight horizontal line
                 path.setAttribute("d", "M " + x1 + " " + y1 + " L " + x2 + " " + y2);
-              } else {
+              } else if (dep.type === "FS") {
                 // Smooth S-curve from predecessor right → dependent left
                 const gapX = x2 - x1;
                 const cx1 = x1 + Math.max(gapX * 0.4, 20);
                 const cx2 = x2 - Math.max(gapX * 0.4, 20);
                 path.setAttribute("d", "M " + x1 + " " + y1 + " C " + cx1 + " " + y1 + " " + cx2 + " " + y2 + " " + x2 + " " + y2);
+              } else {
+                // Bracket-shaped curve that leaves and enters on the anchored sides
+                const cx1 = fromStart ? Math.min(x1, x2) - 24 : Math.max(x1, x2) + 24;
+                const cx2 = toFinish ? Math.max(x1, x2) + 24 : Math.min(x1, x2) - 24;
+                path.setAttribute("d", "M " + x1 + " " + y1 + " C " + cx1 + " " + y1 + " " + cx2 + " " + y2 + " " + x2 + " " + y2);
               }
               path.setAttribute("stroke", isCpEdge ? "#ef4444" : "#374151");
               path.setAttribute("stroke-width", isCpEdge ? "2" : "1.5");
@@ -3701,6 +4393,18 @@ function getIframeSrcDoc() {
               path.setAttribute("data-from", fromKey);
               path.setAttribute("data-to", toKey);
               svg.appendChild(path);
+
+              if (dep.type !== "FS" || dep.lag) {
+                const text = document.createElementNS(svgNS, "text");
+                text.setAttribute("class", "mf-gantt-dep-label");
+                text.setAttribute("x", String(fromStart ? Math.min(x1, x2) - 26 : (x1 + x2) / 2));
+                text.setAttribute("y", String((y1 + y2) / 2 - 3));
+                text.setAttribute("text-anchor", fromStart ? "end" : "middle");
+                text.setAttribute("data-from", fromKey);
+                text.setAttribute("data-to", toKey);
+                text.textContent = dep.type + dep.lag;
+                svg.appendChild(text);
+              }
             }
           }
 
@@ -3829,6 +4533,103 @@ function getIframeSrcDoc() {
         return g;
       };
 
+      // ELK layered layout with orthogonal routes. Returns the same node(),
+      // edge() and graph() surface as the dagre graph, in canvas coordinates.
+      const layoutFlowchartElk = async (parsed, nodeDims) => {
+        const { direction, nodes, edges, subgraphs } = parsed;
+        const elk = await loadElk();
+        const elkDir = { TD: "DOWN", TB: "DOWN", BT: "UP", LR: "RIGHT", RL: "LEFT" }[direction] || "DOWN";
+        const outSide = { DOWN: "SOUTH", UP: "NORTH", RIGHT: "EAST", LEFT: "WEST" }[elkDir];
+        const inSide = { DOWN: "NORTH", UP: "SOUTH", RIGHT: "WEST", LEFT: "EAST" }[elkDir];
+        const nodeIds = new Set(nodes.map((n) => n.id));
+        // Innermost subgraph whose lines enclose the given line
+        const parentOf = (lineIndex) => {
+          let best = null;
+          for (const sg of subgraphs) {
+            if (nodeIds.has(sg.id)) continue;
+            if (lineIndex > sg.lineIndex && (sg.endLineIndex < 0 || lineIndex < sg.endLineIndex) && (!best || sg.lineIndex > best.lineIndex)) best = sg;
+          }
+          return best ? best.id : null;
+        };
+        const root = {
+          id: "__root",
+          children: [],
+          edges: [],
+          layoutOptions: {
+            "elk.algorithm": "layered",
+            "elk.direction": elkDir,
+            "elk.edgeRouting": "ORTHOGONAL",
+            "elk.hierarchyHandling": "INCLUDE_CHILDREN",
+            "elk.spacing.nodeNode": "50",
+            "elk.layered.spacing.nodeNodeBetweenLayers": "60",
+            "elk.spacing.edgeNode": "20",
+            "elk.edgeLabels.placement": "CENTER",
+            "elk.padding": "[top=40,left=40,bottom=40,right=40]",
+          },
+        };
+        const elkNodes = {};
+        for (const sg of subgraphs) {
+          if (nodeIds.has(sg.id)) continue;
+          elkNodes[sg.id] = { id: sg.id, children: [], layoutOptions: { "elk.padding": "[top=44,left=20,bottom=20,right=20]" } };
+        }
+        for (const sg of subgraphs) {
+          if (!elkNodes[sg.id]) continue;
+          const parent = parentOf(sg.lineIndex);
+          (parent ? elkNodes[parent] : root).children.push(elkNodes[sg.id]);
+        }
+        for (const n of nodes) {
+          const d = nodeDims[n.id] || { width: 100, height: 40 };
+          elkNodes[n.id] = { id: n.id, width: d.width, height: d.height, ports: [], layoutOptions: { "elk.portConstraints": "FIXED_SIDE" } };
+          const parent = parentOf(n.lineIndex);
+          (parent ? elkNodes[parent] : root).children.push(elkNodes[n.id]);
+        }
+        // One port per edge end, on the node side facing along the flow
+        edges.forEach((e, i) => {
+          const src = elkNodes[e.source], tgt = elkNodes[e.target];
+          if (!src || !tgt || !src.ports || !tgt.ports || e.source === e.target) return;
+          const sp = { id: "p" + i + "s", layoutOptions: { "elk.port.side": outSide } };
+          const tp = { id: "p" + i + "t", layoutOptions: { "elk.port.side": inSide } };
+          src.ports.push(sp);
+          tgt.ports.push(tp);
+          const edge = { id: "e" + i, sources: [sp.id], targets: [tp.id], mf: e };
+          if (e.label) edge.labels = [{ text: e.label, width: e.label.length * 6.5 + 10, height: 18 }];
+          root.edges.push(edge);
+        });
+        const result = await elk.layout(root);
+
+        // ELK places children relative to their parent and routes relative to
+        // the edge's container; convert both to canvas coordinates
+        const boxes = {};
+        const origins = { __root: { x: 0, y: 0 } };
+        const walk = (node) => {
+          const o = origins[node.id];
+          for (const ch of node.children || []) {
+            origins[ch.id] = { x: o.x + ch.x, y: o.y + ch.y };
+            boxes[ch.id] = { x: o.x + ch.x + ch.width / 2, y: o.y + ch.y + ch.height / 2, width: ch.width, height: ch.height };
+            walk(ch);
+          }
+        };
+        walk(result);
+        const routes = {};
+        for (const e of result.edges || []) {
+          const sec = (e.sections || [])[0];
+          const key = e.mf.source + "->" + e.mf.target;
+          if (!sec || routes[key]) continue;
+          const o = origins[e.container] || origins.__root;
+          const lbl = (e.labels || [])[0];
+          routes[key] = {
+            points: [sec.startPoint, ...(sec.bendPoints || []), sec.endPoint].map((p) => ({ x: o.x + p.x, y: o.y + p.y })),
+            labelPos: lbl ? { x: o.x + lbl.x + lbl.width / 2, y: o.y + lbl.y + lbl.height / 2 } : null,
+          };
+        }
+        const info = { width: result.width, height: result.height, orthogonal: true };
+        return {
+          graph: () => info,
+          node: (id) => boxes[id],
+          edge: (v, w) => routes[v + "->" + w],
+        };
+      };
+
       const getConnectionPt = (cx, cy, hw, hh, tx, ty, shape) => {
         const dx = tx - cx;
         const dy = ty - cy;
@@ -3854,20 +4655,21 @@ function getIframeSrcDoc() {
         return { x: ix, y: cy + (dx !== 0 ? hw * (dy / Math.abs(dx)) : 0) };
       };
 
+      // Control points of the single cubic used for two-point curved edges
+      const curveControls = (sp, tp) => {
+        const ddx = tp.x - sp.x, ddy = tp.y - sp.y;
+        const off = Math.max(Math.hypot(ddx, ddy) * 0.35, 25);
+        if (Math.abs(ddx) > Math.abs(ddy)) {
+          return { c1x: sp.x + (ddx > 0 ? off : -off), c1y: sp.y, c2x: tp.x - (ddx > 0 ? off : -off), c2y: tp.y };
+        }
+        return { c1x: sp.x, c1y: sp.y + (ddy > 0 ? off : -off), c2x: tp.x, c2y: tp.y - (ddy > 0 ? off : -off) };
+      };
+
       const buildEdgeSvgPath = (points) => {
         if (!points || points.length < 2) return "";
         if (points.length === 2) {
           const sp = points[0], tp = points[1];
-          const ddx = tp.x - sp.x, ddy = tp.y - sp.y;
-          const off = Math.max(Math.hypot(ddx, ddy) * 0.35, 25);
-          let c1x, c1y, c2x, c2y;
-          if (Math.abs(ddx) > Math.abs(ddy)) {
-            c1x = sp.x + (ddx > 0 ? off : -off); c1y = sp.y;
-            c2x = tp.x - (ddx > 0 ? off : -off); c2y = tp.y;
-          } else {
-            c1x = sp.x; c1y = sp.y + (ddy > 0 ? off : -off);
-            c2x = tp.x; c2y = tp.y - (ddy > 0 ? off : -off);
-          }
+          const { c1x, c1y, c2x, c2y } = curveControls(sp, tp);
           return "M " + sp.x.toFixed(1) + " " + sp.y.toFixed(1) + " C " + c1x.toFixed(1) + " " + c1y.toFixed(1) + " " + c2x.toFixed(1) + " " + c2y.toFixed(1) + " " + tp.x.toFixed(1) + " " + tp.y.toFixed(1);
         }
         // Multi-point: Catmull-Rom to cubic bezier
@@ -3885,17 +4687,291 @@ function getIframeSrcDoc() {
         return d;
       };
 
-      const buildSelfLoopPath = (nodeEl) => {
-        const nx = parseFloat(nodeEl.style.left), ny = parseFloat(nodeEl.style.top);
-        const nw = nodeEl.offsetWidth || 100, nh = nodeEl.offsetHeight || 40;
-        const cx = nx + nw / 2, topY = ny;
-        const loopH = 40, loopW = 30;
-        return "M " + (cx - loopW) + " " + topY + " C " + (cx - loopW) + " " + (topY - loopH) + " " + (cx + loopW) + " " + (topY - loopH) + " " + (cx + loopW) + " " + topY;
-      };
+      // Straight segments through ELK's bend points with small rounded corners
+      const buildOrthogonalEdgePath = (points) => {
+        if (!points || points.length < 2) return "";
+        let d = "M " + points[0].x.toFixed(1) + " " + points[0].y.toFixed(1);
+        for (let i = 1; i < points.length - 1; i++) {
+          const p0 = points[i - 1], p1 = points[i], p2 = points[i + 1];
+          const l1 = Math.hypot(p1.x - p0.x, p1.y - p0.y);
+          const l2 = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+          const r = Math.min(6, l1 / 2, l2 / 2);
+          if (!r) {
+            d += " L " + p1.x.toFixed(1) + " " + p1.y.toFixed(1);
+            continue;
+          }
+          const ax = p1.x + (p0.x - p1.x) / l1 * r, ay = p1.y + (p0.y - p1.y) / l1 * r;
+          const bx = p1.x + (p2.x - p1.x) / l2 * r, by = p1.y + (p2.y - p1.y) / l2 * r;
+          d += " L " + ax.toFixed(1) + " " + ay.toFixed(1) + " Q " + p1.x.toFixed(1) + " " + p1.y.toFixed(1) + " " + bx.toFixed(1) + " " + by.toFixed(1);
+        }
+        const last = points[points.length - 1];
+        return d + " L " + last.x.toFixed(1) + " " + last.y.toFixed(1);
+      };
+
+      const buildStraightEdgePath = (points) =>
+        points.map((p, i) => (i ? " L " : "M ") + p.x.toFixed(1) + " " + p.y.toFixed(1)).join("");
+
+      /* ── Edge routing ─────────────────────────────────── */
+      // Rects are { x, y, w, h } with x/y at the top-left corner
+      const ROUTE_GAP = 14;
+      const BEND_COST = 40;
+
+      const expandRect = (r, m) => ({ x: r.x - m, y: r.y - m, w: r.w + 2 * m, h: r.h + 2 * m });
+
+      // Does segment a→b pass through the interior of rect r (Liang–Barsky)?
+      const segmentHitsRect = (a, b, r) => {
+        const dx = b.x - a.x, dy = b.y - a.y;
+        let t0 = 0, t1 = 1;
+        const edges = [[-dx, a.x - r.x], [dx, r.x + r.w - a.x], [-dy, a.y - r.y], [dy, r.y + r.h - a.y]];
+        for (const [p, q] of edges) {
+          if (p === 0) {
+            if (q <= 0) return false;
+            continue;
+          }
+          const t = q / p;
+          if (p < 0) { if (t > t0) t0 = t; } else if (t < t1) t1 = t;
+          if (t0 >= t1) return false;
+        }
+        return t1 - t0 > 1e-6;
+      };
+      const segmentClear = (a, b, obstacles) => !obstacles.some((r) => segmentHitsRect(a, b, r));
+
+      // Midpoint of the side of r facing the given point
+      const facingSide = (r, toward) => {
+        const cx = r.x + r.w / 2, cy = r.y + r.h / 2;
+        const dx = toward.x - cx, dy = toward.y - cy;
+        if (Math.abs(dx) * r.h > Math.abs(dy) * r.w) return dx > 0 ? "right" : "left";
+        return dy > 0 ? "bottom" : "top";
+      };
+      const SIDE_DIR = { right: [1, 0], left: [-1, 0], bottom: [0, 1], top: [0, -1] };
+      const sidePoint = (r, side, out) => {
+        const [ux, uy] = SIDE_DIR[side];
+        const cx = r.x + r.w / 2, cy = r.y + r.h / 2;
+        return { x: cx + ux * (r.w / 2 + out), y: cy + uy * (r.h / 2 + out) };
+      };
+
+      // Drop points that sit on a straight run between their neighbours
+      const simplifyRoute = (points) => {
+        const out = [];
+        for (const p of points) {
+          const n = out.length;
+          if (n && Math.abs(out[n - 1].x - p.x) < 0.5 && Math.abs(out[n - 1].y - p.y) < 0.5) continue;
+          if (n >= 2) {
+            const a = out[n - 2], b = out[n - 1];
+            if ((Math.abs(a.x - b.x) < 0.5 && Math.abs(b.x - p.x) < 0.5) || (Math.abs(a.y - b.y) < 0.5 && Math.abs(b.y - p.y) < 0.5)) out.pop();
+          }
+          out.push(p);
+        }
+        return out;
+      };
+
+      // A* over the sparse grid formed by the stubs and the obstacle outlines.
+      // Returns the corner points between the two stubs, or null.
+      const searchOrthogonal = (from, fromDir, to, toDir, obstacles) => {
+        const xs = [...new Set([from.x, to.x, ...obstacles.flatMap((r) => [r.x - 2, r.x + r.w + 2])])].sort((a, b) => a - b);
+        const ys = [...new Set([from.y, to.y, ...obstacles.flatMap((r) => [r.y - 2, r.y + r.h + 2])])].sort((a, b) => a - b);
+        const inside = (x, y) => obstacles.some((r) => x > r.x && x < r.x + r.w && y > r.y && y < r.y + r.h);
+        const key = (i, j, d) => (i * ys.length + j) * 4 + d;
+        const DIRS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+        const dirIndex = (v) => DIRS.findIndex((d) => d[0] === v[0] && d[1] === v[1]);
+        const si = xs.indexOf(from.x), sj = ys.indexOf(from.y);
+        const ti = xs.indexOf(to.x), tj = ys.indexOf(to.y);
+        const endDir = dirIndex([-toDir[0], -toDir[1]]);
+        const h = (i, j) => Math.abs(xs[i] - to.x) + Math.abs(ys[j] - to.y);
+        // Binary min-heap on f
+        const open = [];
+        const push = (n) => {
+          open.push(n);
+          for (let c = open.length - 1; c > 0;) {
+            const p = (c - 1) >> 1;
+            if (open[p].f <= open[c].f) break;
+            [open[p], open[c]] = [open[c], open[p]];
+            c = p;
+          }
+        };
+        const pop = () => {
+          const top = open[0], last = open.pop();
+          if (open.length) {
+            open[0] = last;
+            for (let p = 0; ;) {
+              const l = 2 * p + 1, r = l + 1;
+              let m = p;
+              if (l < open.length && open[l].f < open[m].f) m = l;
+              if (r < open.length && open[r].f < open[m].f) m = r;
+              if (m === p) break;
+              [open[p], open[m]] = [open[m], open[p]];
+              p = m;
+            }
+          }
+          return top;
+        };
+        push({ i: si, j: sj, d: dirIndex(fromDir), g: 0, f: h(si, sj), prev: null });
+        const best = new Map([[key(si, sj, dirIndex(fromDir)), 0]]);
+        let guard = 0;
+        while (open.length && guard++ < 20000) {
+          const cur = pop();
+          if (cur.g > (best.get(key(cur.i, cur.j, cur.d)) ?? Infinity)) continue;
+          if (cur.i === ti && cur.j === tj) {
+            const pts = [];
+            for (let n = cur; n; n = n.prev) pts.unshift({ x: xs[n.i], y: ys[n.j] });
+            return pts;
+          }
+          DIRS.forEach(([ux, uy], d) => {
+            if (d === (cur.d ^ 1)) return; // no U-turns
+            const ni = cur.i + ux, nj = cur.j + uy;
+            if (ni < 0 || nj < 0 || ni >= xs.length || nj >= ys.length) return;
+            const a = { x: xs[cur.i], y: ys[cur.j] }, b = { x: xs[ni], y: ys[nj] };
+            if (inside(b.x, b.y) || !segmentClear(a, b, obstacles)) return;
+            let g = cur.g + Math.abs(b.x - a.x) + Math.abs(b.y - a.y) + (d !== cur.d ? BEND_COST : 0);
+            if (ni === ti && nj === tj && d !== endDir) g += BEND_COST;
+            const k = key(ni, nj, d);
+            if (g >= (best.get(k) ?? Infinity)) return;
+            best.set(k, g);
+            push({ i: ni, j: nj, d, g, f: g + h(ni, nj), prev: cur });
+          });
+        }
+        return null;
+      };
+
+      // Orthogonal route between two boxes that steps around the obstacles
+      const routeOrthogonal = (sRect, tRect, obstacles) => {
+        const sSide = facingSide(sRect, { x: tRect.x + tRect.w / 2, y: tRect.y + tRect.h / 2 });
+        const tSide = facingSide(tRect, { x: sRect.x + sRect.w / 2, y: sRect.y + sRect.h / 2 });
+        const start = sidePoint(sRect, sSide, 0), end = sidePoint(tRect, tSide, 0);
+        const sStub = sidePoint(sRect, sSide, ROUTE_GAP), tStub = sidePoint(tRect, tSide, ROUTE_GAP);
+        // Only boxes near the straight-line corridor can affect the route
+        const pad = 160;
+        const box = { x: Math.min(sStub.x, tStub.x) - pad, y: Math.min(sStub.y, tStub.y) - pad, w: Math.abs(sStub.x - tStub.x) + 2 * pad, h: Math.abs(sStub.y - tStub.y) + 2 * pad };
+        const near = [sRect, tRect, ...obstacles]
+          .filter((r) => r.x < box.x + box.w && r.x + r.w > box.x && r.y < box.y + box.h && r.y + r.h > box.y)
+          .map((r) => expandRect(r, ROUTE_GAP - 2));
+        const mid = searchOrthogonal(sStub, SIDE_DIR[sSide], tStub, SIDE_DIR[tSide], near)
+          || [sStub, { x: tStub.x, y: sStub.y }, tStub];
+        return simplifyRoute([start, ...mid, end]);
+      };
+
+      // Shortcut corners of a route wherever a straight line is clear
+      const pullRoute = (points, obstacles) => {
+        const out = [points[0]];
+        let i = 0;
+        while (i < points.length - 1) {
+          let j = points.length - 1;
+          while (j > i + 1 && !segmentClear(points[i], points[j], obstacles)) j--;
+          out.push(points[j]);
+          i = j;
+        }
+        return out;
+      };
+
+      // Points for an edge in the given style. Straight and curved edges keep
+      // the direct line when nothing is in the way.
+      const routeFlowEdge = (sRect, sShape, tRect, tShape, obstacles, style) => {
+        const sc = { x: sRect.x + sRect.w / 2, y: sRect.y + sRect.h / 2 };
+        const tc = { x: tRect.x + tRect.w / 2, y: tRect.y + tRect.h / 2 };
+        const ends = (a, b) => [
+          getConnectionPt(sc.x, sc.y, sRect.w / 2, sRect.h / 2, a.x, a.y, sShape),
+          getConnectionPt(tc.x, tc.y, tRect.w / 2, tRect.h / 2, b.x, b.y, tShape),
+        ];
+        if (style !== "orthogonal") {
+          const [sp, tp] = ends(tc, sc);
+          if (segmentClear(sp, tp, obstacles.map((r) => expandRect(r, 4)))) return [sp, tp];
+        }
+        const route = routeOrthogonal(sRect, tRect, obstacles);
+        if (style === "orthogonal") return route;
+        const pulled = pullRoute(route, obstacles.map((r) => expandRect(r, 4)));
+        const [sp, tp] = ends(pulled[1], pulled[pulled.length - 2]);
+        return [sp, ...pulled.slice(1, -1), tp];
+      };
+
+      // Point at fraction t of a polyline's length
+      const pointAlongRoute = (points, t) => {
+        const lens = [];
+        let total = 0;
+        for (let i = 1; i < points.length; i++) {
+          const l = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+          lens.push(l);
+          total += l;
+        }
+        let target = total * t;
+        for (let i = 1; i < points.length; i++) {
+          if (target <= lens[i - 1] || i === points.length - 1) {
+            const f = lens[i - 1] ? Math.min(1, target / lens[i - 1]) : 0;
+            return { x: points[i - 1].x + (points[i].x - points[i - 1].x) * f, y: points[i - 1].y + (points[i].y - points[i - 1].y) * f };
+          }
+          target -= lens[i - 1];
+        }
+        return points[0];
+      };
+
+      // Edge style for the flowchart on screen: "straight" | "orthogonal" | "curved"
+      let flowEdgeStyle = "curved";
+
+      const buildStyledEdgePath = (points, style) => {
+        if (style === "orthogonal") return buildOrthogonalEdgePath(points);
+        if (style === "straight") return buildStraightEdgePath(points);
+        return buildEdgeSvgPath(points);
+      };
+
+      // Polyline that follows the drawn path closely enough to place labels on
+      const edgeLabelTrack = (points, style) => {
+        if (style !== "curved" || points.length !== 2) return points;
+        const sp = points[0], tp = points[1];
+        const { c1x, c1y, c2x, c2y } = curveControls(sp, tp);
+        const track = [];
+        for (let k = 0; k <= 12; k++) {
+          const t = k / 12, u = 1 - t;
+          track.push({
+            x: u * u * u * sp.x + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * tp.x,
+            y: u * u * u * sp.y + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * tp.y,
+          });
+        }
+        return track;
+      };
+
+      // Put an edge label at the middle of its path, sliding along the path
+      // when that spot would cover a node or another edge label
+      const placeEdgeLabel = (edgeSvg, lbl, bg, track, nodeRects) => {
+        let w = String(lbl.textContent || "").length * 6.5 + 8, h = 18;
+        try { const bb = lbl.getBBox(); if (bb.width) { w = bb.width + 8; h = bb.height + 4; } } catch (ex) {}
+        const others = Array.from(edgeSvg.querySelectorAll(".mf-edge-label-bg"))
+          .filter((r) => r !== bg && r.getAttribute("width"))
+          .map((r) => ({ x: parseFloat(r.getAttribute("x")), y: parseFloat(r.getAttribute("y")), w: parseFloat(r.getAttribute("width")), h: parseFloat(r.getAttribute("height")) }));
+        const overlaps = (a, b) => a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+        let pos = pointAlongRoute(track, 0.5);
+        for (const t of [0.5, 0.4, 0.6, 0.3, 0.7, 0.2, 0.8]) {
+          const p = pointAlongRoute(track, t);
+          const box = { x: p.x - w / 2, y: p.y - h / 2, w, h };
+          if (!others.some((o) => overlaps(box, o)) && !nodeRects.some((o) => overlaps(box, o))) {
+            pos = p;
+            break;
+          }
+        }
+        lbl.setAttribute("x", pos.x.toFixed(1));
+        lbl.setAttribute("y", pos.y.toFixed(1));
+        if (bg) {
+          bg.setAttribute("x", pos.x - w / 2); bg.setAttribute("y", pos.y - h / 2);
+          bg.setAttribute("width", w); bg.setAttribute("height", h);
+        }
+      };
+
+      const buildSelfLoopPath = (nodeEl) => {
+        const nx = parseFloat(nodeEl.style.left), ny = parseFloat(nodeEl.style.top);
+        const nw = nodeEl.offsetWidth || 100, nh = nodeEl.offsetHeight || 40;
+        const cx = nx + nw / 2, topY = ny;
+        const loopH = 40, loopW = 30;
+        return "M " + (cx - loopW) + " " + topY + " C " + (cx - loopW) + " " + (topY - loopH) + " " + (cx + loopW) + " " + (topY - loopH) + " " + (cx + loopW) + " " + topY;
+      };
 
+      // Redraw the edges touching nodeId (every edge when nodeId is null) in
+      // the current edge style, routed around the other node boxes
       const updateFlowEdgesForNode = (edgeSvg, edges, nodeId, nodeEls, nodeDims) => {
+        const rectOf = (id) => {
+          const dim = nodeDims[id] || { width: 100, height: 40 };
+          return { x: parseFloat(nodeEls[id].style.left), y: parseFloat(nodeEls[id].style.top), w: dim.width, h: dim.height };
+        };
+        let nodeRects = null;
         for (const e of edges) {
-          if (e.source !== nodeId && e.target !== nodeId) continue;
+          if (nodeId && e.source !== nodeId && e.target !== nodeId) continue;
           const pathEl = edgeSvg.querySelector('.mf-edge[data-source="' + CSS.escape(e.source) + '"][data-target="' + CSS.escape(e.target) + '"]');
           const hitEl = edgeSvg.querySelector('.mf-edge-hit[data-source="' + CSS.escape(e.source) + '"][data-target="' + CSS.escape(e.target) + '"]');
           if (!pathEl) continue;
@@ -3917,45 +4993,30 @@ function getIframeSrcDoc() {
             if (bg && lbl) { try { const bb = lbl.getBBox(); bg.setAttribute("x", bb.x - 4); bg.setAttribute("y", bb.y - 2); bg.setAttribute("width", bb.width + 8); bg.setAttribute("height", bb.height + 4); } catch(ex) {} }
             continue;
           }
-          const sDim = nodeDims[e.source] || { width: 100, height: 40 };
-          const tDim = nodeDims[e.target] || { width: 100, height: 40 };
-          const sx = parseFloat(srcEl.style.left) + sDim.width / 2;
-          const sy = parseFloat(srcEl.style.top) + sDim.height / 2;
-          const tx = parseFloat(tgtEl.style.left) + tDim.width / 2;
-          const ty = parseFloat(tgtEl.style.top) + tDim.height / 2;
+          if (!nodeRects) nodeRects = Object.keys(nodeEls).map((id) => ({ id, ...rectOf(id) }));
+          const obstacles = nodeRects.filter((r) => r.id !== e.source && r.id !== e.target);
           const sShape = srcEl.getAttribute("data-shape") || "rect";
           const tShape = tgtEl.getAttribute("data-shape") || "rect";
-          const sp = getConnectionPt(sx, sy, sDim.width / 2, sDim.height / 2, tx, ty, sShape);
-          const tp = getConnectionPt(tx, ty, tDim.width / 2, tDim.height / 2, sx, sy, tShape);
-          const dist = Math.hypot(tp.x - sp.x, tp.y - sp.y);
-          const off = Math.max(dist * 0.35, 25);
-          const ddx = tp.x - sp.x;
-          const ddy = tp.y - sp.y;
-          let c1x, c1y, c2x, c2y;
-          if (Math.abs(ddx) > Math.abs(ddy)) {
-            c1x = sp.x + (ddx > 0 ? off : -off); c1y = sp.y;
-            c2x = tp.x - (ddx > 0 ? off : -off); c2y = tp.y;
-          } else {
-            c1x = sp.x; c1y = sp.y + (ddy > 0 ? off : -off);
-            c2x = tp.x; c2y = tp.y - (ddy > 0 ? off : -off);
-          }
-          const nd = "M " + sp.x.toFixed(1) + " " + sp.y.toFixed(1) + " C " + c1x.toFixed(1) + " " + c1y.toFixed(1) + " " + c2x.toFixed(1) + " " + c2y.toFixed(1) + " " + tp.x.toFixed(1) + " " + tp.y.toFixed(1);
+          const points = routeFlowEdge(rectOf(e.source), sShape, rectOf(e.target), tShape, obstacles, flowEdgeStyle);
+          const nd = buildStyledEdgePath(points, flowEdgeStyle);
           pathEl.setAttribute("d", nd);
           if (hitEl) hitEl.setAttribute("d", nd);
-          // Update label position — bezier midpoint at t=0.5
           const bg = edgeSvg.querySelector('.mf-edge-label-bg[data-source="' + CSS.escape(e.source) + '"][data-target="' + CSS.escape(e.target) + '"]');
           const lbl = edgeSvg.querySelector('.mf-edge-label[data-source="' + CSS.escape(e.source) + '"][data-target="' + CSS.escape(e.target) + '"]');
-          if (lbl) {
-            const mx = 0.125 * sp.x + 0.375 * c1x + 0.375 * c2x + 0.125 * tp.x;
-            const my = 0.125 * sp.y + 0.375 * c1y + 0.375 * c2y + 0.125 * tp.y;
-            lbl.setAttribute("x", mx.toFixed(1)); lbl.setAttribute("y", my.toFixed(1));
-          }
-          if (bg && lbl) { try { const bb = lbl.getBBox(); bg.setAttribute("x", bb.x - 4); bg.setAttribute("y", bb.y - 2); bg.setAttribute("width", bb.width + 8); bg.setAttribute("height", bb.height + 4); } catch(ex) {} }
+          if (lbl) placeEdgeLabel(edgeSvg, lbl, bg, edgeLabelTrack(points, flowEdgeStyle), nodeRects);
         }
       };
 
-      const renderCustomFlowchart = (flowData, classDefs, classAssignments, styleOvr, styleDirectives) => {
+      const renderCustomFlowchart = async (flowData, classDefs, classAssignments, styleOvr, styleDirectives, positions, layoutEngine, edgeStyle) => {
+        const seq = renderSeq;
+        // Fetch ELK before clearing the canvas so the old diagram stays up meanwhile
+        if (layoutEngine === "elk") {
+          try { await loadElk(); } catch (err) { console.warn("ELK failed to load, using dagre:", err); }
+          if (seq !== renderSeq) return;
+        }
         setGanttMode(false);
+        // Saved positions from the editor replace whatever this frame accumulated
+        if (positions) positionOverrides = { ...positions };
         clearGanttOverlay();
         canvas.innerHTML = "";
         canvas.style.justifyContent = "center";
@@ -3966,6 +5027,88 @@ function getIframeSrcDoc() {
         let multiSelected = new Set();
         let marqueeState = null;
 
+        const flowNodeBox = (id) => {
+          const dim = nodeDims[id] || { width: 100, height: 40 };
+          return { id, x: parseFloat(nodeEls[id].style.left), y: parseFloat(nodeEls[id].style.top), w: dim.width, h: dim.height };
+        };
+
+        // Smart guides: while dragging, a node's edges or center snap to those
+        // of the other nodes within GUIDE_SNAP px and a guide line marks the
+        // match. Axes without a match fall back to the grid.
+        const GUIDE_SNAP = 6;
+        const clearGuides = () => container.querySelectorAll(".mf-flow-guide").forEach((gl) => gl.remove());
+        const snapWithGuides = (box, skip) => {
+          clearGuides();
+          const others = Object.keys(nodeEls).filter((id) => !skip.has(id)).map(flowNodeBox);
+          const anchorsX = (b) => [b.x, b.x + b.w / 2, b.x + b.w];
+          const anchorsY = (b) => [b.y, b.y + b.h / 2, b.y + b.h];
+          const best = (own, getAnchors) => {
+            let hit = null;
+            for (const o of others) {
+              for (const at of getAnchors(o)) {
+                for (const a of own) {
+                  const d = at - a;
+                  if (Math.abs(d) <= GUIDE_SNAP && (!hit || Math.abs(d) < Math.abs(hit.d))) hit = { d, at };
+                }
+              }
+            }
+            return hit;
+          };
+          const hitX = best(anchorsX(box), anchorsX);
+          const hitY = best(anchorsY(box), anchorsY);
+          const snapped = {
+            x: hitX ? box.x + hitX.d : snapToGrid(box.x),
+            y: hitY ? box.y + hitY.d : snapToGrid(box.y),
+          };
+          const moved = { ...box, ...snapped };
+          const drawGuide = (vertical, at, getAnchors) => {
+            const lined = [moved, ...others.filter((o) => getAnchors(o).some((a) => Math.abs(a - at) < 0.5))];
+            const from = Math.min(...lined.map((b) => (vertical ? b.y : b.x))) - 8;
+            const to = Math.max(...lined.map((b) => (vertical ? b.y + b.h : b.x + b.w))) + 8;
+            const gl = document.createElement("div");
+            gl.className = "mf-flow-guide";
+            gl.style.left = (vertical ? at : from) + "px";
+            gl.style.top = (vertical ? from : at) + "px";
+            gl.style.width = (vertical ? 1 : to - from) + "px";
+            gl.style.height = (vertical ? to - from : 1) + "px";
+            container.appendChild(gl);
+          };
+          if (hitX) drawGuide(true, hitX.at, anchorsX);
+          if (hitY) drawGuide(false, hitY.at, anchorsY);
+          return snapped;
+        };
+
+        // Align or distribute the given boxes; returns their new { id, x, y }
+        const arrangeFlowBoxes = (boxes, mode) => {
+          const minX = Math.min(...boxes.map((b) => b.x));
+          const maxX = Math.max(...boxes.map((b) => b.x + b.w));
+          const minY = Math.min(...boxes.map((b) => b.y));
+          const maxY = Math.max(...boxes.map((b) => b.y + b.h));
+          const place = {
+            left: (b) => ({ x: minX }),
+            center: (b) => ({ x: (minX + maxX) / 2 - b.w / 2 }),
+            right: (b) => ({ x: maxX - b.w }),
+            top: (b) => ({ y: minY }),
+            middle: (b) => ({ y: (minY + maxY) / 2 - b.h / 2 }),
+            bottom: (b) => ({ y: maxY - b.h }),
+          }[mode];
+          if (place) return boxes.map((b) => ({ id: b.id, x: b.x, y: b.y, ...place(b) }));
+          // Distribute: the outermost boxes stay put and the gaps between
+          // neighbours become equal
+          const horizontal = mode === "distribute-h";
+          const pos = horizontal ? "x" : "y", size = horizontal ? "w" : "h";
+          const sorted = [...boxes].sort((a, b) => (a[pos] + a[size] / 2) - (b[pos] + b[size] / 2));
+          const first = sorted[0], last = sorted[sorted.length - 1];
+          const span = last[pos] + last[size] - first[pos];
+          const gap = (span - sorted.reduce((sum, b) => sum + b[size], 0)) / (sorted.length - 1);
+          let cursor = first[pos];
+          return sorted.map((b) => {
+            const next = { id: b.id, x: b.x, y: b.y, [pos]: cursor };
+            cursor += b[size] + gap;
+            return next;
+          });
+        };
+
         const sendMultiSelection = () => {
           const nodeIds = [...multiSelected];
           const screenBoxes = {};
@@ -4002,8 +5145,14 @@ function getIframeSrcDoc() {
 
         // Measure and layout
         const nodeDims = measureNodeDimensions(flowData.nodes, classDefMap, classAssignments || {});
-        const g = layoutFlowchart(flowData, nodeDims);
+        let g = null;
+        if (layoutEngine === "elk") {
+          try { g = await layoutFlowchartElk(flowData, nodeDims); } catch (err) { console.warn("ELK layout failed, using dagre:", err); }
+          if (seq !== renderSeq) return;
+        }
+        if (!g) g = layoutFlowchart(flowData, nodeDims);
         const graphInfo = g.graph();
+        flowEdgeStyle = edgeStyle || (graphInfo.orthogonal ? "orthogonal" : "curved");
         const gw = (graphInfo.width || 600) + 80;
         const gh = (graphInfo.height || 400) + 80;
 
@@ -4145,7 +5294,7 @@ function getIframeSrcDoc() {
           }
           const de = g.edge(edge.source, edge.target);
           if (!de || !de.points) continue;
-          const d = buildEdgeSvgPath(de.points);
+          const d = graphInfo.orthogonal ? buildOrthogonalEdgePath(de.points) : buildEdgeSvgPath(de.points);
           const hasArrow = at === "-->" || at === "--->" || at === "==>" || at === "-.->";
           const isThick = at === "==>" || at === "===" || at === "<==>";
           const isDashed = at === "-.->" || at === "-.-" || at === "<-.->";
@@ -4185,7 +5334,7 @@ function getIframeSrcDoc() {
 
           if (edge.label) {
             const pts = de.points;
-            const mid = pts[Math.floor(pts.length / 2)];
+            const mid = de.labelPos || pts[Math.floor(pts.length / 2)];
             const bg = document.createElementNS(ns, "rect");
             bg.setAttribute("class", "mf-edge-label-bg");
             bg.setAttribute("data-source", edge.source); bg.setAttribute("data-target", edge.target);
@@ -4375,18 +5524,22 @@ function getIframeSrcDoc() {
             if (Math.abs(dx) > 3 || Math.abs(dy) > 3) dragInfo.moved = true;
             if (!dragInfo.moved) return;
             if (dragInfo.isGroupDrag) {
+              // The grabbed node snaps; the rest of the group keeps its offsets
+              const snapped = snapWithGuides({ x: dragInfo.origLeft + dx, y: dragInfo.origTop + dy, w: dim.width, h: dim.height }, new Set(Object.keys(dragInfo.groupOrigins)));
+              const sdx = snapped.x - dragInfo.origLeft, sdy = snapped.y - dragInfo.origTop;
               for (const [nid, orig] of Object.entries(dragInfo.groupOrigins)) {
                 const nel = nodeEls[nid];
                 if (nel) {
-                  nel.style.left = snapToGrid(orig.left + dx) + "px";
-                  nel.style.top = snapToGrid(orig.top + dy) + "px";
+                  nel.style.left = (orig.left + sdx) + "px";
+                  nel.style.top = (orig.top + sdy) + "px";
                   updateFlowEdgesForNode(edgeSvg, flowData.edges, nid, nodeEls, nodeDims);
                 }
               }
               updateSubgraphBounds();
             } else {
-              el.style.left = snapToGrid(dragInfo.origLeft + dx) + "px";
-              el.style.top = snapToGrid(dragInfo.origTop + dy) + "px";
+              const snapped = snapWithGuides({ x: dragInfo.origLeft + dx, y: dragInfo.origTop + dy, w: dim.width, h: dim.height }, new Set([node.id]));
+              el.style.left = snapped.x + "px";
+              el.style.top = snapped.y + "px";
               updateFlowEdgesForNode(edgeSvg, flowData.edges, node.id, nodeEls, nodeDims);
               updateSubgraphBounds();
               // Subgraph drop target highlighting (single drag only)
@@ -4413,6 +5566,7 @@ function getIframeSrcDoc() {
             const dy = ev.clientY - dragInfo.startY;
             el.releasePointerCapture(ev.pointerId);
             el.style.cursor = ""; el.style.zIndex = "";
+            clearGuides();
             container.querySelectorAll(".mf-flow-subgraph.mf-subgraph-drop-target").forEach(s => s.classList.remove("mf-subgraph-drop-target"));
             if (dragInfo.moved && (Math.abs(dx) > 4 || Math.abs(dy) > 4)) {
               suppressClick = true;
@@ -4554,6 +5708,56 @@ function getIframeSrcDoc() {
           nodeEls[node.id] = el;
         }
 
+        // Pinned nodes keep their saved spots. Nodes without one stay where
+        // dagre put them unless that lands on a pinned node, in which case they
+        // are pushed past it along the flow direction.
+        const pinnedIds = Object.keys(nodeEls).filter((id) => positionOverrides[id] && positionOverrides[id].absX != null);
+        if (pinnedIds.length) {
+          const dir = String(flowData.direction || "TD").toUpperCase();
+          const horizontal = dir === "LR" || dir === "RL";
+          const gap = 24;
+          const rectOf = (id) => {
+            const dim = nodeDims[id] || { width: 100, height: 40 };
+            return { x: parseFloat(nodeEls[id].style.left), y: parseFloat(nodeEls[id].style.top), w: dim.width, h: dim.height };
+          };
+          const overlaps = (a, b) => a.x < b.x + b.w + gap && b.x < a.x + a.w + gap && a.y < b.y + b.h + gap && b.y < a.y + a.h + gap;
+          const pinnedRects = pinnedIds.map(rectOf);
+          const moved = new Set(pinnedIds);
+          for (const id of Object.keys(nodeEls)) {
+            if (moved.has(id)) continue;
+            const r = rectOf(id);
+            if (!pinnedRects.some((p) => overlaps(r, p))) continue;
+            const others = Object.keys(nodeEls).filter((o) => o !== id);
+            for (let guard = 0; guard <= others.length; guard++) {
+              const hit = others.map(rectOf).find((o) => overlaps(r, o));
+              if (!hit) break;
+              if (horizontal) r.x = hit.x + hit.w + gap;
+              else r.y = hit.y + hit.h + gap;
+            }
+            nodeEls[id].style.left = r.x + "px";
+            nodeEls[id].style.top = r.y + "px";
+            moved.add(id);
+          }
+          if (!edgeStyle) for (const id of moved) updateFlowEdgesForNode(edgeSvg, flowData.edges || [], id, nodeEls, nodeDims);
+          let maxRight = gw, maxBottom = gh;
+          for (const id of Object.keys(nodeEls)) {
+            const r = rectOf(id);
+            maxRight = Math.max(maxRight, r.x + r.w + 40);
+            maxBottom = Math.max(maxBottom, r.y + r.h + 40);
+          }
+          if (maxRight > gw || maxBottom > gh) {
+            container.style.width = maxRight + "px";
+            container.style.height = maxBottom + "px";
+            edgeSvg.setAttribute("width", maxRight);
+            edgeSvg.setAttribute("height", maxBottom);
+            edgeSvg.style.width = maxRight + "px";
+            edgeSvg.style.height = maxBottom + "px";
+          }
+        }
+
+        // A chosen edge style replaces the layout engine's own edge paths
+        if (edgeStyle) updateFlowEdgesForNode(edgeSvg, flowData.edges || [], null, nodeEls, nodeDims);
+
         // Dynamic subgraph bounds
         const updateSubgraphBounds = () => {
           for (const sg of (flowData.subgraphs || [])) {
@@ -4718,6 +5922,22 @@ function getIframeSrcDoc() {
             for (const nid of ids) multiSelected.add(nid);
             highlightMultiSelected();
           }
+          if (d.type === "flowchart:arrange" && container.isConnected) {
+            const boxes = (d.payload?.nodeIds || []).filter((nid) => nodeEls[nid]).map(flowNodeBox);
+            if (boxes.length >= (String(d.payload?.mode).startsWith("distribute") ? 3 : 2)) {
+              const moves = {};
+              for (const b of arrangeFlowBoxes(boxes, d.payload.mode)) {
+                const absX = Math.round(b.x), absY = Math.round(b.y);
+                nodeEls[b.id].style.left = absX + "px";
+                nodeEls[b.id].style.top = absY + "px";
+                positionOverrides[b.id] = { absX, absY };
+                moves[b.id] = { deltaX: 0, deltaY: 0, absX, absY };
+              }
+              for (const b of boxes) updateFlowEdgesForNode(edgeSvg, flowData.edges || [], b.id, nodeEls, nodeDims);
+              updateSubgraphBounds();
+              send("elements:dragged", { moves });
+            }
+          }
         };
         window.addEventListener("message", handleConnectMsg);
 
@@ -8207,6 +9427,11 @@ function getIframeSrcDoc() {
           return;
         }
 
+        if (data.type === "gantt:clear-selection") {
+          canvas.querySelectorAll(".mf-gantt-bar.mf-selected, .mf-gantt-milestone.mf-selected").forEach((el) => el.classList.remove("mf-selected"));
+          return;
+        }
+
         if (data.type === "apply:positions") {
           // Merge parent overrides with any existing iframe-side overrides
           const incoming = data.payload?.overrides || {};
@@ -8337,6 +9562,7 @@ function getIframeSrcDoc() {
 
         const { code, config, panModeEnabled: nextPanModeEnabled } = data.payload || {};
         if (!code) return;
+        renderSeq++;
         if (typeof nextPanModeEnabled === "boolean") {
           panModeEnabled = nextPanModeEnabled;
           updateWrapCursor();
@@ -8356,12 +9582,12 @@ function getIframeSrcDoc() {
           if (isGantt) {
             // Custom HTML Gantt renderer — bypass Mermaid SVG
             const gd = data.payload?.ganttData || {};
-            renderCustomGantt(gd.tasks || [], gd.scale || "week", gd.showDates !== false, gd.showGrid || false, gd.directives || {}, gd.compact || false, gd.ganttZoom || 1, gd.pinCategories !== false, gd.showCriticalPath || false, gd.showDepLines || false, gd.executiveView || false, gd.showRisks || false, gd.riskFlags || {}, gd.cycles || [], gd.baselineTasks || null, gd.assigneeFilterApplied || false);
+            renderCustomGantt(gd.tasks || [], gd.scale || "week", gd.showDates !== false, gd.showGrid || false, gd.directives || {}, gd.compact || false, gd.ganttZoom || 1, gd.pinCategories !== false, gd.showCriticalPath || false, gd.showDepLines || false, gd.executiveView || false, gd.showRisks || false, gd.riskFlags || {}, gd.cycles || [], gd.baselineTasks || null, gd.assigneeFilterApplied || false, gd.scenarioOverlays || [], gd.cascadeDrag || false, gd.selectedLabels || [], gd.sectionRollups || {}, gd.collapsedSections || [], gd.externalStubs || [], gd.workload || null);
             send("render:success", { diagramType: currentDiagramType, svg: "", isCustomGantt: true });
           } else if (isFlowchart) {
             // Custom HTML Flowchart renderer — bypass Mermaid SVG
             const fd = data.payload?.flowchartData || {};
-            renderCustomFlowchart(fd.parsed || {}, fd.classDefs || [], fd.classAssignments || {}, fd.styleOverrides || {}, fd.styleDirectives || {});
+            await renderCustomFlowchart(fd.parsed || {}, fd.classDefs || [], fd.classAssignments || {}, fd.styleOverrides || {}, fd.styleDirectives || {}, fd.positionOverrides || null, fd.layoutEngine || "dagre", fd.edgeStyle || null);
             send("render:success", { diagramType: currentDiagramType, svg: "", isCustomFlowchart: true });
           } else if (isEr) {
             // Custom HTML ER Diagram renderer — bypass Mermaid SVG
@@ -8404,7 +9630,7 @@ function getIframeSrcDoc() {
           if (isRankCrash) {
             try {
               const fd = data.payload?.flowchartData || {};
-              renderCustomFlowchart(fd.parsed || {}, fd.classDefs || [], fd.classAssignments || {}, fd.styleOverrides || {}, fd.styleDirectives || {});
+              await renderCustomFlowchart(fd.parsed || {}, fd.classDefs || [], fd.classAssignments || {}, fd.styleOverrides || {}, fd.styleDirectives || {}, fd.positionOverrides || null, fd.layoutEngine || "dagre", fd.edgeStyle || null);
               currentDiagramType = "flowchart";
               send("render:success", { diagramType: currentDiagramType, svg: "", isCustomFlowchart: true, autoFixed: true });
               return;
@@ -8477,6 +9703,8 @@ function encodeCodeParam(code) {
 
 const STORAGE_KEY = "mermaid-flow:diagrams";
 const LAST_DIAGRAM_KEY = "mermaid-flow:last";
+const LEGACY_BASELINE_ID = "legacy";
+const SCENARIO_COLORS = ["#8b5cf6", "#f97316", "#14b8a6", "#ec4899", "#eab308"];
 
 function loadSavedDiagrams() {
   try {
@@ -8513,6 +9741,19 @@ function saveLastDiagram(code, tabs, activeTabId) {
   } catch {}
 }
 
+// A tab's flowchart layout: a `%% mf-layout` comment in its code wins over
+// the layout stored on the tab
+function getTabLayout(tab) {
+  return parseLayoutComment(tab?.code) || normalizeFlowLayout(tab?.layout);
+}
+
+function withTabLayout(tab, layout) {
+  const next = { ...tab };
+  delete next.layout;
+  if (layout && !isEmptyFlowLayout(layout)) next.layout = layout;
+  return next;
+}
+
 function loadLastDiagram() {
   try {
     const raw = localStorage.getItem(LAST_DIAGRAM_KEY);
@@ -8604,6 +9845,7 @@ function App() {
   const [flowMeta, setFlowMeta] = useState(null); // { name, projectId, sharing, etc. }
   const [shareDialogOpen, setShareDialogOpen] = useState(false);
   const [commentPanelOpen, setCommentPanelOpen] = useState(false);
+  const [commentsVersion, setCommentsVersion] = useState(0); // bumped when comments are added outside the panel
   const [versionPanelOpen, setVersionPanelOpen] = useState(false);
   const [diffBaselineCode, setDiffBaselineCode] = useState(null); // code at last load/save — baseline for live diff
   const [editorDiffOpen, setEditorDiffOpen] = useState(false);
@@ -8611,6 +9853,14 @@ function App() {
   const [saveTemplateDialogOpen, setSaveTemplateDialogOpen] = useState(false);
   const [userTemplates, setUserTemplates] = useState([]);
   const [resourcePanelOpen, setResourcePanelOpen] = useState(false);
+  const [baselineReportOpen, setBaselineReportOpen] = useState(false);
+  const [monteCarloOpen, setMonteCarloOpen] = useState(false);
+  const [lintPanelOpen, setLintPanelOpen] = useState(false);
+  const [levelingDialog, setLevelingDialog] = useState(null); // null | { capacity } (input text)
+  const [workingCalendarOpen, setWorkingCalendarOpen] = useState(false);
+  const [statusReportOpen, setStatusReportOpen] = useState(false);
+  const [resourceCapacity, setResourceCapacity] = useState({}); // { [assignee]: hours per week }
+  const [ganttImportDialog, setGanttImportDialog] = useState(null); // null | { format, text, fileName, error, errors, warned }
   const [notionSyncOpen, setNotionSyncOpen] = useState(false);
   const [aiModalOpen, setAiModalOpen] = useState(false);
   const [aiChartType, setAiChartType] = useState("gantt");
@@ -8649,7 +9899,9 @@ function App() {
   const [notionDbId, setNotionDbId] = useState("");
   const [notionToken, setNotionToken] = useState("");
   const [securityLevel, setSecurityLevel] = useState("strict");
-  const [renderer, setRenderer] = useState("dagre");
+  const [renderer, setRenderer] = useState(() => getTabLayout(diagramTabs.find((t) => t.id === activeTabId)).engine || "dagre");
+  // "" follows the layout engine (curved for dagre, orthogonal for ELK)
+  const [edgeStyle, setEdgeStyle] = useState(() => getTabLayout(diagramTabs.find((t) => t.id === activeTabId)).edgeStyle || "");
   const [autoRender, setAutoRender] = useState(true);
   const [diagramType, setDiagramType] = useState("flowchart");
   const [renderSvg, setRenderSvg] = useState("");
@@ -8674,9 +9926,14 @@ function App() {
     link: "",
     section: "",
     progress: "",
+    allocation: "",
+    estimate: "",
+    typedDeps: "",
+    repeat: "",
     dependsOn: [],
   });
   const [ganttDeleteConfirm, setGanttDeleteConfirm] = useState(null);
+  const [baselineDeleteConfirm, setBaselineDeleteConfirm] = useState(null);
   const [promptDialog, setPromptDialog] = useState(null); // { type, title, placeholder, defaultValue, multiline, meta }
   const ganttDraftLockedRef = useRef(false);
 
@@ -8703,6 +9960,13 @@ function App() {
   const [pinCategories, setPinCategories] = useState(initialPinCategories); // sticky Category/Phase column
   const [showCriticalPath, setShowCriticalPath] = useState(false);
   const [showDepLines, setShowDepLines] = useState(false);
+  const [cascadeDrag, setCascadeDrag] = useState(false); // dragging a bar also shifts dated dependents
+  const [collapsedSections, setCollapsedSections] = useState([]); // sections folded down to their summary bar
+  const [showWorkload, setShowWorkload] = useState(false); // histogram lane under the timeline
+  const [workloadGranularity, setWorkloadGranularity] = useState("week"); // "day" | "week"
+  const [ganttBoardView, setGanttBoardView] = useState(false); // Kanban board instead of the timeline
+  const [ganttBoardGroupBy, setGanttBoardGroupBy] = useState("status"); // "status" | "section" | "assignee"
+  const [ganttSelection, setGanttSelection] = useState([]); // labels picked with shift/ctrl-click
   const [executiveView, setExecutiveView] = useState(false); // filtered view: milestones, crit, overdue only
   const [showRisks, setShowRisks] = useState(false);
   const [selectedAssignees, setSelectedAssignees] = useState([]);
@@ -8715,14 +9979,22 @@ function App() {
   const [stateDropdown, setStateDropdown] = useState(null); // null | "view" | "xstate"
   const [transitionLabelModal, setTransitionLabelModal] = useState(null); // { sourceId, targetId, label }
   const toggleStateDropdown = (name) => setStateDropdown((prev) => prev === name ? null : name);
-  const [baselineCode, setBaselineCode] = useState(null);
-  const [baselineSetAt, setBaselineSetAt] = useState(null);
+  const [baselines, setBaselines] = useState([]); // [{ id, name, code, createdAt, legacy? }], newest first
+  const [externalFlows, setExternalFlows] = useState({}); // { [flowId]: { name, codes } } for %% blockedBy
+  const requestedExternalFlowsRef = useRef(new Set());
+  const [activeBaselineId, setActiveBaselineId] = useState(null);
+  const [baselineCompareOpen, setBaselineCompareOpen] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(true);
+  const [scenarioMergeDialog, setScenarioMergeDialog] = useState(null); // null | { accepted: Set<changeIndex> | null, closeAfter }
+  const activeBaseline = baselines.find((b) => b.id === activeBaselineId) || baselines[0] || null;
+  const baselineCode = activeBaseline?.code || null;
+  const baselineSetAt = activeBaseline?.createdAt || null;
   const [showBaseline, setShowBaseline] = useState(true);
   const lastSavedGanttViewStateRef = useRef("");
 
   // Interactive diagram state
-  const [positionOverrides, setPositionOverrides] = useState({});
-  const [styleOverrides, setStyleOverrides] = useState({}); // { [nodeId]: { fill?, stroke?, strokeStyle?, textColor? } }
+  const [positionOverrides, setPositionOverrides] = useState(() => getTabLayout(diagramTabs.find((t) => t.id === activeTabId)).positionOverrides);
+  const [styleOverrides, setStyleOverrides] = useState(() => getTabLayout(diagramTabs.find((t) => t.id === activeTabId)).styleOverrides); // { [nodeId]: { fill?, stroke?, strokeStyle?, textColor? } }
   const [connectMode, setConnectMode] = useState(null);
   const [shapePickerNode, setShapePickerNode] = useState(null);
   const [edgeLabelEdit, setEdgeLabelEdit] = useState(null);
@@ -8765,12 +10037,13 @@ function App() {
     : String(flowMeta?.name || "").trim();
   const toolsetKey = classifyDiagramType(diagramType);
   const activeTemplate = DIAGRAM_LIBRARY.find((entry) => entry.id === templateId);
-  const ganttDateFormat = useMemo(() => parseGanttDirectives(code).dateFormat, [code]);
+  const ganttDirectives = useMemo(() => parseGanttDirectives(code), [code]);
+  const ganttDateFormat = ganttDirectives.dateFormat;
   const ganttSubDay = isSubDayFormat(ganttDateFormat);
   const ganttTasks = useMemo(() => parseGanttTasks(code, ganttDateFormat), [code, ganttDateFormat]);
   const criticalPathLabels = useMemo(() => {
     if (toolsetKey !== "gantt") return [];
-    const resolved = resolveDependencies(ganttTasks.map((t) => ({ ...t })), ganttSubDay);
+    const resolved = resolveDependencies(ganttTasks.map((t) => ({ ...t })), ganttSubDay, ganttDirectives);
     const { criticalSet } = computeCriticalPath(resolved);
     // Order critical tasks by dependency chain
     const cpTasks = resolved.filter((t) => criticalSet.has(t.idToken || t.label || ""));
@@ -8801,7 +10074,7 @@ function App() {
     if (toolsetKey !== "gantt") return [];
     const directives = parseGanttDirectives(code);
     const subDay = isSubDayFormat(directives.dateFormat);
-    const tasks = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay);
+    const tasks = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay, directives);
     return tasks.map((t) => {
       const effectiveStart = t.startDate || t.resolvedStartDate || "";
       let computedEnd = t.endDate || t.resolvedEndDate || "";
@@ -8810,13 +10083,11 @@ function App() {
           const sMs = dateToMs(effectiveStart);
           computedEnd = sMs !== null ? msToDateStr(sMs + t.durationMs, true) : "";
         } else if (t.durationDays) {
-          computedEnd = directives.excludes.length
-            ? addWorkingDays(effectiveStart, t.durationDays, directives.excludes, directives.weekend)
-            : (() => {
-                const sMs = dateToMs(effectiveStart);
-                if (sMs === null) return "";
-                return msToDateStr(sMs + t.durationDays * 86400000, subDay);
-              })();
+          computedEnd = computeWorkingEnd(t, effectiveStart, directives, subDay) || (() => {
+            const sMs = dateToMs(effectiveStart);
+            if (sMs === null) return "";
+            return msToDateStr(sMs + t.durationDays * 86400000, subDay);
+          })();
         }
       }
       return {
@@ -8824,42 +10095,74 @@ function App() {
         startDate: effectiveStart,
         computedEnd,
         assignee: t.assignee || "",
+        allocation: t.allocation,
         section: t.section || "",
       };
     });
   }, [code, toolsetKey]);
-  const baselineTasks = useMemo(() => {
-    if (!baselineCode) return null;
-    const dirs = parseGanttDirectives(baselineCode);
-    const blSubDay = isSubDayFormat(dirs.dateFormat);
-    const raw = resolveDependencies(parseGanttTasks(baselineCode, dirs.dateFormat), blSubDay);
-    return raw.map((t) => {
-      const effectiveStart = t.startDate || t.resolvedStartDate || "";
-      let computedEnd = t.endDate || t.resolvedEndDate || "";
-      if (!computedEnd && effectiveStart && (t.durationMs || t.durationDays)) {
-        if (t.durationMs && blSubDay) {
-          const sMs = dateToMs(effectiveStart);
-          computedEnd = sMs !== null ? msToDateStr(sMs + t.durationMs, true) : "";
-        } else if (t.durationDays) {
-          computedEnd = dirs.excludes.length
-            ? addWorkingDays(effectiveStart, t.durationDays, dirs.excludes, dirs.weekend)
-            : (() => {
-                const sMs = dateToMs(effectiveStart);
-                if (sMs === null) return "";
-                return msToDateStr(sMs + t.durationDays * 86400000, blSubDay);
-              })();
+  const baselineTasks = useMemo(() => (baselineCode ? buildGhostTasks(baselineCode) : null), [baselineCode]);
+  const activeTab = diagramTabs.find((t) => t.id === activeTabId) || null;
+  const scenarioParentTab = activeTab?.scenarioOf ? diagramTabs.find((t) => t.id === activeTab.scenarioOf) || null : null;
+  const scenarioTabs = diagramTabs.filter((t) => t.scenarioOf);
+  // Viewing the main plan overlays its scenarios; viewing a scenario overlays its main plan
+  const scenarioOverlays = useMemo(() => {
+    if (toolsetKey !== "gantt" || !showScenarios) return [];
+    const sources = scenarioParentTab
+      ? [{ name: scenarioParentTab.label, color: "#64748b", code: scenarioParentTab.code }]
+      : diagramTabs
+          .filter((t) => t.scenarioOf === activeTabId)
+          .map((t) => ({ name: t.label, color: t.scenarioColor || SCENARIO_COLORS[0], code: t.code }));
+    return sources.map((src) => ({ name: src.name, color: src.color, tasks: buildGhostTasks(src.code) }));
+  }, [toolsetKey, showScenarios, scenarioParentTab, diagramTabs, activeTabId]);
+  // Tasks in other flows referenced by `%% blockedBy: flow/<flowId>#task`
+  const blockedByFlowKey = useMemo(
+    () => (toolsetKey === "gantt" ? getBlockedByFlowIds(ganttTasks).sort().join(",") : ""),
+    [toolsetKey, ganttTasks]
+  );
+  useEffect(() => {
+    if (!blockedByFlowKey) return;
+    for (const id of blockedByFlowKey.split(",")) {
+      if (requestedExternalFlowsRef.current.has(id)) continue;
+      requestedExternalFlowsRef.current.add(id);
+      getFlow(id)
+        .then((flow) => {
+          const codes = flow ? [...new Set([flow.code, ...(flow.tabs || []).map((t) => t.code)].filter(Boolean))] : [];
+          setExternalFlows((prev) => ({ ...prev, [id]: { name: flow?.name || "", codes } }));
+        })
+        .catch((err) => {
+          logAppFirestoreError("loadExternalFlow/getFlow", err, { flowId: id });
+          setExternalFlows((prev) => ({ ...prev, [id]: { name: "", codes: [] } }));
+        });
+    }
+  }, [blockedByFlowKey]);
+  const externalTasks = useMemo(() => {
+    const byKey = {};
+    for (const t of ganttTasks) {
+      for (const b of t.blockedBy || []) {
+        const flow = externalFlows[b.flowId];
+        if (!flow || byKey[b.key]) continue;
+        let resolved = null;
+        for (const flowCode of flow.codes) {
+          resolved = resolveExternalTask(flowCode, b.ref);
+          if (resolved) break;
         }
+        byKey[b.key] = { ...b, flowName: flow.name, ...(resolved || { label: b.ref, missing: true }) };
       }
-      return {
-        label: t.label,
-        startDate: effectiveStart,
-        computedEnd,
-        section: t.section || "",
-        isMilestone: t.isMilestone || false,
-        isVertMarker: t.isVertMarker || false,
-      };
-    });
-  }, [baselineCode]);
+    }
+    return byKey;
+  }, [ganttTasks, externalFlows]);
+  const scenarioMergeHunks = useMemo(() => {
+    if (!scenarioMergeDialog || !scenarioParentTab) return null;
+    return groupDiffChanges(computeLineDiff(scenarioParentTab.code, code));
+  }, [scenarioMergeDialog, scenarioParentTab, code]);
+  const levelingResult = useMemo(() => {
+    if (!levelingDialog || toolsetKey !== "gantt") return null;
+    // Same number shape as `%% allocation:` and the weekly capacity input
+    const match = String(levelingDialog.capacity).trim().match(/^(\d+(?:\.\d+)?)$/);
+    const capacity = match && parseFloat(match[1]) >= 0.5 ? parseFloat(match[1]) : 1;
+    const result = levelResources(code, { capacity });
+    return { ...result, hunks: computeLineDiff(code, result.code) };
+  }, [levelingDialog, code, toolsetKey]);
   const ganttSections = useMemo(() => {
     const ordered = [];
     const seen = new Set();
@@ -8900,9 +10203,16 @@ function App() {
       pinCategories,
       showCriticalPath,
       showDepLines,
+      cascadeDrag,
+      collapsedSections,
+      showWorkload,
+      workloadGranularity,
+      boardView: ganttBoardView,
+      boardGroupBy: ganttBoardGroupBy,
       executiveView,
       showRisks,
       showBaseline,
+      activeBaselineId,
       selectedAssignees: normalizeAssigneeArray(selectedAssignees),
     }),
     [
@@ -8912,9 +10222,16 @@ function App() {
       pinCategories,
       showCriticalPath,
       showDepLines,
+      cascadeDrag,
+      collapsedSections,
+      showWorkload,
+      workloadGranularity,
+      ganttBoardView,
+      ganttBoardGroupBy,
       executiveView,
       showRisks,
       showBaseline,
+      activeBaselineId,
       selectedAssignees,
     ]
   );
@@ -8948,6 +10265,50 @@ function App() {
     if (toolsetKey === "flowchart") return parseFlowchart(code);
     return { direction: "TD", nodes: [], edges: [], subgraphs: [] };
   }, [code, toolsetKey]);
+
+  const flowchartLintIssues = useMemo(
+    () => (toolsetKey === "flowchart" ? lintFlowchart(code) : []),
+    [code, toolsetKey]
+  );
+
+  // Dragged positions and style overrides saved with the active tab
+  const flowLayout = useMemo(() => {
+    if (toolsetKey !== "flowchart") return null;
+    return normalizeFlowLayout({ positionOverrides, styleOverrides, engine: renderer, edgeStyle }, flowchartData.nodes.map((n) => n.id));
+  }, [toolsetKey, positionOverrides, styleOverrides, renderer, edgeStyle, flowchartData]);
+
+  const snapshotTabs = () => diagramTabs.map((t) => (t.id === activeTabId ? withTabLayout({ ...t, code }, flowLayout) : t));
+
+  const applyFlowLayout = (layout) => {
+    setPositionOverrides(layout.positionOverrides);
+    setStyleOverrides(layout.styleOverrides);
+    setRenderer(layout.engine || "dagre");
+    setEdgeStyle(layout.edgeStyle || "");
+  };
+  const applyTabLayout = (tab) => applyFlowLayout(getTabLayout(tab));
+
+  // When the code carries a `%% mf-layout` comment, drags and restyles rewrite
+  // it; edits made to the comment itself are adopted as the new layout
+  const lastLayoutCommentRef = useRef("");
+  useEffect(() => {
+    if (!flowLayout) return;
+    const fromComment = parseLayoutComment(code);
+    if (!fromComment) {
+      lastLayoutCommentRef.current = "";
+      return;
+    }
+    const commentKey = JSON.stringify(normalizeFlowLayout(fromComment, flowchartData.nodes.map((n) => n.id)));
+    if (commentKey === JSON.stringify(flowLayout)) {
+      lastLayoutCommentRef.current = commentKey;
+      return;
+    }
+    if (commentKey !== lastLayoutCommentRef.current) {
+      lastLayoutCommentRef.current = commentKey;
+      applyFlowLayout(fromComment);
+      return;
+    }
+    setCode((prev) => writeLayoutComment(prev, flowLayout));
+  }, [code, flowLayout]);
   const stateDiagramData = useMemo(() => {
     if (toolsetKey === "stateDiagram") return parseStateDiagramEnhanced(code);
     return { states: [], transitions: [], direction: "LR", hasInitial: false, hasFinal: false };
@@ -8956,6 +10317,16 @@ function App() {
     () => findTaskByLabel(ganttTasks, selectedElement?.label || ""),
     [ganttTasks, selectedElement]
   );
+  const bulkSelection = useMemo(
+    () => (toolsetKey === "gantt" ? ganttSelection.filter((label) => findTaskByLabel(ganttTasks, label)) : []),
+    [ganttSelection, ganttTasks, toolsetKey]
+  );
+  // Board cards use resolved dates; recurrence occurrences stay on the timeline
+  const ganttBoardTasks = useMemo(() => {
+    if (toolsetKey !== "gantt" || !ganttBoardView) return [];
+    const tasks = resolveGanttSchedule(code).tasks.filter((t) => !t.isVertMarker && !t.isOccurrence);
+    return filterTasksByAssignee(tasks, selectedAssignees);
+  }, [code, toolsetKey, ganttBoardView, selectedAssignees]);
   const mermaidRenderConfig = useMemo(
     () => ({
       theme,
@@ -9211,7 +10582,7 @@ function App() {
     // Pre-compute gantt data so the iframe can render custom HTML gantt
     const directives = parseGanttDirectives(code);
     const subDay = isSubDayFormat(directives.dateFormat);
-    const tasks = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay);
+    const tasks = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay, directives);
     const { criticalSet, connectedSet, slackByTask } = computeCriticalPath(tasks);
     const cycles = detectCycles(tasks);
     const allConflicts = detectConflicts(tasks);
@@ -9228,13 +10599,11 @@ function App() {
           const sMs = dateToMs(effectiveStart);
           computedEnd = sMs !== null ? msToDateStr(sMs + t.durationMs, true) : "";
         } else if (t.durationDays) {
-          computedEnd = directives.excludes.length
-            ? addWorkingDays(effectiveStart, t.durationDays, directives.excludes, directives.weekend)
-            : (() => {
-                const sMs = dateToMs(effectiveStart);
-                if (sMs === null) return "";
-                return msToDateStr(sMs + t.durationDays * 86400000, subDay);
-              })();
+          computedEnd = computeWorkingEnd(t, effectiveStart, directives, subDay) || (() => {
+            const sMs = dateToMs(effectiveStart);
+            if (sMs === null) return "";
+            return msToDateStr(sMs + t.durationDays * 86400000, subDay);
+          })();
         }
       }
       const taskKey = t.idToken || t.label || "";
@@ -9254,7 +10623,16 @@ function App() {
         isMilestone: t.isMilestone || false,
         isVertMarker: t.isVertMarker || false,
         afterDeps: t.afterDeps || [],
+        typedDeps: t.typedDeps || [],
+        deps: [
+          ...getTaskDependencies(t),
+          ...(t.blockedBy || []).map((b) => ({ ref: b.key, type: "FS", lag: "", lagMs: 0 })),
+        ],
+        blockedBy: (t.blockedBy || []).map((b) => externalTasks[b.key] || b),
+        occurrence: t.occurrence || 0,
+        offDays: subDay ? null : getAssigneeOffDays(directives, t.assignee),
         idToken: t.idToken || "",
+        allocation: t.allocation ?? null,
         hasExplicitDate: t.hasExplicitDate,
         isCriticalPath: criticalSet.has(taskKey),
         isConnected: connectedSet ? connectedSet.has(taskKey) : false,
@@ -9281,6 +10659,24 @@ function App() {
       cycles,
       baselineTasks: showBaseline ? baselineTasks : null,
       assigneeFilterApplied: selectedAssignees.length > 0,
+      scenarioOverlays,
+      cascadeDrag,
+      selectedLabels: ganttSelection,
+      sectionRollups: computeSectionRollups(visibleTasks),
+      collapsedSections,
+      externalStubs: [...new Set(visibleTasks.flatMap((t) => t.blockedBy.map((b) => b.key)))]
+        .map((key) => externalTasks[key])
+        .filter(Boolean),
+      workload: showWorkload
+        ? computeWorkloadHistogram(visibleTasks, {
+            granularity: workloadGranularity,
+            capacities: resourceCapacity,
+            excludes: directives.excludes,
+            weekend: directives.weekend,
+            calendars: directives.calendars,
+            assignees: selectedAssignees,
+          })
+        : null,
     };
 
     // Pre-compute flowchart data so the iframe can render custom HTML flowchart
@@ -9289,7 +10685,12 @@ function App() {
       classDefs: parseClassDefs(renderCode),
       classAssignments: parseClassAssignments(renderCode),
       styleDirectives: parseStyleDirectives(renderCode),
-      styleOverrides,
+      // Read through refs so a render queued before a layout change still
+      // draws the latest positions
+      styleOverrides: styleOverridesRef.current,
+      positionOverrides: positionOverridesRef.current,
+      layoutEngine: renderer,
+      edgeStyle: edgeStyle || null,
     };
 
     // Pre-compute ER data so the iframe can render custom HTML ER diagram
@@ -9338,7 +10739,7 @@ function App() {
     if (!autoRender) return;
     const handle = window.setTimeout(postRender, 360);
     return () => window.clearTimeout(handle);
-  }, [code, autoRender, mermaidRenderConfig, showCriticalPath, showDepLines, erLayoutDir, sequenceSwimlaneView]);
+  }, [code, autoRender, mermaidRenderConfig, showCriticalPath, showDepLines, erLayoutDir, sequenceSwimlaneView, edgeStyle]);
 
   /* ── Sync app theme to iframe ─────────────────────────── */
   useEffect(() => {
@@ -9383,6 +10784,7 @@ function App() {
   useEffect(() => {
     if (!flowId) {
       lastSavedGanttViewStateRef.current = "";
+      setBaselines([]);
       return;
     }
     flowLoadedRef.current = false;
@@ -9398,9 +10800,16 @@ function App() {
             pinCategories: initialPinCategories,
             showCriticalPath: false,
             showDepLines: false,
+            cascadeDrag: false,
+            collapsedSections: [],
+            showWorkload: false,
+            workloadGranularity: "week",
+            boardView: false,
+            boardGroupBy: "status",
             executiveView: false,
             showRisks: false,
             showBaseline: true,
+            activeBaselineId: null,
             selectedAssignees: [],
           };
           const savedViewState = normalizeGanttViewState(flow.ganttViewState, defaultViewState);
@@ -9416,25 +10825,41 @@ function App() {
             const restoredTab = flow.tabs.find((t) => t.id === restoredTabId);
             setActiveTabId(restoredTabId);
             setCode(restoredTab.code);
+            applyTabLayout(restoredTab);
             lastVersionCodeRef.current = restoredTab.code;
             setDiffBaselineCode(restoredTab.code);
           } else {
             setDiagramTabs([{ id: "tab-0", label: "Main", code: flowCode }]);
             setActiveTabId("tab-0");
             setCode(flowCode);
+            applyTabLayout({ code: flowCode });
             lastVersionCodeRef.current = flowCode;
             setDiffBaselineCode(flowCode);
           }
           if (flow.diagramType) setDiagramType(flow.diagramType);
           setFlowMeta(flow);
-          setBaselineCode(flow.baselineCode || null);
-          setBaselineSetAt(flow.baselineSetAt || null);
+          // Flows saved before named baselines keep their single baseline on the doc
+          const legacyBaselines = flow.baselineCode
+            ? [{ id: LEGACY_BASELINE_ID, name: "Original baseline", code: flow.baselineCode, createdAt: flow.baselineSetAt || null, legacy: true }]
+            : [];
+          setBaselines(legacyBaselines);
+          setActiveBaselineId(savedViewState.activeBaselineId);
+          getFlowBaselines(flowId)
+            .then((list) => setBaselines([...list, ...legacyBaselines]))
+            .catch((err) => console.warn("Load baselines failed:", formatFirestoreError(err)));
+          setResourceCapacity(flow.resourceCapacity || {});
           setShowDates(savedViewState.showDates);
           setShowGrid(savedViewState.showGrid);
           setGanttScale(savedViewState.ganttScale);
           setPinCategories(savedViewState.pinCategories);
           setShowCriticalPath(savedViewState.showCriticalPath);
           setShowDepLines(savedViewState.showDepLines);
+          setCascadeDrag(savedViewState.cascadeDrag);
+          setCollapsedSections(savedViewState.collapsedSections);
+          setShowWorkload(savedViewState.showWorkload);
+          setWorkloadGranularity(savedViewState.workloadGranularity);
+          setGanttBoardView(savedViewState.boardView);
+          setGanttBoardGroupBy(savedViewState.boardGroupBy);
           setExecutiveView(savedViewState.executiveView);
           setShowRisks(savedViewState.showRisks);
           setShowBaseline(savedViewState.showBaseline);
@@ -9479,10 +10904,12 @@ function App() {
             setDiagramTabs(tmpl.tabs);
             setActiveTabId(tmpl.tabs[0].id);
             setCode(tmpl.tabs[0].code);
+            applyTabLayout(tmpl.tabs[0]);
           } else {
             setDiagramTabs([{ id: "tab-0", label: "Main", code: tmplCode }]);
             setActiveTabId("tab-0");
             setCode(tmplCode);
+            applyTabLayout({ code: tmplCode });
           }
           if (tmpl.diagramType) setDiagramType(tmpl.diagramType);
           if (tmpl.ganttViewState) {
@@ -9493,6 +10920,12 @@ function App() {
             if (vs.pinCategories) setPinCategories(vs.pinCategories);
             if (vs.showCriticalPath != null) setShowCriticalPath(vs.showCriticalPath);
             if (vs.showDepLines != null) setShowDepLines(vs.showDepLines);
+            if (vs.cascadeDrag != null) setCascadeDrag(vs.cascadeDrag);
+            if (vs.collapsedSections) setCollapsedSections(normalizeSectionArray(vs.collapsedSections));
+            if (vs.showWorkload != null) setShowWorkload(vs.showWorkload);
+            if (vs.workloadGranularity === "day" || vs.workloadGranularity === "week") setWorkloadGranularity(vs.workloadGranularity);
+            if (vs.boardView != null) setGanttBoardView(vs.boardView);
+            if (BOARD_GROUP_OPTIONS.includes(vs.boardGroupBy)) setGanttBoardGroupBy(vs.boardGroupBy);
             if (vs.executiveView != null) setExecutiveView(vs.executiveView);
             if (vs.showRisks != null) setShowRisks(vs.showRisks);
             if (vs.selectedAssignees) setSelectedAssignees(vs.selectedAssignees);
@@ -9515,7 +10948,7 @@ function App() {
     if (!currentUser || editingTemplateRef.current?.ownerId !== currentUser.uid) return;
     const handle = window.setTimeout(async () => {
       try {
-        const tabsSnapshot = diagramTabs.map((t) => t.id === activeTabId ? { ...t, code } : t);
+        const tabsSnapshot = snapshotTabs();
         await updateTemplate(editingTemplateId, {
           code,
           diagramType,
@@ -9527,7 +10960,7 @@ function App() {
       }
     }, 2000);
     return () => window.clearTimeout(handle);
-  }, [code, editingTemplateId, diagramType, diagramTabs, activeTabId, ganttViewState]);
+  }, [code, editingTemplateId, diagramType, diagramTabs, activeTabId, ganttViewState, flowLayout]);
 
   /* ── Auto-save to Firestore (debounced) ────────────── */
   useEffect(() => {
@@ -9541,13 +10974,12 @@ function App() {
     if (!isOwner && userRole !== "edit" && !canPubliclyEdit) return;
     const handle = window.setTimeout(async () => {
       try {
-        const tabsSnapshot = diagramTabs.map((t) => t.id === activeTabId ? { ...t, code } : t);
+        const tabsSnapshot = snapshotTabs();
         await updateFlow(flowId, { code, diagramType, tabs: tabsSnapshot, activeTabId });
         const now = Date.now();
         if (now - lastVersionSaveRef.current >= 10 * 60 * 1000 && code !== lastVersionCodeRef.current) {
           lastVersionSaveRef.current = now;
           lastVersionCodeRef.current = code;
-          const tabsSnapshot = diagramTabs.map((t) => t.id === activeTabId ? { ...t, code } : t);
           saveFlowVersion(flowId, { code, diagramType, tabs: tabsSnapshot }).catch(() => {});
         }
         // Generate thumbnail (throttled to once per 60s)
@@ -9568,7 +11000,7 @@ function App() {
       }
     }, 2000);
     return () => window.clearTimeout(handle);
-  }, [code, flowId, diagramType, flowMeta, currentUser, diagramTabs, activeTabId]);
+  }, [code, flowId, diagramType, flowMeta, currentUser, diagramTabs, activeTabId, flowLayout]);
 
   useEffect(() => {
     if (ganttDropdown === "assignees" || mobileViewMenuOpen) return;
@@ -9608,11 +11040,10 @@ function App() {
     if (isEmbed) return; // don't save in embed mode
     const handle = window.setTimeout(() => {
       // Save current tab's code into diagramTabs before persisting
-      const updatedTabs = diagramTabs.map((t) => t.id === activeTabId ? { ...t, code } : t);
-      saveLastDiagram(code, updatedTabs, activeTabId);
+      saveLastDiagram(code, snapshotTabs(), activeTabId);
     }, 500);
     return () => window.clearTimeout(handle);
-  }, [code, diagramTabs, activeTabId]);
+  }, [code, diagramTabs, activeTabId, flowLayout]);
 
   /* ── Parent frame postMessage API (for Notion etc.) ── */
   useEffect(() => {
@@ -9667,6 +11098,10 @@ function App() {
         selectedGanttTask.link,
         selectedGanttTask.section,
         selectedGanttTask.progress,
+        selectedGanttTask.allocation,
+        selectedGanttTask.estimate?.raw || "",
+        formatTypedDeps(selectedGanttTask.typedDeps),
+        selectedGanttTask.recurrence?.raw || "",
         (selectedGanttTask.afterDeps || []).join(","),
       ].join("|")
     : "";
@@ -9681,7 +11116,7 @@ function App() {
     // While the Gantt modal is open, don't overwrite user edits to ganttDraft
     if (ganttDraftLockedRef.current) return;
     if (!selectedGanttTask) {
-      setGanttDraft({ label: "", startDate: "", endDate: "", status: [], isMilestone: false, assignee: "", notes: "", link: "", section: "", progress: "", dependsOn: [] });
+      setGanttDraft({ label: "", startDate: "", endDate: "", status: [], isMilestone: false, assignee: "", notes: "", link: "", section: "", progress: "", allocation: "", estimate: "", typedDeps: "", repeat: "", dependsOn: [] });
       return;
     }
     let computedEnd = selectedGanttTask.endDate || "";
@@ -9709,6 +11144,10 @@ function App() {
         selectedGanttTask.statusTokens || [],
         selectedGanttTask.progress !== null && selectedGanttTask.progress !== undefined ? String(selectedGanttTask.progress) : ""
       ),
+      allocation: selectedGanttTask.allocation != null ? String(selectedGanttTask.allocation) : "",
+      estimate: selectedGanttTask.estimate?.raw || "",
+      typedDeps: formatTypedDeps(selectedGanttTask.typedDeps),
+      repeat: selectedGanttTask.recurrence?.scope === "task" ? selectedGanttTask.recurrence.raw : "",
       dependsOn: selectedGanttTask.afterDeps || [],
     });
     // Lock the draft while the modal is open to prevent future syncs
@@ -9814,6 +11253,7 @@ function App() {
 
       if (data.type === "element:selected") {
         const selected = data.payload || null;
+        setGanttSelection([]);
         setSelectedElement(selected);
         setLabelDraft(selected?.label || "");
         setHighlightLine(getMatchingLine(code, selected?.label || selected?.id || ""));
@@ -9834,6 +11274,13 @@ function App() {
         }
       }
 
+      if (data.type === "gantt:multi-selected") {
+        const labels = data.payload?.labels || [];
+        setGanttSelection(labels);
+        setSelectedElement(labels.length === 1 ? { label: labels[0], id: "", elementType: "node" } : null);
+        setHighlightLine(labels.length === 1 ? getMatchingLine(code, labels[0]) : null);
+      }
+
       if (data.type === "elements:selected") {
         const { nodeIds = [], screenBoxes = {}, nodePositions = {} } = data.payload || {};
         const ids = new Set(nodeIds);
@@ -10078,6 +11525,26 @@ function App() {
         return;
       }
 
+      if (data.type === "gantt:open-external") {
+        const flowId = String(data.payload?.flowId || "");
+        if (flowId) window.open(`/editor/${encodeURIComponent(flowId)}`, "_blank", "noopener,noreferrer");
+        return;
+      }
+
+      if (data.type === "gantt:workload-granularity") {
+        const granularity = data.payload?.granularity;
+        if (granularity === "day" || granularity === "week") setWorkloadGranularity(granularity);
+        return;
+      }
+
+      if (data.type === "gantt:toggle-section") {
+        const section = String(data.payload?.section ?? "");
+        setCollapsedSections((prev) =>
+          prev.includes(section) ? prev.filter((name) => name !== section) : [...prev, section]
+        );
+        return;
+      }
+
       if (data.type === "gantt:edit-section") {
         const currentSection = String(data.payload?.section || "").trim();
         if (!currentSection) return;
@@ -10102,6 +11569,37 @@ function App() {
       if (data.type === "gantt:dragged") {
         commitSnapshotNow({ dragBatch: true });
         const payload = data.payload || {};
+        const occurrence = findGanttOccurrence(ganttTasks, payload.label || "");
+        if (occurrence) {
+          // Dragging one occurrence overrides just that occurrence
+          const resolvedOcc = findGanttOccurrence(resolveDependencies(ganttTasks.map((t) => ({ ...t })), ganttSubDay, ganttDirectives), occurrence.label);
+          const occStart = occurrence.startDate || resolvedOcc?.resolvedStartDate || "";
+          const occDurationMs = occurrence.durationMs || (occurrence.durationDays || 0) * 86400000;
+          if (!occStart || !occDurationMs || !payload.barWidth) {
+            setRenderMessage(`Cannot move "${occurrence.label}": it has no resolved dates`);
+            return;
+          }
+          const stepMs = ganttSubDay ? 5 * 60000 : 86400000;
+          const deltaMs = Math.round(((payload.deltaX || 0) / payload.barWidth) * occDurationMs / stepMs) * stepMs;
+          if (!deltaMs) return;
+          const formatDuration = (ms) => {
+            if (!ganttSubDay) return Math.max(1, Math.round(ms / 86400000)) + "d";
+            const mins = Math.max(5, Math.round(ms / 60000));
+            const h = Math.floor(mins / 60);
+            const m = mins % 60;
+            return h > 0 && m > 0 ? h + "h" + m + "m" : h > 0 ? h + "h" : m + "m";
+          };
+          const shiftStart = (ms) => (ganttSubDay ? shiftDateTime(occStart, ms) : shiftIsoDate(occStart, Math.round(ms / 86400000)));
+          const dragMode = payload.dragMode || "shift";
+          let updates;
+          if (dragMode === "resize-end") updates = { duration: formatDuration(occDurationMs + deltaMs) };
+          else if (dragMode === "resize-start") updates = { startDate: shiftStart(deltaMs), duration: formatDuration(occDurationMs - deltaMs) };
+          else updates = { startDate: shiftStart(deltaMs) };
+          setCode((prev) => updateGanttOccurrence(prev, occurrence, updates));
+          setRenderMessage(`Moved "${occurrence.label}" only; the rest of the series is unchanged`);
+          setHighlightLine(occurrence.occurrenceOf + 1);
+          return;
+        }
         const task = findTaskByLabel(ganttTasks, payload.label || "");
         if (!task) {
           setRenderMessage("Drag captured, but no matching Gantt task found");
@@ -10113,7 +11611,7 @@ function App() {
         }
 
         // Resolve dependencies to get computed start date for after-based tasks
-        const resolved = resolveDependencies(ganttTasks.map((t) => ({ ...t })), ganttSubDay);
+        const resolved = resolveDependencies(ganttTasks.map((t) => ({ ...t })), ganttSubDay, ganttDirectives);
         const resolvedTask = findTaskByLabel(resolved, payload.label || "");
         const effectiveStart = task.startDate || (resolvedTask && resolvedTask.resolvedStartDate) || "";
         if (!effectiveStart) {
@@ -10121,6 +11619,29 @@ function App() {
           return;
         }
 
+        // Dated dependents only move with the finish when cascading is on;
+        // `after` chains follow on the next resolve either way
+        const cascadeTargets = cascadeDrag
+          ? findAllDependentTasks(ganttTasks, task).filter((t) => t.hasExplicitDate && !t.isOccurrence)
+          : [];
+        // One code update (one undo step) for the bar and everything it drags along
+        const applyDrag = (updates, finishShift, shiftDate) => {
+          setCode((prev) => {
+            let next = updateGanttTask(prev, task, updates);
+            if (!finishShift) return next;
+            for (const dep of cascadeTargets) {
+              const fresh = findTaskByLabel(parseGanttTasks(next, ganttDateFormat), dep.label);
+              if (!fresh?.startDate) continue;
+              const depUpdates = { startDate: shiftDate(fresh.startDate, finishShift) };
+              if (fresh.endDate) depUpdates.endDate = shiftDate(fresh.endDate, finishShift);
+              next = updateGanttTask(next, fresh, depUpdates);
+            }
+            return next;
+          });
+          return finishShift ? cascadeTargets.length : 0;
+        };
+        const cascadeNote = (count) => (count ? ` and ${count} dependent ${count === 1 ? "task" : "tasks"}` : "");
+
         if (ganttSubDay && task.durationMs) {
           // Sub-day drag: compute in milliseconds, snap to 5-minute increments
           const pxPerMs = payload.barWidth / task.durationMs;
@@ -10136,11 +11657,11 @@ function App() {
             const h = Math.floor(newMins / 60);
             const m = newMins % 60;
             const durStr = h > 0 && m > 0 ? h + "h" + m + "m" : h > 0 ? h + "h" : m + "m";
-            setCode((prev) => updateGanttTask(prev, task, { duration: durStr }));
-            setRenderMessage(`Updated "${task.label}" duration to ${durStr}`);
+            const moved = applyDrag({ duration: durStr }, newMs - task.durationMs, shiftDateTime);
+            setRenderMessage(`Updated "${task.label}" duration to ${durStr}${cascadeNote(moved)}`);
           } else if (dragMode === "resize-start") {
             const nextStart = shiftDateTime(effectiveStart, deltaMs);
-            setCode((prev) => updateGanttTask(prev, task, { startDate: nextStart }));
+            applyDrag({ startDate: nextStart }, 0, shiftDateTime);
             if (!task.hasExplicitDate) setRenderMessage(`Moved "${task.label}" start to ${nextStart} (replaced dependency)`);
             else setRenderMessage(`Updated "${task.label}" start to ${nextStart}`);
           } else {
@@ -10149,9 +11670,9 @@ function App() {
             if (task.endDate) {
               updates.endDate = shiftDateTime(task.endDate, deltaMs);
             }
-            setCode((prev) => updateGanttTask(prev, task, updates));
-            if (!task.hasExplicitDate) setRenderMessage(`Moved "${task.label}" to ${nextStart} (replaced dependency)`);
-            else setRenderMessage(`Updated "${task.label}" to ${nextStart}`);
+            const moved = applyDrag(updates, deltaMs, shiftDateTime);
+            if (!task.hasExplicitDate) setRenderMessage(`Moved "${task.label}" to ${nextStart} (replaced dependency)${cascadeNote(moved)}`);
+            else setRenderMessage(`Updated "${task.label}" to ${nextStart}${cascadeNote(moved)}`);
           }
         } else {
           // Day-level drag
@@ -10162,11 +11683,11 @@ function App() {
           const dragMode = payload.dragMode || "shift";
           if (dragMode === "resize-end") {
             const newDays = Math.max(1, task.durationDays + dayShift);
-            setCode((prev) => updateGanttTask(prev, task, { duration: newDays + "d" }));
-            setRenderMessage(`Updated "${task.label}" duration to ${newDays}d`);
+            const moved = applyDrag({ duration: newDays + "d" }, newDays - task.durationDays, shiftIsoDate);
+            setRenderMessage(`Updated "${task.label}" duration to ${newDays}d${cascadeNote(moved)}`);
           } else if (dragMode === "resize-start") {
             const nextStart = shiftIsoDate(effectiveStart, dayShift);
-            setCode((prev) => updateGanttTask(prev, task, { startDate: nextStart }));
+            applyDrag({ startDate: nextStart }, 0, shiftIsoDate);
             if (!task.hasExplicitDate) setRenderMessage(`Moved "${task.label}" start to ${nextStart} (replaced dependency)`);
             else setRenderMessage(`Updated "${task.label}" start to ${nextStart}`);
           } else {
@@ -10175,9 +11696,9 @@ function App() {
             if (task.endDate) {
               updates.endDate = shiftIsoDate(task.endDate, dayShift);
             }
-            setCode((prev) => updateGanttTask(prev, task, updates));
-            if (!task.hasExplicitDate) setRenderMessage(`Moved "${task.label}" to ${nextStart} (replaced dependency)`);
-            else setRenderMessage(`Updated "${task.label}" to ${nextStart}`);
+            const moved = applyDrag(updates, dayShift, shiftIsoDate);
+            if (!task.hasExplicitDate) setRenderMessage(`Moved "${task.label}" to ${nextStart} (replaced dependency)${cascadeNote(moved)}`);
+            else setRenderMessage(`Updated "${task.label}" to ${nextStart}${cascadeNote(moved)}`);
           }
         }
         setHighlightLine(task.lineIndex + 1);
@@ -10272,7 +11793,6 @@ function App() {
         if (!nodeId || !subgraphId) return;
         commitSnapshotNow();
         setCode((prev) => moveNodeToSubgraph(prev, nodeId, subgraphId));
-        setPositionOverrides({});
         setRenderMessage(`Moved "${nodeId}" into subgraph "${subgraphId}"`);
         return;
       }
@@ -10314,7 +11834,7 @@ function App() {
 
     window.addEventListener("message", listener);
     return () => window.removeEventListener("message", listener);
-  }, [code, ganttTasks, toolsetKey, showDates, ganttScale, positionOverrides, flowchartData]);
+  }, [code, ganttTasks, toolsetKey, showDates, ganttScale, positionOverrides, flowchartData, cascadeDrag]);
 
   /* ── Re-render gantt when display toggles change ────── */
   useEffect(() => {
@@ -10322,7 +11842,7 @@ function App() {
     if (!autoRender) return;
     const handle = window.setTimeout(postRender, 100);
     return () => window.clearTimeout(handle);
-  }, [showDates, ganttScale, showGrid, compactMode, ganttZoom, pinCategories, showCriticalPath, showDepLines, executiveView, showRisks, selectedAssignees, toolsetKey, showBaseline, baselineTasks]);
+  }, [showDates, ganttScale, showGrid, compactMode, ganttZoom, pinCategories, showCriticalPath, showDepLines, executiveView, showRisks, selectedAssignees, toolsetKey, showBaseline, baselineTasks, scenarioOverlays, cascadeDrag, collapsedSections, externalTasks, ganttBoardView, showWorkload, workloadGranularity, resourceCapacity]);
 
   /* ── Resizable divider ───────────────────────────────── */
   const onDividerPointerDown = (e) => {
@@ -10404,7 +11924,6 @@ function App() {
             for (const nid of selectedNodeIds) c = removeFlowchartNode(c, nid);
             return c;
           });
-          setPositionOverrides({});
           setStyleToolbar(null);
           setSelectedElement(null);
           setSelectedNodeIds(new Set());
@@ -10416,7 +11935,6 @@ function App() {
           e.preventDefault();
           commitSnapshotNow();
           setCode((prev) => removeFlowchartNode(prev, nodeId));
-          setPositionOverrides({});
           setStyleToolbar(null);
           setSelectedElement(null);
           setSelectedNodeIds(new Set());
@@ -10479,7 +11997,6 @@ function App() {
               commitSnapshotNow();
               const newId = generateNodeId(flowchartData.nodes);
               setCode((prev) => addFlowchartNode(prev, { id: newId, label: node.label || nodeId, shape: node.shape || "rect" }));
-              setPositionOverrides({});
               setRenderMessage(`Duplicated "${nodeId}" as "${newId}"`);
             }
             return;
@@ -10637,6 +12154,37 @@ function App() {
     });
   };
 
+  // The frame knows each node's size, so it lines the nodes up and reports
+  // the new spots back through elements:dragged (stored as position overrides)
+  const arrangeSelectedNodes = (nodeIds, mode) => {
+    const frame = iframeRef.current;
+    if (!frame?.contentWindow || !nodeIds?.length) return;
+    frame.contentWindow.postMessage({ channel: CHANNEL, type: "flowchart:arrange", payload: { nodeIds, mode } }, "*");
+    setRenderMessage(mode.startsWith("distribute") ? `Distributed ${nodeIds.length} nodes` : `Aligned ${nodeIds.length} nodes`);
+  };
+
+  // Select a 1-based line in the code editor and scroll it into view
+  const jumpToEditorLine = (line) => {
+    setHighlightLine(line);
+    const editor = editorRef.current;
+    if (!editor) return;
+    const lines = code.split("\n");
+    const start = lines.slice(0, line - 1).reduce((sum, l) => sum + l.length + 1, 0);
+    editor.focus();
+    editor.setSelectionRange(start, start + (lines[line - 1] || "").length);
+    const lineHeight = parseFloat(window.getComputedStyle(editor).lineHeight) || 20;
+    editor.scrollTop = Math.max(0, (line - 3) * lineHeight);
+  };
+
+  const applyLintFix = (issue) => {
+    const next = applyFlowchartLintFix(code, issue);
+    if (next === code) return;
+    commitSnapshotNow();
+    setCode(next);
+    setHighlightLine(null);
+    setRenderMessage(`Lint fix applied: ${issue.fix.label}`);
+  };
+
   /* ── Actions ─────────────────────────────────────────── */
   const insertSnippet = (snippet) => {
     commitSnapshotNow();
@@ -10726,6 +12274,34 @@ function App() {
       updated = updateGanttProgress(updated, progressTask, normalizedProgress);
     }
 
+    // Apply allocation
+    const allocationTasks = parseGanttTasks(updated);
+    const allocationTask = findTaskByLabel(allocationTasks, nextLabel);
+    if (allocationTask) {
+      updated = updateGanttAllocation(updated, allocationTask, ganttDraft.allocation);
+    }
+
+    // Apply three-point estimate
+    const estimateTasks = parseGanttTasks(updated);
+    const estimateTask = findTaskByLabel(estimateTasks, nextLabel);
+    if (estimateTask) {
+      updated = updateGanttEstimate(updated, estimateTask, ganttDraft.estimate);
+    }
+
+    // Apply typed dependency links (SS/FF/SF, lag)
+    const typedDepTasks = parseGanttTasks(updated);
+    const typedDepTask = findTaskByLabel(typedDepTasks, nextLabel);
+    if (typedDepTask) {
+      updated = updateGanttTypedDeps(updated, typedDepTask, (ganttDraft.typedDeps || "").trim());
+    }
+
+    // Apply recurrence
+    const repeatTasks = parseGanttTasks(updated);
+    const repeatTask = findTaskByLabel(repeatTasks, nextLabel);
+    if (repeatTask) {
+      updated = updateGanttRecurrence(updated, repeatTask, (ganttDraft.repeat || "").trim());
+    }
+
     // Apply dependency changes
     const depTasks = parseGanttTasks(updated);
     const depTask = findTaskByLabel(depTasks, nextLabel);
@@ -10754,6 +12330,13 @@ function App() {
   // mode: "check" (show dialog if dependents), "taskOnly", "deleteAll"
   const handleDeleteGanttTask = (label, mode = "check") => {
     commitSnapshotNow();
+    const occurrence = findGanttOccurrence(ganttTasks, label);
+    if (occurrence) {
+      setCode((prev) => updateGanttOccurrence(prev, occurrence, { skip: true }));
+      setRenderMessage(`Skipped "${occurrence.label}" (the rest of the series is unchanged)`);
+      setGanttDeleteConfirm(null);
+      return;
+    }
     const task = findTaskByLabel(ganttTasks, label);
     if (!task) return;
 
@@ -10794,6 +12377,89 @@ function App() {
     setGanttDeleteConfirm(null);
   };
 
+  const createScenario = (name) => {
+    const parentId = activeTab?.scenarioOf || activeTabId;
+    const newTab = {
+      id: Date.now().toString(),
+      label: name,
+      code,
+      scenarioOf: parentId,
+      scenarioColor: SCENARIO_COLORS[scenarioTabs.length % SCENARIO_COLORS.length],
+    };
+    setDiagramTabs((prev) => [...prev.map((t) => t.id === activeTabId ? withTabLayout({ ...t, code }, flowLayout) : t), newTab]);
+    setActiveTabId(newTab.id);
+    setShowScenarios(true);
+    setSelectedElement(null);
+    setHighlightLine(null);
+    setRenderMessage(`Created scenario "${name}"`);
+  };
+
+  const applyScenarioMerge = () => {
+    if (!scenarioMergeDialog || !scenarioParentTab || !scenarioMergeHunks) return;
+    const changeCount = scenarioMergeHunks.reduce((max, h) => (h.change !== undefined ? Math.max(max, h.change + 1) : max), 0);
+    const accepted = scenarioMergeDialog.accepted || new Set(Array.from({ length: changeCount }, (_, i) => i));
+    const merged = applyDiffChanges(scenarioMergeHunks, accepted);
+    const scenarioId = activeTabId;
+    const scenarioLabel = activeTab?.label || "scenario";
+    setDiagramTabs((prev) =>
+      prev
+        .filter((t) => !(scenarioMergeDialog.closeAfter && t.id === scenarioId))
+        .map((t) => {
+          if (t.id === scenarioParentTab.id) return { ...t, code: merged };
+          if (t.id === scenarioId) return { ...t, code };
+          return t;
+        })
+    );
+    setActiveTabId(scenarioParentTab.id);
+    setCode(merged);
+    applyTabLayout({ ...scenarioParentTab, code: merged });
+    setSelectedElement(null);
+    setHighlightLine(null);
+    setScenarioMergeDialog(null);
+    setRenderMessage(`Merged ${accepted.size} ${accepted.size === 1 ? "change" : "changes"} from "${scenarioLabel}" into "${scenarioParentTab.label}"`);
+  };
+
+  const selectBaseline = (baselineId) => {
+    setActiveBaselineId(baselineId);
+    setShowBaseline(true);
+  };
+
+  const saveNamedBaseline = async (name) => {
+    if (!flowId) return;
+    try {
+      const id = await addFlowBaseline(flowId, { name, code, createdBy: currentUser?.uid || null });
+      setBaselines((prev) => [{ id, name, code, createdBy: currentUser?.uid || null, createdAt: new Date() }, ...prev]);
+      selectBaseline(id);
+      setRenderMessage(`Saved baseline "${name}"`);
+    } catch (err) {
+      console.warn("Save baseline failed:", formatFirestoreError(err));
+      setRenderMessage(`Save baseline failed: ${formatFirestoreError(err)}`);
+    }
+  };
+
+  const deleteBaseline = async (baseline) => {
+    setBaselineDeleteConfirm(null);
+    if (!flowId || !baseline) return;
+    try {
+      if (baseline.legacy) await clearFlowBaseline(flowId);
+      else await deleteFlowBaseline(flowId, baseline.id);
+      setBaselines((prev) => prev.filter((b) => b.id !== baseline.id));
+      setActiveBaselineId((prev) => (prev === baseline.id ? null : prev));
+      setRenderMessage(`Deleted baseline "${baseline.name}"`);
+    } catch (err) {
+      console.warn("Delete baseline failed:", formatFirestoreError(err));
+      setRenderMessage(`Delete baseline failed: ${formatFirestoreError(err)}`);
+    }
+  };
+
+  const openSaveBaselineDialog = () => {
+    setPromptDialog({
+      type: "gantt-save-baseline",
+      title: "Name this baseline:",
+      defaultValue: `Baseline ${new Date().toISOString().slice(0, 10)}`,
+    });
+  };
+
   const handlePromptConfirm = useCallback((value) => {
     if (!promptDialog) return;
     const { type, meta } = promptDialog;
@@ -10805,6 +12471,7 @@ function App() {
       if (trimmed === meta.currentSection) return;
       commitSnapshotNow();
       setCode((prev) => renameGanttSection(prev, meta.currentSection, trimmed));
+      setCollapsedSections((prev) => prev.map((name) => (name === meta.currentSection ? trimmed : name)));
       setRenderMessage(`Renamed "${meta.currentSection}" to "${trimmed}"`);
     } else if (type === "gantt-add-section") {
       const exists = getGanttSections(code).some(
@@ -10834,7 +12501,6 @@ function App() {
     } else if (type === "create-subgraph") {
       commitSnapshotNow();
       setCode((prev) => createSubgraph(prev, meta.nodeIds, trimmed));
-      setPositionOverrides({});
       setSelectedNodeIds(new Set());
       setRenderMessage(`Grouped ${meta.nodeIds.length} nodes into "${trimmed}"`);
     } else if (type === "rename-subgraph-ctx") {
@@ -10855,8 +12521,37 @@ function App() {
       const updated = autoAdjustGanttDates(code, trimmed, directives.dateFormat);
       setCode(updated);
       setRenderMessage(`Shifted all dates to start from ${trimmed}`);
+    } else if (type === "gantt-save-baseline") {
+      saveNamedBaseline(trimmed.slice(0, 80));
+    } else if (type === "gantt-new-scenario") {
+      createScenario(trimmed);
+    }
+  }, [promptDialog, code, flowId, currentUser, activeTabId, diagramTabs]);
+
+  const applyResourceLeveling = () => {
+    if (!levelingResult || levelingResult.code === code) {
+      setLevelingDialog(null);
+      return;
+    }
+    commitSnapshotNow();
+    setCode(levelingResult.code);
+    setLevelingDialog(null);
+    const moved = levelingResult.moves.length;
+    setRenderMessage(`Leveled resources — ${moved} task${moved !== 1 ? "s" : ""} rescheduled`);
+  };
+
+  const handleResourceCapacityChange = async (name, hours) => {
+    const next = { ...resourceCapacity };
+    if (hours > 0) next[name] = hours;
+    else delete next[name];
+    setResourceCapacity(next);
+    if (!flowId || !canEditCurrentFlow) return;
+    try {
+      await updateFlow(flowId, { resourceCapacity: next });
+    } catch (err) {
+      console.warn("Save capacity failed:", formatFirestoreError(err));
     }
-  }, [promptDialog, code]);
+  };
 
   const handleStatusToggle = (flag) => {
     commitSnapshotNow();
@@ -10887,10 +12582,86 @@ function App() {
     setHighlightLine(task.lineIndex + 1);
   };
 
-  const replaceWithTemplate = () => {
-    if (!activeTemplate?.starter) return;
-    setCode(activeTemplate.starter);
-    clearHistory();
+  const materializeRecurrences = () => {
+    const result = materializeGanttRecurrences(code);
+    if (!result.count) return;
+    commitSnapshotNow();
+    setCode(result.code);
+    setRenderMessage(`Wrote ${result.count} repeated ${result.count === 1 ? "task" : "tasks"} as plain Mermaid lines`);
+  };
+
+  const clearGanttSelection = () => {
+    setGanttSelection([]);
+    iframeRef.current?.contentWindow?.postMessage({ channel: CHANNEL, type: "gantt:clear-selection" }, "*");
+  };
+
+  const applyBulkEdit = (action) => {
+    const result = bulkEditGanttTasks(code, bulkSelection, action);
+    const skippedNote = result.skipped.length
+      ? ` (left in place: ${result.skipped.slice(0, 3).join(", ")}${result.skipped.length > 3 ? ` and ${result.skipped.length - 3} more` : ""})`
+      : "";
+    if (!result.changed) {
+      setRenderMessage(`Nothing to change${skippedNote}`);
+      return;
+    }
+    commitSnapshotNow();
+    setCode(result.code);
+    setRenderMessage(`Updated ${result.changed} ${result.changed === 1 ? "task" : "tasks"}${skippedNote}`);
+  };
+
+  const moveGanttBoardCard = (label, column) => {
+    const updated = moveGanttTaskToBoardColumn(code, label, ganttBoardGroupBy, column);
+    if (updated === code) return;
+    commitSnapshotNow();
+    setCode(updated);
+    const target = ganttBoardGroupBy === "status"
+      ? { todo: "Not started", active: "Active", done: "Done" }[column]
+      : column || (ganttBoardGroupBy === "section" ? "Tasks" : "Unassigned");
+    setRenderMessage(`Moved "${label}" to ${target}`);
+  };
+
+  const applyWorkingCalendars = (calendars) => {
+    const updated = updateGanttCalendars(code, calendars);
+    setWorkingCalendarOpen(false);
+    if (updated === code) return;
+    commitSnapshotNow();
+    setCode(updated);
+    setRenderMessage("Working calendars updated");
+  };
+
+  const copyStatusReport = async (text) => {
+    await navigator.clipboard.writeText(text);
+    setRenderMessage("Status report copied");
+  };
+
+  const downloadStatusReport = (text, format) => {
+    const name = flowMeta?.name || "gantt";
+    const isHtml = format === "html";
+    downloadTextFile(text, `${name}-status.${isHtml ? "html" : "md"}`, isHtml ? "text/html" : "text/markdown");
+    setRenderMessage("Status report downloaded");
+  };
+
+  const saveStatusReportComment = async (markdown) => {
+    if (!flowId || !currentUser) return;
+    const text = markdown.trim();
+    if (text.length > COMMENT_MAX_LENGTH) {
+      setRenderMessage(`Status report is too long for a comment (${text.length} of ${COMMENT_MAX_LENGTH} characters). Pick a shorter window or download it instead.`);
+      return;
+    }
+    try {
+      await addComment(flowId, currentUser.uid, currentUser.displayName || currentUser.email || "User", text);
+      setCommentsVersion((v) => v + 1);
+      setRenderMessage("Status report saved as a comment");
+    } catch (err) {
+      console.warn("Save status report failed:", formatFirestoreError(err));
+      setRenderMessage("Status report could not be saved");
+    }
+  };
+
+  const replaceWithTemplate = () => {
+    if (!activeTemplate?.starter) return;
+    setCode(activeTemplate.starter);
+    clearHistory();
     setSelectedElement(null);
     setHighlightLine(null);
     setDragFeedback("");
@@ -10901,6 +12672,72 @@ function App() {
     setRenderMessage("Mermaid code copied");
   };
 
+  const downloadMsProjectXml = () => {
+    const name = flowMeta?.name || "gantt";
+    downloadTextFile(ganttToMsProjectXml(code, flowMeta?.name || ""), `${name}.xml`, "application/xml");
+    setRenderMessage("MS Project XML downloaded");
+  };
+
+  const downloadGanttCsv = () => {
+    const name = flowMeta?.name || "gantt";
+    downloadTextFile(ganttToCsv(code), `${name}.csv`, "text/csv");
+    setRenderMessage("CSV downloaded");
+  };
+
+  const downloadBaselineReportCsv = (report, view) => {
+    const name = flowMeta?.name || "gantt";
+    downloadTextFile(baselineVarianceToCsv(report, view), `${name}-baseline-${view}.csv`, "text/csv");
+    setRenderMessage("Baseline report downloaded");
+  };
+
+  const downloadGanttIcs = () => {
+    const name = flowMeta?.name || "gantt";
+    const { ics, eventCount } = ganttToIcs(code, { title: flowMeta?.name || "", uidNamespace: flowId || name });
+    downloadTextFile(ics, `${name}.ics`, "text/calendar");
+    setRenderMessage(`Calendar downloaded (${eventCount} ${eventCount === 1 ? "event" : "events"})`);
+  };
+
+  const handleGanttImportFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setGanttImportDialog((prev) => prev && { ...prev, text: String(reader.result || ""), fileName: file.name, error: "", errors: [], warned: false });
+    };
+    reader.readAsText(file);
+  };
+
+  const applyGanttImport = () => {
+    if (!ganttImportDialog) return;
+    const isCsv = ganttImportDialog.format === "csv";
+    let imported;
+    if (isCsv) {
+      const result = csvToGantt(ganttImportDialog.text, flowMeta?.name || "Project Timeline", toolsetKey === "gantt" ? code : "");
+      if (result.errors.length) {
+        setGanttImportDialog((prev) => ({ ...prev, error: "", errors: result.errors }));
+        return;
+      }
+      imported = result.code;
+    } else {
+      let result;
+      try {
+        result = msProjectXmlToGantt(ganttImportDialog.text, flowMeta?.name || "");
+      } catch (err) {
+        setGanttImportDialog((prev) => ({ ...prev, error: err.message }));
+        return;
+      }
+      // Show what will be lost once; a second click imports anyway
+      if (result.warnings.length && !ganttImportDialog.warned) {
+        setGanttImportDialog((prev) => ({ ...prev, error: "", errors: result.warnings, warned: true }));
+        return;
+      }
+      imported = result.code;
+    }
+    commitSnapshotNow();
+    setCode(imported);
+    setGanttImportDialog(null);
+    setRenderMessage(`Imported ${ganttImportDialog.fileName || (isCsv ? "CSV" : "MS Project XML")}`);
+  };
+
   const copyEmbed = async () => {
     const embedDoc = `<!doctype html><html><body><div id="root"></div><script type="module">import mermaid from "https://cdn.jsdelivr.net/npm/mermaid@11/dist/mermaid.esm.min.mjs";const code=${JSON.stringify(
       code
@@ -11167,7 +13004,7 @@ function App() {
   const handleAiPreviewAccept = () => {
     if (!aiPreview) return;
     // Save current tab code before adding new tab
-    setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? { ...t, code } : t));
+    setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? withTabLayout({ ...t, code }, flowLayout) : t));
     const newTab = {
       id: Date.now().toString(),
       label: aiPreview.title || (aiPreview.source === "convert" ? "Conversion" : "AI Generated"),
@@ -11178,7 +13015,7 @@ function App() {
     setActiveTabId(newTab.id);
     setSelectedElement(null);
     setHighlightLine(null);
-    setPositionOverrides({});
+    applyTabLayout(newTab);
     const label = aiPreview.source === "convert" ? "Converted" : "AI generated";
     setRenderMessage(`${label}: ${aiPreview.title}`);
     setAiPreviewOpen(false);
@@ -11194,7 +13031,7 @@ function App() {
   const switchTab = (tabId) => {
     if (tabId === activeTabId) return;
     // Save current tab's code before switching
-    setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? { ...t, code } : t));
+    setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? withTabLayout({ ...t, code }, flowLayout) : t));
     // Load new tab's code
     const tab = diagramTabs.find((t) => t.id === tabId);
     if (tab) {
@@ -11203,7 +13040,7 @@ function App() {
     }
     setSelectedElement(null);
     setHighlightLine(null);
-    setPositionOverrides({});
+    applyTabLayout(tab);
   };
 
   const closeTab = (tabId) => {
@@ -11219,13 +13056,13 @@ function App() {
       }
       setSelectedElement(null);
       setHighlightLine(null);
-      setPositionOverrides({});
+      applyTabLayout(nextTab);
     }
   };
 
   const addNewTab = () => {
     // Save current tab's code first
-    setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? { ...t, code } : t));
+    setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? withTabLayout({ ...t, code }, flowLayout) : t));
     const newTab = {
       id: Date.now().toString(),
       label: `Tab ${diagramTabs.length + 1}`,
@@ -11236,7 +13073,7 @@ function App() {
     setActiveTabId(newTab.id);
     setSelectedElement(null);
     setHighlightLine(null);
-    setPositionOverrides({});
+    applyTabLayout(newTab);
   };
 
   const startRenameTab = (tabId) => {
@@ -11320,6 +13157,7 @@ function App() {
         tags: [],
         ganttViewState,
       });
+      await updateFlow(created.id, { tabs: snapshotTabs(), activeTabId });
       setRenderMessage("Saved to Firebase. Autosave is now active.");
       navigate(`/editor/${created.id}`);
     } catch (err) {
@@ -11339,7 +13177,7 @@ function App() {
     if (editingTemplateId) {
       setManualSaving(true);
       try {
-        const tabsSnapshot = diagramTabs.map((t) => t.id === activeTabId ? { ...t, code } : t);
+        const tabsSnapshot = snapshotTabs();
         await updateTemplate(editingTemplateId, {
           code,
           diagramType,
@@ -11368,6 +13206,8 @@ function App() {
           diagramType,
           name: flowMeta?.name || "Untitled",
           ganttViewState,
+          tabs: snapshotTabs(),
+          activeTabId,
         });
         lastSavedGanttViewStateRef.current = JSON.stringify(ganttViewState);
         setDiffBaselineCode(code);
@@ -11544,6 +13384,26 @@ function App() {
               <button className="dropdown-item" onClick={() => { handleDownloadPdf(); setExportMenuOpen(false); }}>
                 Download PDF
               </button>
+              {toolsetKey === "gantt" && (
+                <>
+                  <div className="dropdown-sep" />
+                  <button className="dropdown-item" onClick={() => { downloadMsProjectXml(); setExportMenuOpen(false); }}>
+                    Download MS Project XML
+                  </button>
+                  <button className="dropdown-item" onClick={() => { setGanttImportDialog({ format: "msproject", text: "", fileName: "", error: "", errors: [] }); setExportMenuOpen(false); }}>
+                    Import MS Project XML...
+                  </button>
+                  <button className="dropdown-item" onClick={() => { downloadGanttCsv(); setExportMenuOpen(false); }}>
+                    Download CSV
+                  </button>
+                  <button className="dropdown-item" onClick={() => { setGanttImportDialog({ format: "csv", text: "", fileName: "", error: "", errors: [] }); setExportMenuOpen(false); }}>
+                    Import CSV...
+                  </button>
+                  <button className="dropdown-item" onClick={() => { downloadGanttIcs(); setExportMenuOpen(false); }}>
+                    Download calendar (.ics)
+                  </button>
+                </>
+              )}
               <div className="dropdown-sep" />
               <button className="dropdown-item" onClick={() => { setSaveDialogOpen(true); setExportMenuOpen(false); }}>
                 Save local copy
@@ -11646,6 +13506,25 @@ function App() {
               <button className="dropdown-item" onClick={() => { handleDownloadPdf(); setMobileActionsOpen(false); }}>
                 Export PDF
               </button>
+              {toolsetKey === "gantt" && (
+                <>
+                  <button className="dropdown-item" onClick={() => { downloadMsProjectXml(); setMobileActionsOpen(false); }}>
+                    Export MS Project XML
+                  </button>
+                  <button className="dropdown-item" onClick={() => { setGanttImportDialog({ format: "msproject", text: "", fileName: "", error: "", errors: [] }); setMobileActionsOpen(false); }}>
+                    Import MS Project XML
+                  </button>
+                  <button className="dropdown-item" onClick={() => { downloadGanttCsv(); setMobileActionsOpen(false); }}>
+                    Export CSV
+                  </button>
+                  <button className="dropdown-item" onClick={() => { setGanttImportDialog({ format: "csv", text: "", fileName: "", error: "", errors: [] }); setMobileActionsOpen(false); }}>
+                    Import CSV
+                  </button>
+                  <button className="dropdown-item" onClick={() => { downloadGanttIcs(); setMobileActionsOpen(false); }}>
+                    Export calendar (.ics)
+                  </button>
+                </>
+              )}
               <div className="dropdown-sep" />
               <button className="dropdown-item" onClick={() => { setSaveDialogOpen(true); setMobileActionsOpen(false); }}>
                 Save local copy
@@ -11743,7 +13622,12 @@ function App() {
                     autoFocus
                   />
                 ) : (
-                  <span className="editor-tab-label">{tab.label}</span>
+                  <span className="editor-tab-label">
+                    {tab.scenarioOf && (
+                      <span className="editor-tab-scenario-dot" style={{ background: tab.scenarioColor }} title="Scenario" />
+                    )}
+                    {tab.label}
+                  </span>
                 )}
                 {diagramTabs.length > 1 && (
                   <span
@@ -11785,7 +13669,8 @@ function App() {
                   }
                 }, 800);
                 setDiagramTabs((prev) => prev.map((t) => t.id === activeTabId ? { ...t, code: e.target.value } : t));
-                setCode(e.target.value); setPositionOverrides({});
+                setCode(e.target.value);
+                if (toolsetKey !== "flowchart") setPositionOverrides({});
               }}
               spellCheck={false}
               className="code-area"
@@ -11936,39 +13821,48 @@ function App() {
                   <button className="dropdown-item" onClick={() => { setExecutiveView((prev) => !prev); setMobileViewMenuOpen(false); }}>
                     {executiveView ? "All tasks" : "Executive"}
                   </button>
+                  <button
+                    className="dropdown-item"
+                    onClick={() => {
+                      setPromptDialog({ type: "gantt-new-scenario", title: "Scenario name:", placeholder: "e.g. Delay vendor by 2 weeks" });
+                      setMobileViewMenuOpen(false);
+                    }}
+                  >
+                    New scenario
+                  </button>
+                  {scenarioParentTab && (
+                    <button className="dropdown-item" onClick={() => { setScenarioMergeDialog({ accepted: null, closeAfter: true }); setMobileViewMenuOpen(false); }}>
+                      Merge scenario
+                    </button>
+                  )}
                   {flowId && baselineCode && (
                     <button className="dropdown-item" onClick={() => { setShowBaseline((prev) => !prev); setMobileViewMenuOpen(false); }}>
                       {showBaseline ? "Hide baseline" : "Show baseline"}
                     </button>
                   )}
+                  {flowId && baselineCode && (
+                    <button className="dropdown-item" onClick={() => { setBaselineReportOpen((prev) => !prev); setMobileViewMenuOpen(false); }}>
+                      {baselineReportOpen ? "Hide baseline report" : "Baseline report"}
+                    </button>
+                  )}
+                  {flowId && baselines.length > 1 && baselines.map((b) => (
+                    <button key={`mobile-baseline-${b.id}`} className="dropdown-item" onClick={() => { selectBaseline(b.id); setMobileViewMenuOpen(false); }}>
+                      <span className="dropdown-item-check">{showBaseline && activeBaseline?.id === b.id ? "\u2713" : ""}</span>{b.name}
+                    </button>
+                  ))}
+                  {flowId && baselineCode && (
+                    <button className="dropdown-item" onClick={() => { setBaselineCompareOpen(true); setMobileViewMenuOpen(false); }}>
+                      Compare baselines
+                    </button>
+                  )}
                   {flowId && canEditCurrentFlow && (
-                    <button className="dropdown-item" onClick={async () => {
-                      try {
-                        await setFlowBaseline(flowId, code);
-                        setBaselineCode(code);
-                        setBaselineSetAt(new Date());
-                        setShowBaseline(true);
-                      } catch (err) {
-                        console.warn("Set baseline failed:", formatFirestoreError(err));
-                      }
-                      setMobileViewMenuOpen(false);
-                    }}>
-                      {baselineCode ? "Update baseline" : "Set baseline"}
+                    <button className="dropdown-item" onClick={() => { openSaveBaselineDialog(); setMobileViewMenuOpen(false); }}>
+                      {baselineCode ? "Save new baseline" : "Set baseline"}
                     </button>
                   )}
                   {flowId && canEditCurrentFlow && baselineCode && (
-                    <button className="dropdown-item" onClick={async () => {
-                      try {
-                        await clearFlowBaseline(flowId);
-                        setBaselineCode(null);
-                        setBaselineSetAt(null);
-                        setShowBaseline(false);
-                      } catch (err) {
-                        console.warn("Clear baseline failed:", formatFirestoreError(err));
-                      }
-                      setMobileViewMenuOpen(false);
-                    }}>
-                      Clear baseline
+                    <button className="dropdown-item" onClick={() => { setBaselineDeleteConfirm(activeBaseline); setMobileViewMenuOpen(false); }}>
+                      Delete baseline
                     </button>
                   )}
                 </div>
@@ -11989,6 +13883,51 @@ function App() {
                   {flowchartData.direction === "LR" ? "\u2195 Top-Bottom" : "\u2194 Left-Right"}
                 </button>
               )}
+              {toolsetKey === "flowchart" && (
+                <div className="resource-unit-toggle" title="Edge style">
+                  {[
+                    { value: "straight", label: "Straight" },
+                    { value: "orthogonal", label: "Orthogonal" },
+                    { value: "curved", label: "Curved" },
+                  ].map((o) => (
+                    <button
+                      key={o.value}
+                      className={`date-toggle-btn${(edgeStyle || (renderer === "elk" ? "orthogonal" : "curved")) === o.value ? " active" : ""}`}
+                      onClick={() => setEdgeStyle(o.value)}
+                    >
+                      {o.label}
+                    </button>
+                  ))}
+                </div>
+              )}
+              {toolsetKey === "flowchart" && (
+                <button
+                  className={`date-toggle-btn${hasLayoutComment(code) ? " active" : ""}`}
+                  title={hasLayoutComment(code)
+                    ? "Remove the %% mf-layout comment (positions stay saved with the flow)"
+                    : "Also write node positions into the code as a %% mf-layout comment"}
+                  onClick={() => {
+                    commitSnapshotNow();
+                    setCode((prev) => (hasLayoutComment(prev) ? removeLayoutComment(prev) : writeLayoutComment(prev, flowLayout)));
+                  }}
+                >
+                  Layout in code
+                </button>
+              )}
+              {toolsetKey === "flowchart" && (
+                <button
+                  className={`date-toggle-btn${lintPanelOpen ? " active" : ""}`}
+                  title="Check the flowchart for likely mistakes"
+                  onClick={() => setLintPanelOpen((p) => !p)}
+                >
+                  Lint
+                  {flowchartLintIssues.length > 0 && (
+                    <span className={`lint-badge${flowchartLintIssues.some((i) => i.severity === "error") ? " error" : ""}`}>
+                      {flowchartLintIssues.length}
+                    </span>
+                  )}
+                </button>
+              )}
               {toolsetKey === "erDiagram" && (
                 <button
                   className={`date-toggle-btn`}
@@ -12003,6 +13942,20 @@ function App() {
               )}
               {toolsetKey === "gantt" && (
                 <>
+                  <div className="resource-unit-toggle">
+                    <button
+                      className={`date-toggle-btn${!ganttBoardView ? " active" : ""}`}
+                      onClick={() => setGanttBoardView(false)}
+                    >
+                      Timeline
+                    </button>
+                    <button
+                      className={`date-toggle-btn${ganttBoardView ? " active" : ""}`}
+                      onClick={() => setGanttBoardView(true)}
+                    >
+                      Board
+                    </button>
+                  </div>
                   <div className="dropdown-wrap" ref={ganttViewMenuRef}>
                     <button
                       className={`date-toggle-btn${ganttDropdown === "view" ? " active" : ""}`}
@@ -12027,6 +13980,10 @@ function App() {
                       <button className="dropdown-item" onClick={() => setPinCategories((p) => !p)}>
                         <span className="dropdown-item-check">{pinCategories ? "\u2713" : ""}</span>Pin labels
                       </button>
+                      <div className="dropdown-sep" />
+                      <button className="dropdown-item" onClick={() => setShowWorkload((p) => !p)}>
+                        <span className="dropdown-item-check">{showWorkload ? "\u2713" : ""}</span>Workload histogram
+                      </button>
                     </div>
                   </div>
                   <div className="dropdown-wrap" ref={ganttAnalysisMenuRef}>
@@ -12043,12 +14000,72 @@ function App() {
                       <button className="dropdown-item" onClick={() => setShowDepLines((p) => !p)}>
                         <span className="dropdown-item-check">{showDepLines ? "\u2713" : ""}</span>Dep lines
                       </button>
+                      <button className="dropdown-item" onClick={() => setCascadeDrag((p) => !p)}>
+                        <span className="dropdown-item-check">{cascadeDrag ? "\u2713" : ""}</span>Drag moves dependents
+                      </button>
                       <button className="dropdown-item" onClick={() => setShowRisks((p) => !p)}>
                         <span className="dropdown-item-check">{showRisks ? "\u2713" : ""}</span>Risk flags
                       </button>
                       <button className="dropdown-item" onClick={() => { setShowChainView((p) => !p); setGanttDropdown(null); }}>
                         <span className="dropdown-item-check">{showChainView ? "\u2713" : ""}</span>Chain view
                       </button>
+                      <div className="dropdown-sep" />
+                      <button className="dropdown-item" onClick={() => { setLevelingDialog({ capacity: 1 }); setGanttDropdown(null); }}>
+                        <span className="dropdown-item-check" />Level resources...
+                      </button>
+                      <button className="dropdown-item" onClick={() => { setWorkingCalendarOpen(true); setGanttDropdown(null); }}>
+                        <span className="dropdown-item-check" />Working calendars...
+                      </button>
+                      <button className="dropdown-item" onClick={() => { setStatusReportOpen(true); setGanttDropdown(null); }}>
+                        <span className="dropdown-item-check" />Generate status report...
+                      </button>
+                      <button className="dropdown-item" onClick={() => { setMonteCarloOpen((p) => !p); setGanttDropdown(null); }}>
+                        <span className="dropdown-item-check">{monteCarloOpen ? "\u2713" : ""}</span>Risk simulation
+                      </button>
+                      {ganttTasks.some((t) => t.isOccurrence) && (
+                        <button className="dropdown-item" onClick={() => { materializeRecurrences(); setGanttDropdown(null); }}>
+                          <span className="dropdown-item-check" />Materialize recurrences
+                        </button>
+                      )}
+                      <div className="dropdown-sep" />
+                      <div className="dropdown-label">Scenarios</div>
+                      <button
+                        className="dropdown-item"
+                        onClick={() => {
+                          setPromptDialog({ type: "gantt-new-scenario", title: "Scenario name:", placeholder: "e.g. Delay vendor by 2 weeks" });
+                          setGanttDropdown(null);
+                        }}
+                      >
+                        <span className="dropdown-item-check" />New scenario...
+                      </button>
+                      {scenarioTabs.length > 0 && (
+                        <button className="dropdown-item" onClick={() => setShowScenarios((p) => !p)}>
+                          <span className="dropdown-item-check">{showScenarios ? "\u2713" : ""}</span>Show scenario overlays
+                        </button>
+                      )}
+                      {scenarioParentTab && (
+                        <button className="dropdown-item" onClick={() => { setScenarioMergeDialog({ accepted: null, closeAfter: true }); setGanttDropdown(null); }}>
+                          <span className="dropdown-item-check" />Merge into "{scenarioParentTab.label}"...
+                        </button>
+                      )}
+                      {flowId && baselines.length > 0 && (
+                        <>
+                          <div className="dropdown-sep" />
+                          <div className="dropdown-label">Baseline overlay</div>
+                          <button className="dropdown-item" onClick={() => setShowBaseline(false)}>
+                            <span className="dropdown-item-check">{showBaseline ? "" : "\u2713"}</span>None
+                          </button>
+                          {baselines.map((b) => (
+                            <button key={b.id} className="dropdown-item" onClick={() => selectBaseline(b.id)}>
+                              <span className="dropdown-item-check">{showBaseline && activeBaseline?.id === b.id ? "\u2713" : ""}</span>
+                              {b.name}
+                            </button>
+                          ))}
+                          <button className="dropdown-item" onClick={() => { setBaselineCompareOpen(true); setGanttDropdown(null); }}>
+                            <span className="dropdown-item-check" />Compare baselines...
+                          </button>
+                        </>
+                      )}
                     </div>
                   </div>
                   <div className="dropdown-wrap" ref={ganttAssigneeMenuRef}>
@@ -12129,56 +14146,30 @@ function App() {
                           >
                             {showBaseline ? "Hide baseline" : "Show baseline"}
                           </button>
+                          <button
+                            className={`date-toggle-btn${baselineReportOpen ? " active" : ""}`}
+                            onClick={() => setBaselineReportOpen((prev) => !prev)}
+                          >
+                            Report
+                          </button>
                           {canEditCurrentFlow && (
                             <>
-                              <button
-                                className="date-toggle-btn"
-                                onClick={async () => {
-                                  try {
-                                    await setFlowBaseline(flowId, code);
-                                    setBaselineCode(code);
-                                    setBaselineSetAt(new Date());
-                                    setShowBaseline(true);
-                                  } catch (err) {
-                                    console.warn("Set baseline failed:", formatFirestoreError(err));
-                                  }
-                                }}
-                              >
-                                Update baseline
+                              <button className="date-toggle-btn" onClick={openSaveBaselineDialog}>
+                                Save baseline
                               </button>
                               <button
                                 className="date-toggle-btn"
-                                onClick={async () => {
-                                  try {
-                                    await clearFlowBaseline(flowId);
-                                    setBaselineCode(null);
-                                    setBaselineSetAt(null);
-                                    setShowBaseline(false);
-                                  } catch (err) {
-                                    console.warn("Clear baseline failed:", formatFirestoreError(err));
-                                  }
-                                }}
+                                title={activeBaseline ? `Delete "${activeBaseline.name}"` : undefined}
+                                onClick={() => setBaselineDeleteConfirm(activeBaseline)}
                               >
-                                Clear baseline
+                                Delete baseline
                               </button>
                             </>
                           )}
                         </>
                       ) : (
                         canEditCurrentFlow && (
-                          <button
-                            className="date-toggle-btn"
-                            onClick={async () => {
-                              try {
-                                await setFlowBaseline(flowId, code);
-                                setBaselineCode(code);
-                                setBaselineSetAt(new Date());
-                                setShowBaseline(true);
-                              } catch (err) {
-                                console.warn("Set baseline failed:", formatFirestoreError(err));
-                              }
-                            }}
-                          >
+                          <button className="date-toggle-btn" onClick={openSaveBaselineDialog}>
                             Set baseline
                           </button>
                         )
@@ -12267,7 +14258,27 @@ function App() {
             sandbox="allow-scripts allow-popups allow-popups-to-escape-sandbox"
             srcDoc={srcDoc}
             className="preview-frame"
+            style={toolsetKey === "gantt" && ganttBoardView ? { display: "none" } : undefined}
           />
+          {toolsetKey === "gantt" && ganttBoardView && (
+            <GanttBoard
+              tasks={ganttBoardTasks}
+              groupBy={ganttBoardGroupBy}
+              sections={ganttSections}
+              selectedLabel={selectedGanttTask?.label || ""}
+              onGroupByChange={setGanttBoardGroupBy}
+              onMove={moveGanttBoardCard}
+              onSelect={(label) => {
+                setSelectedElement({ label, id: "", elementType: "node" });
+                setHighlightLine(getMatchingLine(code, label));
+              }}
+              onOpen={(label) => {
+                setSelectedElement({ label, id: "", elementType: "node" });
+                setHighlightLine(getMatchingLine(code, label));
+                setContextMenu({ type: "gantt", label });
+              }}
+            />
+          )}
           {showChainView && toolsetKey === "gantt" && criticalPathLabels.length > 0 && (
             <div className="chain-view-panel">
               <div className="chain-view-header">
@@ -12295,7 +14306,7 @@ function App() {
               </div>
             </div>
           )}
-          <div className="zoom-controls">
+          <div className="zoom-controls" style={toolsetKey === "gantt" && ganttBoardView ? { display: "none" } : undefined}>
             <button
               className={`zoom-pan-toggle${panModeEnabled ? " active" : ""}`}
               title={panModeEnabled ? "Hand pan mode is on" : "Enable hand pan mode"}
@@ -12408,7 +14419,7 @@ function App() {
                 }}
               >
                 <option value="">-- pick a task --</option>
-                {ganttTasks.map((t) => (
+                {ganttTasks.filter((t) => !t.isOccurrence).map((t) => (
                   <option key={t.lineIndex} value={t.label}>
                     {t.label}
                   </option>
@@ -12461,6 +14472,42 @@ function App() {
                   onChange={(val) => setGanttDraft((prev) => ({ ...prev, assignee: val }))}
                   suggestions={allAssignees}
                 />
+                <label>
+                  Allocation (%)
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    step="5"
+                    value={ganttDraft.allocation}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, allocation: e.target.value }))}
+                    placeholder="100"
+                  />
+                </label>
+                <label>
+                  Estimate (optimistic/likely/pessimistic)
+                  <input
+                    value={ganttDraft.estimate}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, estimate: e.target.value }))}
+                    placeholder="3d/5d/10d"
+                  />
+                </label>
+                <label>
+                  Dependency links (SS/FF/lag)
+                  <input
+                    value={ganttDraft.typedDeps}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, typedDeps: e.target.value }))}
+                    placeholder="design SS+2d, build FF"
+                  />
+                </label>
+                <label>
+                  Repeat
+                  <input
+                    value={ganttDraft.repeat}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, repeat: e.target.value }))}
+                    placeholder="every 2w x6"
+                  />
+                </label>
                 <label>
                   Link
                   <input
@@ -12570,7 +14617,14 @@ function App() {
               </label>
               <label>
                 Layout Engine
-                <select value={renderer} onChange={(e) => setRenderer(e.target.value)}>
+                <select
+                  value={renderer}
+                  title="Saved with the flow. Switching engines resets dragged flowchart positions."
+                  onChange={(e) => {
+                    setRenderer(e.target.value);
+                    if (toolsetKey === "flowchart") setPositionOverrides({});
+                  }}
+                >
                   <option value="dagre">dagre</option>
                   <option value="elk">elk</option>
                 </select>
@@ -12650,6 +14704,43 @@ function App() {
                   suggestions={allAssignees}
                 />
 
+                <label>
+                  Allocation (%)
+                  <input
+                    type="number"
+                    min="1"
+                    max="100"
+                    step="5"
+                    value={ganttDraft.allocation}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, allocation: e.target.value }))}
+                    placeholder="100"
+                  />
+                </label>
+                <label>
+                  Estimate (optimistic/likely/pessimistic)
+                  <input
+                    value={ganttDraft.estimate}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, estimate: e.target.value }))}
+                    placeholder="3d/5d/10d"
+                  />
+                </label>
+                <label>
+                  Dependency links (SS/FF/lag)
+                  <input
+                    value={ganttDraft.typedDeps}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, typedDeps: e.target.value }))}
+                    placeholder="design SS+2d, build FF"
+                  />
+                </label>
+                <label>
+                  Repeat
+                  <input
+                    value={ganttDraft.repeat}
+                    onChange={(e) => setGanttDraft((prev) => ({ ...prev, repeat: e.target.value }))}
+                    placeholder="every 2w x6"
+                  />
+                </label>
+
                 <label>
                   Link
                   <input
@@ -12885,6 +14976,15 @@ function App() {
         );
       })()}
 
+      {/* ── Baseline Delete Confirmation Dialog ─────────── */}
+      <ConfirmDialog
+        open={!!baselineDeleteConfirm}
+        title="Delete Baseline"
+        message={`Delete baseline "${baselineDeleteConfirm?.name || ""}" permanently?`}
+        onConfirm={() => deleteBaseline(baselineDeleteConfirm)}
+        onCancel={() => setBaselineDeleteConfirm(null)}
+      />
+
       {/* ── Prompt Dialog ────────────────────────────────── */}
       <PromptDialog
         open={!!promptDialog}
@@ -13042,7 +15142,7 @@ function App() {
                   } else if (adapter?.removeNode) {
                     setCode((prev) => adapter.removeNode(prev, nodeEditModal.nodeId));
                   }
-                  setPositionOverrides({});
+                  if (!isFlowchart) setPositionOverrides({});
                   setRenderMessage(`Deleted ${nodeLabel} "${nodeEditModal.nodeId}"`);
                   setNodeEditModal(null);
                 }}>
@@ -13070,7 +15170,7 @@ function App() {
                   } else {
                     setCode((prev) => replaceFirstLabel(prev, selectedElement?.label || "", nodeEditModal.label));
                   }
-                  setPositionOverrides({});
+                  if (!isFlowchart) setPositionOverrides({});
                   setRenderMessage(`Updated ${nodeLabel} "${nodeEditModal.nodeId}"`);
                   setNodeEditModal(null);
                 }}>
@@ -13130,7 +15230,6 @@ function App() {
                     newCode = addFlowchartEdge(newCode, { source: sourceNodeId, target: newId });
                   }
                   setCode(newCode);
-                  setPositionOverrides({});
                   setRenderMessage("Added node " + newId + " connected to " + sourceNodeId);
                 } else {
                   const adapter = getDiagramAdapter(toolsetKey);
@@ -13231,7 +15330,6 @@ function App() {
                     setRenderMessage("Deleted message");
                   } else if (toolsetKey === "flowchart") {
                     setCode((prev) => removeFlowchartEdge(prev, nodeEditModal.edgeSource, nodeEditModal.edgeTarget));
-                    setPositionOverrides({});
                     setRenderMessage(`Deleted edge ${nodeEditModal.edgeSource} --> ${nodeEditModal.edgeTarget}`);
                   } else if (adapter?.removeEdge) {
                     setCode((prev) => adapter.removeEdge(prev, nodeEditModal.edgeSource, nodeEditModal.edgeTarget));
@@ -13346,6 +15444,193 @@ function App() {
         </div>
       )}
 
+      {/* ── Gantt Import Modal ───────────────────────────── */}
+      {ganttImportDialog && (
+        <div className="modal-backdrop" onClick={() => setGanttImportDialog(null)}>
+          <div className="node-edit-modal" style={{ maxWidth: 560 }} onClick={(e) => e.stopPropagation()}>
+            <div className="task-modal-header">
+              <h2>{ganttImportDialog.format === "csv" ? "Import CSV" : "Import MS Project XML"}</h2>
+              <button className="drawer-close-btn" onClick={() => setGanttImportDialog(null)}>&times;</button>
+            </div>
+            <div className="task-modal-body">
+              <label>
+                File
+                <input
+                  type="file"
+                  accept={ganttImportDialog.format === "csv" ? ".csv,text/csv" : ".xml,application/xml,text/xml"}
+                  onChange={(e) => handleGanttImportFile(e.target.files?.[0])}
+                />
+              </label>
+              <label>
+                {ganttImportDialog.format === "csv"
+                  ? "Or paste the CSV (columns: section, id, label, start, end, duration, deps, status, assignee, progress, notes, link)"
+                  : <>Or paste the XML (File &rarr; Save As &rarr; XML in MS Project)</>}
+                <textarea
+                  className="task-notes-input"
+                  value={ganttImportDialog.text}
+                  onChange={(e) => setGanttImportDialog((prev) => ({ ...prev, text: e.target.value, error: "", errors: [], warned: false }))}
+                  placeholder={ganttImportDialog.format === "csv"
+                    ? "section,id,label,start,end,duration,deps,status,assignee,progress,notes,link\nPlanning,kickoff,Kickoff,2024-01-08,,2d,,done,Alice,,,"
+                    : '<?xml version="1.0"?>\n<Project xmlns="http://schemas.microsoft.com/project">\n  ...'}
+                  rows={10}
+                  style={{ fontFamily: "'SF Mono', 'Fira Code', monospace", fontSize: 12 }}
+                />
+              </label>
+              {ganttImportDialog.error && (
+                <p className="gantt-import-error">{ganttImportDialog.error}</p>
+              )}
+              {ganttImportDialog.errors?.length > 0 && (
+                <ul className="gantt-import-errors">
+                  {ganttImportDialog.errors.map((err, idx) => (
+                    <li key={idx}>{err.row ? `Row ${err.row}: ` : ""}{err.message}</li>
+                  ))}
+                </ul>
+              )}
+              <p className="gantt-import-hint">Importing replaces the current chart. You can undo afterwards.</p>
+            </div>
+            <div className="task-modal-actions">
+              <button className="soft-btn" onClick={() => setGanttImportDialog(null)}>Cancel</button>
+              <button
+                className="soft-btn primary"
+                disabled={!ganttImportDialog.text.trim()}
+                onClick={applyGanttImport}
+              >
+                {ganttImportDialog.warned ? "Import anyway" : "Import"}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* ── Scenario Merge ─────────────────────────────────── */}
+      {scenarioMergeDialog && scenarioParentTab && scenarioMergeHunks && (() => {
+        const changes = [];
+        for (const h of scenarioMergeHunks) {
+          if (h.change === undefined) continue;
+          if (!changes[h.change]) changes[h.change] = [];
+          changes[h.change].push(h);
+        }
+        const accepted = scenarioMergeDialog.accepted || new Set(changes.map((_, idx) => idx));
+        const toggleChange = (idx) => {
+          const next = new Set(accepted);
+          if (next.has(idx)) next.delete(idx);
+          else next.add(idx);
+          setScenarioMergeDialog((prev) => ({ ...prev, accepted: next }));
+        };
+        return (
+          <div className="modal-backdrop" onClick={() => setScenarioMergeDialog(null)}>
+            <div className="node-edit-modal" style={{ maxWidth: 640 }} onClick={(e) => e.stopPropagation()}>
+              <div className="task-modal-header">
+                <h2>Merge "{activeTab?.label}" into "{scenarioParentTab.label}"</h2>
+                <button className="drawer-close-btn" onClick={() => setScenarioMergeDialog(null)}>&times;</button>
+              </div>
+              <div className="task-modal-body">
+                {changes.length === 0 ? (
+                  <p className="diff-no-changes">No changes</p>
+                ) : (
+                  <>
+                    <p className="leveling-summary">
+                      {accepted.size} of {changes.length} {changes.length === 1 ? "change" : "changes"} selected. Unchecked changes keep the main plan's lines.
+                    </p>
+                    <div className="scenario-merge-changes">
+                      {changes.map((lines, idx) => (
+                        <label key={idx} className={`scenario-merge-change${accepted.has(idx) ? "" : " rejected"}`}>
+                          <input type="checkbox" checked={accepted.has(idx)} onChange={() => toggleChange(idx)} />
+                          <div className="diff-view">
+                            {lines.map((h, lineIdx) => (
+                              <div key={lineIdx} className={`diff-line diff-${h.type}`}>
+                                <span className="diff-sign">{h.type === "add" ? "+" : "-"}</span>
+                                <span className="diff-text">{h.text || " "}</span>
+                              </div>
+                            ))}
+                          </div>
+                        </label>
+                      ))}
+                    </div>
+                  </>
+                )}
+                <label className="scenario-merge-close">
+                  <input
+                    type="checkbox"
+                    checked={scenarioMergeDialog.closeAfter}
+                    onChange={(e) => setScenarioMergeDialog((prev) => ({ ...prev, closeAfter: e.target.checked }))}
+                  />
+                  Close the scenario after merging
+                </label>
+              </div>
+              <div className="task-modal-actions">
+                <button className="soft-btn" onClick={() => setScenarioMergeDialog(null)}>Cancel</button>
+                <button className="soft-btn primary" disabled={changes.length > 0 && accepted.size === 0} onClick={applyScenarioMerge}>
+                  Merge
+                </button>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* ── Resource Leveling Preview ─────────────────────── */}
+      {levelingDialog && levelingResult && (
+        <div className="modal-backdrop" onClick={() => setLevelingDialog(null)}>
+          <div className="node-edit-modal" style={{ maxWidth: 620 }} onClick={(e) => e.stopPropagation()}>
+            <div className="task-modal-header">
+              <h2>Level resources</h2>
+              <button className="drawer-close-btn" onClick={() => setLevelingDialog(null)}>&times;</button>
+            </div>
+            <div className="task-modal-body">
+              <label>
+                Max concurrent full-time tasks per assignee
+                <input
+                  type="number"
+                  min="0.5"
+                  step="0.5"
+                  value={levelingDialog.capacity}
+                  onChange={(e) => setLevelingDialog({ capacity: e.target.value })}
+                />
+              </label>
+              <p className="leveling-summary">
+                {ganttSubDay
+                  ? "Resource leveling only works with day-based date formats."
+                  : levelingResult.moves.length === 0
+                  ? "No tasks need to move."
+                  : `${levelingResult.moves.length} task${levelingResult.moves.length !== 1 ? "s" : ""} rescheduled. Critical, active and done tasks stay fixed.`}
+                {levelingResult.nextEnd && levelingResult.nextEnd !== levelingResult.previousEnd && (
+                  <> Project end moves from {levelingResult.previousEnd} to {levelingResult.nextEnd}.</>
+                )}
+              </p>
+              {levelingResult.moves.length > 0 && (
+                <ul className="leveling-moves">
+                  {levelingResult.moves.map((m) => (
+                    <li key={m.lineIndex}>
+                      <strong>{m.label}</strong>
+                      {m.assignee ? ` (${m.assignee})` : ""}: {m.fromStart} &rarr; {m.toStart}
+                      <span className="leveling-shift">+{m.shiftDays}d{m.rewritten ? "" : " via dependency"}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {levelingResult.unresolved.length > 0 && (
+                <p className="leveling-unresolved">
+                  Still over capacity (only fixed tasks overlap):{" "}
+                  {levelingResult.unresolved.map((u) => `${u.name} (${u.days.length} day${u.days.length !== 1 ? "s" : ""})`).join(", ")}
+                </p>
+              )}
+              <DiffView hunks={levelingResult.hunks} />
+            </div>
+            <div className="task-modal-actions">
+              <button className="soft-btn" onClick={() => setLevelingDialog(null)}>Cancel</button>
+              <button
+                className="soft-btn primary"
+                disabled={levelingResult.code === code}
+                onClick={applyResourceLeveling}
+              >
+                Apply
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* ── Message Creation Modal (Sequence) ───────────── */}
       {messageCreationForm && (() => {
         const seqArrows = [
@@ -13519,6 +15804,21 @@ function App() {
               {existingStyle.textColor && <span className="style-toolbar-indicator" style={{ backgroundColor: existingStyle.textColor }} />}
             </button>
 
+            {/* Align & distribute (flowchart multi-select) */}
+            {isMulti && isFlowchart && (
+              <button
+                className={`style-toolbar-btn${styleToolbar.activeDropdown === "arrange" ? " active" : ""}`}
+                title="Align & distribute"
+                onClick={() => setStyleToolbar((prev) => prev ? { ...prev, activeDropdown: prev.activeDropdown === "arrange" ? null : "arrange" } : null)}
+              >
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <line x1="4" y1="2" x2="4" y2="22" />
+                  <rect x="8" y="5" width="12" height="5" rx="1" />
+                  <rect x="8" y="14" width="7" height="5" rx="1" />
+                </svg>
+              </button>
+            )}
+
             <div className="style-toolbar-sep" />
 
             {/* Duplicate (flowchart only) */}
@@ -13532,7 +15832,6 @@ function App() {
                     commitSnapshotNow();
                     const newId = generateNodeId(flowchartData.nodes);
                     setCode((prev) => addFlowchartNode(prev, { id: newId, label: node.label || styleToolbar.nodeId, shape: node.shape || "rect" }));
-                    setPositionOverrides({});
                     setRenderMessage(`Duplicated "${styleToolbar.nodeId}" as "${newId}"`);
                   }
                   setStyleToolbar(null);
@@ -13557,7 +15856,6 @@ function App() {
                     for (const nid of styleToolbar.multiNodeIds) c = removeFlowchartNode(c, nid);
                     return c;
                   });
-                  setPositionOverrides({});
                   setRenderMessage(`Deleted ${styleToolbar.multiNodeIds.length} nodes`);
                   setSelectedNodeIds(new Set());
                   setSelectedElement(null);
@@ -13568,7 +15866,7 @@ function App() {
                   } else if (adapter?.removeNode) {
                     setCode((prev) => adapter.removeNode(prev, styleToolbar.nodeId));
                   }
-                  setPositionOverrides({});
+                  if (!isFlowchart) setPositionOverrides({});
                   setRenderMessage(`Deleted "${styleToolbar.nodeId}"`);
                 }
                 setStyleToolbar(null);
@@ -13669,6 +15967,43 @@ function App() {
               </div>
             )}
 
+            {styleToolbar.activeDropdown === "arrange" && (
+              <div className="style-toolbar-dropdown">
+                <span className="style-toolbar-section-label">Align</span>
+                <div className="border-style-grid">
+                  {[
+                    { value: "left", label: "Left" },
+                    { value: "center", label: "Center" },
+                    { value: "right", label: "Right" },
+                    { value: "top", label: "Top" },
+                    { value: "middle", label: "Middle" },
+                    { value: "bottom", label: "Bottom" },
+                  ].map(({ value, label }) => (
+                    <button key={value} className="border-style-btn" onClick={() => arrangeSelectedNodes(styleToolbar.multiNodeIds, value)}>
+                      {label}
+                    </button>
+                  ))}
+                </div>
+                <span className="style-toolbar-section-label style-toolbar-section-gap">Distribute</span>
+                <div className="border-style-grid">
+                  {[
+                    { value: "distribute-h", label: "Horizontally" },
+                    { value: "distribute-v", label: "Vertically" },
+                  ].map(({ value, label }) => (
+                    <button
+                      key={value}
+                      className="border-style-btn"
+                      disabled={styleToolbar.multiNodeIds.length < 3}
+                      title={styleToolbar.multiNodeIds.length < 3 ? "Select at least 3 nodes" : undefined}
+                      onClick={() => arrangeSelectedNodes(styleToolbar.multiNodeIds, value)}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
             {styleToolbar.activeDropdown === "textColor" && (
               <div className="style-toolbar-dropdown">
                 <div className="color-palette">
@@ -13710,7 +16045,6 @@ function App() {
                     commitSnapshotNow();
                     const newId = generateNodeId(flowchartData.nodes);
                     setCode((prev) => addFlowchartNode(prev, { id: newId, label: "New Node", shape: "rect" }));
-                    setPositionOverrides({});
                     setRenderMessage(`Added node "${newId}"`);
                     setContextMenu(null);
                   }}>
@@ -13720,7 +16054,6 @@ function App() {
                     commitSnapshotNow();
                     const newId = generateNodeId(flowchartData.nodes);
                     setCode((prev) => addFlowchartNode(prev, { id: newId, label: "Decision?", shape: "diamond" }));
-                    setPositionOverrides({});
                     setRenderMessage(`Added decision "${newId}"`);
                     setContextMenu(null);
                   }}>
@@ -13790,7 +16123,6 @@ function App() {
             <button className="context-menu-item" onClick={() => {
               commitSnapshotNow();
               setCode((prev) => removeSubgraph(prev, contextMenu.subgraphId));
-              setPositionOverrides({});
               setRenderMessage(`Ungrouped "${contextMenu.label}"`);
               setContextMenu(null);
             }}>
@@ -13837,7 +16169,6 @@ function App() {
                   onClick={() => {
                     commitSnapshotNow();
                     setCode((prev) => updateFlowchartNode(prev, shapePickerNode, { shape }));
-                    setPositionOverrides({});
                     setRenderMessage(`Changed "${shapePickerNode}" to ${label}`);
                     setShapePickerNode(null);
                   }}
@@ -14019,30 +16350,26 @@ function App() {
         defaultName={flowMeta?.name || "Untitled"}
         diagramType={diagramType}
         onSave={async ({ name, description, tags }) => {
-          const updatedTabs = diagramTabs.map((t) =>
-            t.id === activeTabId ? { ...t, code } : t
-          );
+          const updatedTabs = snapshotTabs();
           await createTemplate(currentUser.uid, {
             name,
             description,
             category: diagramType,
             code,
             diagramType,
-            tabs: updatedTabs.map((t) => ({ id: t.id, label: t.label, code: t.code })),
+            tabs: updatedTabs.map((t) => ({ id: t.id, label: t.label, code: t.code, ...(t.layout ? { layout: t.layout } : {}) })),
             tags,
             ganttViewState: ganttViewState || null,
           });
           setRenderMessage("Template saved");
         }}
         onUpdate={async (templateId) => {
-          const updatedTabs = diagramTabs.map((t) =>
-            t.id === activeTabId ? { ...t, code } : t
-          );
+          const updatedTabs = snapshotTabs();
           await updateTemplate(templateId, {
             code,
             diagramType,
             category: diagramType,
-            tabs: updatedTabs.map((t) => ({ id: t.id, label: t.label, code: t.code })),
+            tabs: updatedTabs.map((t) => ({ id: t.id, label: t.label, code: t.code, ...(t.layout ? { layout: t.layout } : {}) })),
             ganttViewState: ganttViewState || null,
           });
           setRenderMessage("Template updated");
@@ -14058,6 +16385,7 @@ function App() {
       {commentPanelOpen && flowId && (
         <CommentPanel
           flowId={flowId}
+          refreshKey={commentsVersion}
           allowAnonymous={!currentUser && hasPublicCommentAccess}
           onClose={() => setCommentPanelOpen(false)}
         />
@@ -14125,10 +16453,12 @@ function App() {
               setDiagramTabs(restoredTabs);
               setActiveTabId(restoredTabs[0].id);
               setCode(restoredTabs[0].code);
+              applyTabLayout(restoredTabs[0]);
             } else {
               setDiagramTabs([{ id: "tab-0", label: "Main", code: restoredCode }]);
               setActiveTabId("tab-0");
               setCode(restoredCode);
+              applyTabLayout({ code: restoredCode });
             }
             clearHistory();
             setDiffBaselineCode(baseCode);
@@ -14145,10 +16475,83 @@ function App() {
       {resourcePanelOpen && toolsetKey === "gantt" && (
         <ResourceLoadPanel
           tasks={resolvedGanttTasks}
+          capacities={resourceCapacity}
+          excludes={ganttDirectives.excludes}
+          weekend={ganttDirectives.weekend}
+          calendars={ganttDirectives.calendars}
+          canEditCapacity={!flowId || canEditCurrentFlow}
+          onCapacityChange={handleResourceCapacityChange}
+          onLevelResources={() => setLevelingDialog({ capacity: 1 })}
           onClose={() => setResourcePanelOpen(false)}
         />
       )}
 
+      {/* ── Flowchart Lint Panel ────────────────────────── */}
+      {lintPanelOpen && toolsetKey === "flowchart" && (
+        <FlowchartLintPanel
+          issues={flowchartLintIssues}
+          onSelect={(issue) => jumpToEditorLine(issue.line)}
+          onFix={applyLintFix}
+          onClose={() => setLintPanelOpen(false)}
+        />
+      )}
+
+      {/* ── Monte Carlo Risk Panel ──────────────────────── */}
+      {monteCarloOpen && toolsetKey === "gantt" && (
+        <MonteCarloPanel code={code} onClose={() => setMonteCarloOpen(false)} />
+      )}
+
+      {/* ── Baseline Report Panel ───────────────────────── */}
+      {baselineReportOpen && baselineCode && toolsetKey === "gantt" && (
+        <BaselineReportPanel
+          baselineCode={baselineCode}
+          code={code}
+          baselineSetAt={baselineSetAt}
+          onExportCsv={downloadBaselineReportCsv}
+          onClose={() => setBaselineReportOpen(false)}
+        />
+      )}
+
+      {bulkSelection.length > 1 && (
+        <GanttBulkBar
+          count={bulkSelection.length}
+          sections={ganttSections}
+          assignees={allAssignees}
+          onApply={applyBulkEdit}
+          onClear={clearGanttSelection}
+        />
+      )}
+
+      <WorkingCalendarDialog
+        open={workingCalendarOpen}
+        calendars={ganttDirectives.calendars}
+        assignees={allAssignees}
+        onApply={applyWorkingCalendars}
+        onClose={() => setWorkingCalendarOpen(false)}
+      />
+
+      <StatusReportDialog
+        open={statusReportOpen && toolsetKey === "gantt"}
+        code={code}
+        baselineCode={baselineCode}
+        baselineName={activeBaseline?.name}
+        externalTasks={externalTasks}
+        title={flowMeta?.name || ""}
+        canComment={Boolean(flowId && currentUser && canCommentCurrentFlow)}
+        onCopy={copyStatusReport}
+        onDownload={downloadStatusReport}
+        onSaveComment={saveStatusReportComment}
+        onClose={() => setStatusReportOpen(false)}
+      />
+
+      <BaselineCompareDialog
+        open={baselineCompareOpen}
+        baselines={baselines}
+        currentCode={code}
+        defaultLeftId={activeBaseline?.id}
+        onClose={() => setBaselineCompareOpen(false)}
+      />
+
       {/* ── Notion Sync Panel ──────────────────────────── */}
       {ENABLE_NOTION_INTEGRATION && notionSyncOpen && (
         <div className="modal-overlay" onClick={() => setNotionSyncOpen(false)}>
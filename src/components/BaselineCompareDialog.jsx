@@ -0,0 +1,135 @@
+import { useEffect, useMemo, useState } from "react";
+import { computeBaselineVariance } from "../ganttUtils";
+
+const CURRENT_PLAN_ID = "__current__";
+
+function formatDelta(days) {
+  if (days === null || days === undefined) return "—";
+  if (days === 0) return "0";
+  return `${days > 0 ? "+" : "−"}${Math.abs(days)}d`;
+}
+
+function formatDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso + "T00:00:00Z");
+  return d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+function formatRange(start, end) {
+  if (!start) return "—";
+  return end && end !== start ? `${formatDate(start)} – ${formatDate(end)}` : formatDate(start);
+}
+
+function deltaClass(days) {
+  if (!days) return "";
+  return days > 0 ? " late" : " early";
+}
+
+export default function BaselineCompareDialog({ open, baselines, currentCode, defaultLeftId, defaultRightId, onClose }) {
+  const [leftId, setLeftId] = useState("");
+  const [rightId, setRightId] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setLeftId(defaultLeftId || baselines[baselines.length - 1]?.id || "");
+    setRightId(defaultRightId || CURRENT_PLAN_ID);
+  }, [open, defaultLeftId, defaultRightId, baselines]);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [open, onClose]);
+
+  const options = useMemo(
+    () => [...baselines, { id: CURRENT_PLAN_ID, name: "Current plan", code: currentCode }],
+    [baselines, currentCode]
+  );
+  const left = options.find((o) => o.id === leftId);
+  const right = options.find((o) => o.id === rightId);
+
+  const report = useMemo(
+    () => (left && right ? computeBaselineVariance(left.code, right.code) : null),
+    [left, right]
+  );
+
+  if (!open) return null;
+
+  const renderSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)}>
+      {options.map((o) => (
+        <option key={o.id} value={o.id}>{o.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="node-edit-modal" style={{ maxWidth: 760 }} onClick={(e) => e.stopPropagation()}>
+        <div className="task-modal-header">
+          <h2>Compare baselines</h2>
+          <button className="drawer-close-btn" onClick={onClose}>&times;</button>
+        </div>
+        <div className="task-modal-body">
+          <div className="baseline-compare-pickers">
+            <label>
+              From
+              {renderSelect(leftId, setLeftId)}
+            </label>
+            <span className="baseline-compare-arrow">&rarr;</span>
+            <label>
+              To
+              {renderSelect(rightId, setRightId)}
+            </label>
+          </div>
+
+          {report && (
+            <>
+              <p className="leveling-summary">
+                Finish {formatDate(report.baselineEnd) || "—"} &rarr; {formatDate(report.currentEnd) || "—"}{" "}
+                <strong className={`baseline-delta${deltaClass(report.endSlip)}`}>({formatDelta(report.endSlip)})</strong>
+              </p>
+              <div className="baseline-compare-wrap">
+                <table className="resource-heatmap baseline-report-table">
+                  <thead>
+                    <tr>
+                      <th className="resource-heatmap-name">Task</th>
+                      <th>{left.name}</th>
+                      <th>{right.name}</th>
+                      <th title="Start variance (days)">Start &Delta;</th>
+                      <th title="Finish variance (days)">Finish &Delta;</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {report.tasks.map((row, idx) => (
+                      <tr
+                        key={`${row.section}-${row.label}-${idx}`}
+                        className={`${row.movedEnd ? "moved-end" : ""}${row.status !== "matched" ? ` ${row.status}` : ""}`}
+                      >
+                        <td className="resource-heatmap-name">
+                          {row.label}
+                          {row.status === "added" && <span className="baseline-report-tag">new</span>}
+                          {row.status === "removed" && <span className="baseline-report-tag">removed</span>}
+                        </td>
+                        <td>{formatRange(row.baselineStart, row.baselineEnd)}</td>
+                        <td>{formatRange(row.currentStart, row.currentEnd)}</td>
+                        <td className={`baseline-delta${deltaClass(row.startVariance)}`}>{formatDelta(row.startVariance)}</td>
+                        <td className={`baseline-delta${deltaClass(row.finishVariance)}`}>{formatDelta(row.finishVariance)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </>
+          )}
+        </div>
+        <div className="task-modal-actions">
+          <button className="soft-btn" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,127 @@
+import { useMemo, useState } from "react";
+import { computeBaselineVariance } from "../ganttUtils";
+
+function formatDelta(days) {
+  if (days === null || days === undefined) return "—";
+  if (days === 0) return "0";
+  return `${days > 0 ? "+" : "−"}${Math.abs(days)}d`;
+}
+
+function formatSpi(spi) {
+  return spi === null || spi === undefined ? "—" : spi.toFixed(2);
+}
+
+function deltaClass(days) {
+  if (!days) return "";
+  return days > 0 ? " late" : " early";
+}
+
+function formatDate(iso) {
+  if (!iso) return "";
+  const d = new Date(iso + "T00:00:00Z");
+  return d.toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+export default function BaselineReportPanel({ baselineCode, code, baselineSetAt, onExportCsv, onClose }) {
+  const [view, setView] = useState("tasks"); // "tasks" | "sections"
+  const [asOf, setAsOf] = useState(() => new Date().toISOString().slice(0, 10));
+
+  const report = useMemo(
+    () => computeBaselineVariance(baselineCode, code, { asOf }),
+    [baselineCode, code, asOf]
+  );
+
+  const rows = view === "sections" ? report.sections : report.tasks;
+  const baselineDate = baselineSetAt?.toDate ? baselineSetAt.toDate() : baselineSetAt ? new Date(baselineSetAt) : null;
+
+  return (
+    <div className="resource-panel baseline-report-panel">
+      <div className="resource-panel-header">
+        <h3>Baseline Report</h3>
+        <button className="saved-item-delete" onClick={onClose}>
+          &times;
+        </button>
+      </div>
+
+      <div className="resource-summary">
+        {report.endSlip > 0 ? (
+          <span className="resource-badge warn">
+            Finish {formatDelta(report.endSlip)} ({formatDate(report.baselineEnd)} &rarr; {formatDate(report.currentEnd)})
+          </span>
+        ) : (
+          <span className="resource-badge ok">
+            Finish {report.endSlip ? formatDelta(report.endSlip) : "on plan"} ({formatDate(report.currentEnd)})
+          </span>
+        )}
+        <span className={`resource-badge ${report.spi !== null && report.spi < 1 ? "warn" : "ok"} baseline-spi-badge`}>
+          SPI {formatSpi(report.spi)}
+        </span>
+        <div className="baseline-report-controls">
+          <label>
+            As of
+            <input type="date" value={asOf} onChange={(e) => e.target.value && setAsOf(e.target.value)} />
+          </label>
+          <div className="resource-unit-toggle">
+            <button
+              className={`date-toggle-btn${view === "tasks" ? " active" : ""}`}
+              onClick={() => setView("tasks")}
+            >
+              Tasks
+            </button>
+            <button
+              className={`date-toggle-btn${view === "sections" ? " active" : ""}`}
+              onClick={() => setView("sections")}
+            >
+              Sections
+            </button>
+          </div>
+        </div>
+        {baselineDate && !Number.isNaN(baselineDate.getTime()) && (
+          <p className="baseline-report-meta">Baseline set {baselineDate.toLocaleDateString()}</p>
+        )}
+      </div>
+
+      <div className="resource-heatmap-wrap">
+        <table className="resource-heatmap baseline-report-table">
+          <thead>
+            <tr>
+              <th className="resource-heatmap-name">{view === "sections" ? "Section" : "Task"}</th>
+              <th title="Start variance (days)">Start &Delta;</th>
+              <th title="Finish variance (days)">Finish &Delta;</th>
+              {view === "tasks" && <th>Progress</th>}
+              <th title="Schedule performance index (earned / planned value)">SPI</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, idx) => (
+              <tr
+                key={`${row.section}-${row.label || ""}-${idx}`}
+                className={`${row.movedEnd ? "moved-end" : ""}${row.status && row.status !== "matched" ? ` ${row.status}` : ""}`}
+                title={row.movedEnd ? "Pushed the project finish past the baseline" : undefined}
+              >
+                <td className="resource-heatmap-name">
+                  {view === "sections" ? row.section || "(no section)" : row.label}
+                  {row.status === "added" && <span className="baseline-report-tag">new</span>}
+                  {row.status === "removed" && <span className="baseline-report-tag">removed</span>}
+                </td>
+                <td className={`baseline-delta${deltaClass(row.startVariance)}`}>{formatDelta(row.startVariance)}</td>
+                <td className={`baseline-delta${deltaClass(row.finishVariance)}`}>{formatDelta(row.finishVariance)}</td>
+                {view === "tasks" && <td>{row.progress === null ? "—" : `${row.progress}%`}</td>}
+                <td className={row.spi !== null && row.spi < 1 ? "baseline-delta late" : ""}>{formatSpi(row.spi)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="baseline-report-footer">
+        <p className="resource-hint">
+          Highlighted rows pushed the finish date. SPI uses <code>%% progress:</code> against the baseline plan.
+        </p>
+        <button className="soft-btn" onClick={() => onExportCsv(report, view)}>
+          Export CSV
+        </button>
+      </div>
+    </div>
+  );
+}
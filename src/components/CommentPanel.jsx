@@ -4,7 +4,7 @@ import { getComments, addComment, deleteComment } from "../firebase/firestore";
 
 const GUEST_NAME_KEY = "mermaid-flow-guest-name";
 
-export default function CommentPanel({ flowId, allowAnonymous = false, onClose }) {
+export default function CommentPanel({ flowId, refreshKey = 0, allowAnonymous = false, onClose }) {
   const { user } = useAuth();
   const [comments, setComments] = useState([]);
   const [text, setText] = useState("");
@@ -24,7 +24,7 @@ export default function CommentPanel({ flowId, allowAnonymous = false, onClose }
       setComments(c);
       setLoading(false);
     })();
-  }, [flowId]);
+  }, [flowId, refreshKey]);
 
   const handleSubmit = async () => {
     setError("");
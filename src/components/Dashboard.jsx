@@ -29,6 +29,8 @@ import {
 import { DEFAULT_CODE } from "../diagramData";
 import ConfirmDialog from "./ConfirmDialog";
 import SaveTemplateDialog from "./SaveTemplateDialog";
+import PortfolioTimeline from "./PortfolioTimeline";
+import { buildPortfolio } from "../ganttPortfolio";
 
 export default function Dashboard() {
   const { user } = useAuth();
@@ -41,12 +43,15 @@ export default function Dashboard() {
   const [subprojects, setSubprojects] = useState([]);
   const [selectedSubproject, setSelectedSubproject] = useState(null);
   const [projectFlows, setProjectFlows] = useState([]);
+  const [portfolioFlows, setPortfolioFlows] = useState(null); // every flow in the project, for the portfolio
+  const [portfolioError, setPortfolioError] = useState("");
 
   // Theme
   const [themeMode, setThemeMode] = useState(getStoredTheme);
 
   // UI state
   const [view, setView] = useState("all"); // "all" | "projects" | "project-detail"
+  const [projectTab, setProjectTab] = useState("flows"); // "flows" | "portfolio"
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState("");
   const [filterTag, setFilterTag] = useState("");
@@ -166,6 +171,32 @@ export default function Dashboard() {
     })();
   }, [selectedProject, selectedSubproject, user]);
 
+  // Portfolio: every gantt in the project regardless of the subproject filter
+  useEffect(() => {
+    setPortfolioFlows(null);
+    setPortfolioError("");
+  }, [selectedProject]);
+
+  useEffect(() => {
+    if (projectTab !== "portfolio" || !selectedProject || !user || portfolioFlows) return;
+    let cancelled = false;
+    getUserFlows(user.uid, { projectId: selectedProject.id })
+      .then((flows) => {
+        if (!cancelled) setPortfolioFlows(flows);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        logDashboardError("portfolio/getUserFlows", err, { uid: user.uid, projectId: selectedProject.id });
+        setPortfolioError(`Portfolio load failed: ${formatFirestoreError(err)}`);
+      });
+    return () => { cancelled = true; };
+  }, [projectTab, selectedProject, user, portfolioFlows]);
+
+  const portfolio = useMemo(
+    () => (portfolioFlows ? buildPortfolio(portfolioFlows, { subprojects }) : null),
+    [portfolioFlows, subprojects]
+  );
+
   // All unique tags across flows
   const allTags = useMemo(() => {
     const tags = new Set();
@@ -517,7 +548,7 @@ export default function Dashboard() {
       });
       if (t.tabs && t.tabs.length > 0) {
         await updateFlow(flow.id, {
-          tabs: t.tabs.map((tab) => ({ id: tab.id, label: tab.label, code: tab.code })),
+          tabs: t.tabs.map((tab) => ({ id: tab.id, label: tab.label, code: tab.code, ...(tab.layout ? { layout: tab.layout } : {}) })),
           activeTabId: t.tabs[0]?.id || null,
         });
       }
@@ -938,35 +969,63 @@ export default function Dashboard() {
 
               {/* Flows in project */}
               <div className="dash-section-header">
-                <h3>Flows</h3>
-                <button className="soft-btn small" onClick={() => setShowNewFlow(true)}>
-                  + New Flow
-                </button>
+                <div className="dash-project-tabs">
+                  <button
+                    className={`dash-project-tab${projectTab === "flows" ? " active" : ""}`}
+                    onClick={() => setProjectTab("flows")}
+                  >
+                    Flows
+                  </button>
+                  <button
+                    className={`dash-project-tab${projectTab === "portfolio" ? " active" : ""}`}
+                    onClick={() => setProjectTab("portfolio")}
+                  >
+                    Portfolio
+                  </button>
+                </div>
+                {projectTab === "flows" ? (
+                  <button className="soft-btn small" onClick={() => setShowNewFlow(true)}>
+                    + New Flow
+                  </button>
+                ) : (
+                  <button className="soft-btn small" onClick={() => { setPortfolioError(""); setPortfolioFlows(null); }} disabled={!portfolioFlows && !portfolioError}>
+                    Refresh
+                  </button>
+                )}
               </div>
-              <FlowGrid
-                flows={filteredFlows}
-                projects={projects}
-                navigate={navigate}
-                formatDate={formatDate}
-                onDelete={handleDeleteFlow}
-                onMove={(id) => { setMoveFlow({ flowId: id, step: "project" }); setMoveSearch(""); setMoveNewName(""); }}
-                onSaveAsTemplate={(f) => setSaveTemplateFlow(f)}
-                onAddTag={(id) => { setShowTagInput(id); setNewTag(""); }}
-                onRemoveTag={handleRemoveTag}
-                showTagInput={showTagInput}
-                newTag={newTag}
-                setNewTag={setNewTag}
-                onSubmitTag={handleAddTag}
-                onCancelTag={() => setShowTagInput(null)}
-                hideProject
-                renamingFlowId={renamingFlowId}
-                flowRenameValue={flowRenameValue}
-                setFlowRenameValue={setFlowRenameValue}
-                onRenameStart={(id, name) => { setRenamingFlowId(id); setFlowRenameValue(name); }}
-                onRenameCommit={handleRenameFlowCommit}
-                onRenameCancel={() => { setRenamingFlowId(null); setFlowRenameValue(""); }}
-                searchQuery={searchQuery}
-              />
+              {projectTab === "portfolio" ? (
+                <PortfolioTimeline
+                  portfolio={portfolio}
+                  loading={!portfolioFlows && !portfolioError}
+                  error={portfolioError}
+                  onOpenFlow={(id) => navigate(`/editor/${id}`)}
+                />
+              ) : (
+                <FlowGrid
+                  flows={filteredFlows}
+                  projects={projects}
+                  navigate={navigate}
+                  formatDate={formatDate}
+                  onDelete={handleDeleteFlow}
+                  onMove={(id) => { setMoveFlow({ flowId: id, step: "project" }); setMoveSearch(""); setMoveNewName(""); }}
+                  onSaveAsTemplate={(f) => setSaveTemplateFlow(f)}
+                  onAddTag={(id) => { setShowTagInput(id); setNewTag(""); }}
+                  onRemoveTag={handleRemoveTag}
+                  showTagInput={showTagInput}
+                  newTag={newTag}
+                  setNewTag={setNewTag}
+                  onSubmitTag={handleAddTag}
+                  onCancelTag={() => setShowTagInput(null)}
+                  hideProject
+                  renamingFlowId={renamingFlowId}
+                  flowRenameValue={flowRenameValue}
+                  setFlowRenameValue={setFlowRenameValue}
+                  onRenameStart={(id, name) => { setRenamingFlowId(id); setFlowRenameValue(name); }}
+                  onRenameCommit={handleRenameFlowCommit}
+                  onRenameCancel={() => { setRenamingFlowId(null); setFlowRenameValue(""); }}
+                  searchQuery={searchQuery}
+                />
+              )}
             </>
           )}
 
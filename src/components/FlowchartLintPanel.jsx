@@ -0,0 +1,48 @@
+import { LINT_RULES } from "../flowchartLint";
+
+export default function FlowchartLintPanel({ issues, onSelect, onFix, onClose }) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const item of issues) counts[item.severity] += 1;
+
+  return (
+    <div className="resource-panel lint-panel">
+      <div className="resource-panel-header">
+        <h3>Flowchart Lint</h3>
+        <button className="saved-item-delete" onClick={onClose}>
+          &times;
+        </button>
+      </div>
+
+      <div className="resource-summary">
+        {issues.length === 0 ? (
+          <span className="resource-badge ok">No issues found</span>
+        ) : (
+          <div className="lint-counts">
+            {counts.error > 0 && <span className="lint-count error">{counts.error} error{counts.error === 1 ? "" : "s"}</span>}
+            {counts.warning > 0 && <span className="lint-count warning">{counts.warning} warning{counts.warning === 1 ? "" : "s"}</span>}
+            {counts.info > 0 && <span className="lint-count info">{counts.info} note{counts.info === 1 ? "" : "s"}</span>}
+          </div>
+        )}
+      </div>
+
+      <ul className="lint-list">
+        {issues.map((item) => (
+          <li key={item.id} className={`lint-item ${item.severity}`}>
+            <button className="lint-item-main" onClick={() => onSelect(item)} title="Show in the editor">
+              <span className="lint-item-rule">
+                {LINT_RULES[item.rule]?.title || item.rule}
+                <span className="lint-item-line">Line {item.line}</span>
+              </span>
+              <span className="lint-item-message">{item.message}</span>
+            </button>
+            {item.fix && (
+              <button className="soft-btn lint-fix-btn" onClick={() => onFix(item)}>
+                {item.fix.label}
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useMemo, useState } from "react";
+import { getGanttBoardStatus, getTaskProgress } from "../ganttUtils";
+
+const GROUP_OPTIONS = [
+  { value: "status", label: "Status" },
+  { value: "section", label: "Section" },
+  { value: "assignee", label: "Assignee" },
+];
+
+const STATUS_COLUMNS = [
+  { key: "todo", title: "Not started" },
+  { key: "active", title: "Active" },
+  { key: "done", title: "Done" },
+];
+
+function dayPart(value) {
+  return String(value || "").split(" ")[0];
+}
+
+function formatDay(iso) {
+  if (!iso) return "";
+  return new Date(iso + "T00:00:00Z").toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+// Column key a task sits in for the current grouping
+function columnKeyOf(task, groupBy) {
+  if (groupBy === "section") return String(task.section || "").trim();
+  if (groupBy === "assignee") return String(task.assignee || "").trim();
+  return getGanttBoardStatus(task);
+}
+
+function buildColumns(tasks, groupBy, sections) {
+  if (groupBy === "status") return STATUS_COLUMNS;
+  if (groupBy === "section") {
+    const columns = sections.map((name) => ({ key: name, title: name }));
+    if (tasks.some((t) => !String(t.section || "").trim())) columns.unshift({ key: "", title: "Tasks" });
+    return columns;
+  }
+  const names = [...new Set(tasks.map((t) => String(t.assignee || "").trim()).filter(Boolean))];
+  names.sort((a, b) => a.localeCompare(b));
+  return [{ key: "", title: "Unassigned" }, ...names.map((name) => ({ key: name, title: name }))];
+}
+
+export default function GanttBoard({ tasks, groupBy, sections, selectedLabel, onGroupByChange, onMove, onSelect, onOpen }) {
+  const [dragLabel, setDragLabel] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const today = new Date().toISOString().slice(0, 10);
+
+  const columns = useMemo(() => {
+    const list = buildColumns(tasks, groupBy, sections);
+    const sameKey = (a, b) => (groupBy === "section" ? a.toLowerCase() === b.toLowerCase() : a === b);
+    return list.map((col) => ({ ...col, tasks: tasks.filter((t) => sameKey(columnKeyOf(t, groupBy), col.key)) }));
+  }, [tasks, groupBy, sections]);
+
+  const endDrag = () => {
+    setDragLabel(null);
+    setDropTarget(null);
+  };
+
+  const handleDrop = (e, column) => {
+    e.preventDefault();
+    const label = e.dataTransfer.getData("text/plain") || dragLabel;
+    endDrag();
+    if (!label || column.tasks.some((t) => t.label === label)) return;
+    onMove(label, column.key);
+  };
+
+  return (
+    <div className="gantt-board">
+      <div className="gantt-board-toolbar">
+        <span className="gantt-board-toolbar-label">Group by</span>
+        <div className="resource-unit-toggle">
+          {GROUP_OPTIONS.map((o) => (
+            <button
+              key={o.value}
+              className={`date-toggle-btn${groupBy === o.value ? " active" : ""}`}
+              onClick={() => onGroupByChange(o.value)}
+            >
+              {o.label}
+            </button>
+          ))}
+        </div>
+        <span className="gantt-board-hint">Drag cards between columns to update the chart</span>
+      </div>
+
+      {tasks.length === 0 ? (
+        <div className="gantt-board-empty">No tasks to show</div>
+      ) : (
+        <div className="gantt-board-columns">
+          {columns.map((col) => (
+            <section
+              key={col.key || "__none"}
+              className={`gantt-board-column${dropTarget === col.key ? " drop-target" : ""}${groupBy === "status" ? ` status-${col.key}` : ""}`}
+              onDragOver={(e) => {
+                if (!dragLabel) return;
+                e.preventDefault();
+                e.dataTransfer.dropEffect = "move";
+                if (dropTarget !== col.key) setDropTarget(col.key);
+              }}
+              onDragLeave={(e) => {
+                if (!e.currentTarget.contains(e.relatedTarget)) setDropTarget(null);
+              }}
+              onDrop={(e) => handleDrop(e, col)}
+            >
+              <header className="gantt-board-column-header">
+                <span className="gantt-board-column-title" title={col.title}>{col.title}</span>
+                <span className="gantt-board-column-count">{col.tasks.length}</span>
+              </header>
+              <div className="gantt-board-cards">
+                {col.tasks.map((task) => {
+                  const status = getGanttBoardStatus(task);
+                  const end = dayPart(task.isMilestone ? task.startDate : task.computedEnd || task.startDate);
+                  const progress = getTaskProgress(task);
+                  const classes = [
+                    "gantt-board-card",
+                    task.label === selectedLabel ? "selected" : "",
+                    task.label === dragLabel ? "dragging" : "",
+                    status !== "done" && end && end < today ? "overdue" : "",
+                  ].filter(Boolean).join(" ");
+                  return (
+                    <div
+                      key={`${task.lineIndex}:${task.label}`}
+                      className={classes}
+                      draggable
+                      onDragStart={(e) => {
+                        e.dataTransfer.setData("text/plain", task.label);
+                        e.dataTransfer.effectAllowed = "move";
+                        setDragLabel(task.label);
+                      }}
+                      onDragEnd={endDrag}
+                      onClick={() => onSelect(task.label)}
+                      onDoubleClick={() => onOpen(task.label)}
+                      title="Click to select, double-click to edit"
+                    >
+                      <div className="gantt-board-card-title">
+                        {task.isMilestone && <span className="gantt-board-milestone">&#x25C6;</span>}
+                        {task.label}
+                      </div>
+                      <div className="gantt-board-card-meta">
+                        {task.statusTokens.includes("crit") && <span className="gantt-board-tag crit">crit</span>}
+                        {groupBy !== "status" && status !== "todo" && <span className={`gantt-board-tag ${status}`}>{status}</span>}
+                        {groupBy !== "section" && task.section && <span className="gantt-board-tag">{task.section}</span>}
+                        {groupBy !== "assignee" && task.assignee && <span className="gantt-board-assignee">{task.assignee}</span>}
+                        {end && <span className="gantt-board-due">{task.isMilestone ? "" : "due "}{formatDay(end)}</span>}
+                      </div>
+                      {!task.isMilestone && progress > 0 && progress < 100 && (
+                        <div className="gantt-board-progress">
+                          <span style={{ width: `${progress}%` }} />
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </section>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,106 @@
+import { useEffect, useState } from "react";
+
+const STATUS_OPTIONS = [
+  { value: "done", label: "Done" },
+  { value: "active", label: "Active" },
+  { value: "crit", label: "Critical" },
+  { value: "clear", label: "Clear status" },
+];
+
+export default function GanttBulkBar({ count, sections, assignees, onApply, onClear }) {
+  const [assignee, setAssignee] = useState("");
+  const [progress, setProgress] = useState("");
+  const [shiftDays, setShiftDays] = useState("1");
+
+  useEffect(() => {
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClear();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [onClear]);
+
+  const shift = (sign) => {
+    const days = Math.round(Number(shiftDays));
+    if (!Number.isFinite(days) || days <= 0) return;
+    onApply({ type: "shift", days: sign * days });
+  };
+
+  return (
+    <div className="gantt-bulk-bar">
+      <span className="style-toolbar-count">{count}</span>
+      <span className="gantt-bulk-label">tasks selected</span>
+
+      <select
+        value=""
+        onChange={(e) => e.target.value && onApply({ type: "status", value: e.target.value })}
+        title="Set status on every selected task"
+      >
+        <option value="">Status…</option>
+        {STATUS_OPTIONS.map((o) => (
+          <option key={o.value} value={o.value}>{o.label}</option>
+        ))}
+      </select>
+
+      <select
+        value=""
+        onChange={(e) => e.target.value && onApply({ type: "section", value: e.target.value.slice(2) })}
+        title="Move every selected task to a category / phase"
+      >
+        <option value="">Move to…</option>
+        <option value="s:">Unsectioned (Tasks)</option>
+        {sections.map((name) => (
+          <option key={name} value={`s:${name}`}>{name}</option>
+        ))}
+      </select>
+
+      <span className="gantt-bulk-group">
+        <input
+          list="gantt-bulk-assignees"
+          value={assignee}
+          placeholder="Assignee"
+          onChange={(e) => setAssignee(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && onApply({ type: "assignee", value: assignee.trim() })}
+        />
+        <datalist id="gantt-bulk-assignees">
+          {assignees.map((name) => (
+            <option key={name} value={name} />
+          ))}
+        </datalist>
+        <button className="soft-btn" onClick={() => onApply({ type: "assignee", value: assignee.trim() })}>
+          {assignee.trim() ? "Assign" : "Unassign"}
+        </button>
+      </span>
+
+      <span className="gantt-bulk-group">
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={progress}
+          placeholder="%"
+          className="gantt-bulk-number"
+          onChange={(e) => setProgress(e.target.value)}
+        />
+        <button className="soft-btn" disabled={progress === ""} onClick={() => onApply({ type: "progress", value: progress })}>
+          Set progress
+        </button>
+      </span>
+
+      <span className="gantt-bulk-group" title="Shift dated tasks by working days (excludes, holidays and time off are skipped)">
+        <button className="soft-btn" onClick={() => shift(-1)}>&minus;</button>
+        <input
+          type="number"
+          min="1"
+          value={shiftDays}
+          className="gantt-bulk-number"
+          onChange={(e) => setShiftDays(e.target.value)}
+        />
+        <button className="soft-btn" onClick={() => shift(1)}>+</button>
+        <span className="gantt-bulk-label">work days</span>
+      </span>
+
+      <button className="drawer-close-btn" onClick={onClear} title="Clear selection (Esc)">&times;</button>
+    </div>
+  );
+}
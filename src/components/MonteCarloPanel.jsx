@@ -0,0 +1,183 @@
+import { useEffect, useRef, useState } from "react";
+
+const ITERATION_OPTIONS = [1000, 5000, 10000];
+
+function formatDate(iso) {
+  if (!iso) return "—";
+  const [datePart, timePart] = iso.split(" ");
+  const d = new Date(datePart + "T00:00:00Z");
+  const label = d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+  return timePart ? `${label} ${timePart}` : label;
+}
+
+export default function MonteCarloPanel({ code, onClose }) {
+  const [iterations, setIterations] = useState(5000);
+  const [distribution, setDistribution] = useState("pert"); // "pert" | "triangular"
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const workerRef = useRef(null);
+  const runIdRef = useRef(0);
+
+  useEffect(() => () => workerRef.current?.terminate(), []);
+
+  const runSimulation = () => {
+    workerRef.current?.terminate();
+    const worker = new Worker(new URL("../ganttMonteCarlo.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    const id = ++runIdRef.current;
+    setRunning(true);
+    setProgress(0);
+    setError("");
+    worker.onmessage = (event) => {
+      const msg = event.data || {};
+      if (msg.id !== id) return;
+      if (msg.type === "progress") {
+        setProgress(msg.done / msg.total);
+      } else {
+        if (msg.type === "result") setResult(msg.result);
+        else setError(msg.message || "Simulation failed");
+        setRunning(false);
+        worker.terminate();
+        workerRef.current = null;
+      }
+    };
+    worker.onerror = (event) => {
+      setError(event.message || "Simulation failed");
+      setRunning(false);
+      worker.terminate();
+      workerRef.current = null;
+    };
+    worker.postMessage({ id, code, options: { iterations, distribution, seed: Date.now() % 100000 } });
+  };
+
+  const cancelSimulation = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+    setRunning(false);
+  };
+
+  const maxCount = result ? Math.max(1, ...result.histogram.map((b) => b.count)) : 1;
+  const markerFor = (date) => {
+    if (!result) return "";
+    if (date === result.percentiles.p95) return "P95";
+    if (date === result.percentiles.p80) return "P80";
+    if (date === result.percentiles.p50) return "P50";
+    return "";
+  };
+
+  return (
+    <div className="resource-panel monte-carlo-panel">
+      <div className="resource-panel-header">
+        <h3>Schedule Risk</h3>
+        <button className="saved-item-delete" onClick={onClose}>
+          &times;
+        </button>
+      </div>
+
+      <div className="resource-summary monte-carlo-controls">
+        <label>
+          Runs
+          <select value={iterations} disabled={running} onChange={(e) => setIterations(Number(e.target.value))}>
+            {ITERATION_OPTIONS.map((n) => (
+              <option key={n} value={n}>{n.toLocaleString()}</option>
+            ))}
+          </select>
+        </label>
+        <div className="resource-unit-toggle">
+          <button
+            className={`date-toggle-btn${distribution === "pert" ? " active" : ""}`}
+            disabled={running}
+            onClick={() => setDistribution("pert")}
+          >
+            PERT
+          </button>
+          <button
+            className={`date-toggle-btn${distribution === "triangular" ? " active" : ""}`}
+            disabled={running}
+            onClick={() => setDistribution("triangular")}
+          >
+            Triangular
+          </button>
+        </div>
+        <div className="monte-carlo-run">
+          {running ? (
+            <>
+              <div className="monte-carlo-progress">
+                <div style={{ width: `${Math.round(progress * 100)}%` }} />
+              </div>
+              <button className="soft-btn" onClick={cancelSimulation}>Cancel</button>
+            </>
+          ) : (
+            <button className="soft-btn primary" onClick={runSimulation}>
+              {result ? "Run again" : "Run simulation"}
+            </button>
+          )}
+        </div>
+        {error && <p className="gantt-import-error">{error}</p>}
+      </div>
+
+      {result && (
+        <div className="monte-carlo-results">
+          {result.estimatedTasks === 0 && (
+            <p className="resource-empty">
+              No tasks have estimates yet, so every run finishes on the same day. Add{" "}
+              <code>%% estimate: 3d/5d/10d</code> below tasks.
+            </p>
+          )}
+          <div className="monte-carlo-percentiles">
+            {["p50", "p80", "p95"].map((key) => (
+              <div key={key} className="monte-carlo-stat">
+                <span className="monte-carlo-stat-label">{key.toUpperCase()}</span>
+                <span className="monte-carlo-stat-value">{formatDate(result.percentiles[key])}</span>
+              </div>
+            ))}
+          </div>
+          <p className="monte-carlo-note">
+            Planned finish {formatDate(result.deterministicEnd)}
+            {result.onTimeProbability !== null && (
+              <> &middot; {Math.round(result.onTimeProbability * 100)}% chance of finishing on or before it</>
+            )}
+          </p>
+
+          <h4 className="monte-carlo-heading">Finish date distribution</h4>
+          <div className="monte-carlo-histogram">
+            {result.histogram.map((bucket) => {
+              const marker = markerFor(bucket.date);
+              return (
+                <div
+                  key={bucket.date}
+                  className={`monte-carlo-bar${marker ? " marked" : ""}`}
+                  title={`${formatDate(bucket.date)}: ${bucket.count} runs (${Math.round(bucket.cumulative * 100)}% by this date)`}
+                >
+                  <div style={{ height: `${Math.max(2, (bucket.count / maxCount) * 100)}%` }} />
+                  {marker && <span>{marker}</span>}
+                </div>
+              );
+            })}
+          </div>
+
+          <h4 className="monte-carlo-heading">Critical path frequency</h4>
+          <ul className="monte-carlo-criticality">
+            {result.criticality.map((item) => (
+              <li key={item.label}>
+                <span className="monte-carlo-crit-label" title={item.hasEstimate ? "Has estimate" : "Fixed duration"}>
+                  {item.label}
+                </span>
+                <span className="monte-carlo-crit-bar">
+                  <span style={{ width: `${Math.round(item.ratio * 100)}%` }} />
+                </span>
+                <span className="monte-carlo-crit-value">{Math.round(item.ratio * 100)}%</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <p className="resource-hint">
+        Add <code>%% estimate: 3d/5d/10d</code> (optimistic/likely/pessimistic) below a task. Runs in the background.
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,161 @@
+import { useMemo } from "react";
+
+const DAY_MS = 86400000;
+
+function toMs(iso) {
+  return Date.parse(iso + "T00:00:00Z");
+}
+
+function formatDay(iso) {
+  if (!iso) return "—";
+  return new Date(iso + "T00:00:00Z").toLocaleDateString(undefined, { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+function monthTicks(startMs, endMs) {
+  const ticks = [];
+  const d = new Date(startMs);
+  d.setUTCDate(1);
+  if (d.getTime() < startMs) d.setUTCMonth(d.getUTCMonth() + 1);
+  while (d.getTime() <= endMs) {
+    ticks.push({
+      ms: d.getTime(),
+      label: d.toLocaleDateString(undefined, { month: "short", year: "2-digit", timeZone: "UTC" }),
+    });
+    d.setUTCMonth(d.getUTCMonth() + 1);
+  }
+  return ticks;
+}
+
+function taskTitle(task) {
+  const parts = [task.label, `${formatDay(task.start)} – ${formatDay(task.end)}`];
+  if (task.assignee) parts.push(`Assignee: ${task.assignee}`);
+  if (task.progress) parts.push(`Progress: ${task.progress}%`);
+  if (task.isOverdue) parts.push("Overdue");
+  if (task.overloadedWeeks.length) parts.push(`Overloaded weeks of ${task.overloadedWeeks.map(formatDay).join(", ")}`);
+  return parts.join("\n");
+}
+
+export default function PortfolioTimeline({ portfolio, loading, error, onOpenFlow }) {
+  const range = useMemo(() => {
+    if (!portfolio?.start) return null;
+    const startMs = toMs(portfolio.start) - DAY_MS;
+    const endMs = toMs(portfolio.end) + 2 * DAY_MS;
+    return { startMs, endMs, span: endMs - startMs };
+  }, [portfolio]);
+
+  if (loading) return <div className="dash-empty"><p>Loading portfolio…</p></div>;
+  if (error) return <div className="auth-error">{error}</div>;
+  if (!portfolio || !portfolio.groups.length || !range) {
+    return (
+      <div className="dash-empty">
+        <p>No gantt charts in this project yet</p>
+        <p style={{ fontSize: 13, marginTop: 4 }}>Gantt flows added to the project show up here on one timeline</p>
+      </div>
+    );
+  }
+
+  const pct = (ms) => `${((ms - range.startMs) / range.span) * 100}%`;
+  const spanStyle = (start, end) => ({
+    left: pct(toMs(start)),
+    width: `${(Math.max(toMs(end) - toMs(start), DAY_MS) / range.span) * 100}%`,
+  });
+  const todayIso = new Date().toISOString().slice(0, 10);
+  const todayMs = toMs(todayIso);
+  const showToday = todayMs >= range.startMs && todayMs <= range.endMs;
+  const ticks = monthTicks(range.startMs, range.endMs);
+  const { counts } = portfolio;
+
+  let lastSubproject = null;
+
+  return (
+    <div className="portfolio">
+      <div className="portfolio-summary">
+        <span>{counts.flows} {counts.flows === 1 ? "flow" : "flows"}</span>
+        <span>{counts.tasks} tasks</span>
+        <span className="portfolio-chip milestone">{counts.milestones} milestones</span>
+        <span className={`portfolio-chip overdue${counts.overdue ? " active" : ""}`}>{counts.overdue} overdue</span>
+        <span className={`portfolio-chip overloaded${counts.overloaded ? " active" : ""}`}>{counts.overloaded} overloaded</span>
+        <span className="portfolio-range">{formatDay(portfolio.start)} – {formatDay(portfolio.end)}</span>
+      </div>
+
+      <div className="portfolio-timeline">
+        <div className="portfolio-row portfolio-axis">
+          <div className="portfolio-label" />
+          <div className="portfolio-track">
+            {ticks.map((t) => (
+              <span key={t.ms} className="portfolio-tick" style={{ left: pct(t.ms) }}>{t.label}</span>
+            ))}
+          </div>
+        </div>
+
+        {portfolio.groups.map((group) => {
+          const showSubproject = group.subprojectName !== lastSubproject;
+          lastSubproject = group.subprojectName;
+          return (
+            <div key={group.key} className="portfolio-group">
+              {showSubproject && <div className="portfolio-subproject">{group.subprojectName}</div>}
+              <div className="portfolio-row portfolio-flow-row">
+                <div className="portfolio-label">
+                  <button className="portfolio-flow-link" onClick={() => onOpenFlow(group.flowId)} title="Open flow">
+                    {group.flowName}
+                    {group.tabLabel && <span className="portfolio-tab-label"> / {group.tabLabel}</span>}
+                  </button>
+                </div>
+                <div className="portfolio-track">
+                  <div className="portfolio-flow-span" style={spanStyle(group.start, group.end)} />
+                </div>
+              </div>
+              {group.tasks.map((task) => {
+                const classes = [
+                  task.isMilestone ? "portfolio-milestone" : "portfolio-bar",
+                  task.isDone ? "done" : "",
+                  task.isOverdue ? "overdue" : "",
+                  task.overloadedWeeks.length ? "overloaded" : "",
+                ].filter(Boolean).join(" ");
+                return (
+                  <div key={task.key} className="portfolio-row">
+                    <div className="portfolio-label portfolio-task-label" title={task.section || undefined}>
+                      {task.label}
+                    </div>
+                    <div className="portfolio-track">
+                      {task.isMilestone ? (
+                        <span className={classes} style={{ left: pct(toMs(task.start)) }} title={taskTitle(task)} />
+                      ) : (
+                        <span className={classes} style={spanStyle(task.start, task.end)} title={taskTitle(task)}>
+                          {task.progress > 0 && task.progress < 100 && (
+                            <span className="portfolio-bar-progress" style={{ width: `${task.progress}%` }} />
+                          )}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          );
+        })}
+
+        {showToday && <div className="portfolio-today" style={{ left: `calc(var(--portfolio-label-width) + (100% - var(--portfolio-label-width)) * ${(todayMs - range.startMs) / range.span})` }} />}
+      </div>
+
+      {portfolio.overloads.length > 0 && (
+        <div className="portfolio-overloads">
+          <h3>Assignee overload across flows</h3>
+          <ul>
+            {portfolio.overloads.flatMap((person) =>
+              person.weeks.map((wk) => (
+                <li key={`${person.name}:${wk.weekStart}`}>
+                  <strong>{person.name}</strong>
+                  <span>week of {formatDay(wk.weekStart)}</span>
+                  <span className="portfolio-overload-hours">{wk.hours}h / {wk.capacityHours}h</span>
+                  <span className="portfolio-overload-flows">{wk.flows.join(", ")}</span>
+                  {wk.crossFlow && <span className="portfolio-chip overloaded active">cross-flow</span>}
+                </li>
+              ))
+            )}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,10 +1,80 @@
 import { useMemo, useState } from "react";
-import { computeResourceLoad } from "../ganttUtils";
+import { computeResourceLoad, getWeekKey, shiftIsoDate } from "../ganttUtils";
 
-export default function ResourceLoadPanel({ tasks, onClose }) {
-  const [expandedPerson, setExpandedPerson] = useState(null);
+function heatColor(load) {
+  if (load <= 0) return "transparent";
+  if (load > 1) return `rgba(220, 38, 38, ${Math.min(0.85, 0.35 + (load - 1) * 0.5)})`;
+  if (load >= 0.85) return `rgba(217, 119, 6, ${0.25 + (load - 0.85) * 1.5})`;
+  return `rgba(22, 163, 74, ${0.12 + load * 0.3})`;
+}
+
+const HOURS_PER_WEEK = 168;
+
+function CapacityInput({ value, disabled, onCommit }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    if (draft === null) return;
+    // Same number shape as `%% allocation:`; 0 resets to the default
+    const match = String(draft).trim().match(/^(\d+(?:\.\d+)?)$/);
+    const hours = match ? parseFloat(match[1]) : NaN;
+    if (hours >= 0 && hours <= HOURS_PER_WEEK && hours !== value) onCommit(hours);
+    setDraft(null);
+  };
+  return (
+    <input
+      className="resource-capacity-input"
+      type="number"
+      min="0"
+      max={HOURS_PER_WEEK}
+      step="0.5"
+      value={draft !== null ? draft : value}
+      disabled={disabled}
+      title="Weekly capacity (hours)"
+      onChange={(e) => setDraft(e.target.value)}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === "Enter") e.currentTarget.blur();
+        if (e.key === "Escape") setDraft(null);
+      }}
+    />
+  );
+}
+
+export default function ResourceLoadPanel({
+  tasks,
+  capacities,
+  excludes,
+  weekend,
+  calendars,
+  canEditCapacity,
+  onCapacityChange,
+  onLevelResources,
+  onClose,
+}) {
+  const [unit, setUnit] = useState("hours"); // "hours" | "percent"
+  const [selectedCell, setSelectedCell] = useState(null); // { name, weekKey }
 
-  const resourceData = useMemo(() => computeResourceLoad(tasks), [tasks]);
+  const resourceData = useMemo(
+    () => computeResourceLoad(tasks, { capacities: capacities || {}, excludes, weekend, calendars }),
+    [tasks, capacities, excludes, weekend, calendars]
+  );
+
+  // Continuous run of weeks spanning every assignee's bookings
+  const weekColumns = useMemo(() => {
+    let first = "";
+    let last = "";
+    for (const person of resourceData) {
+      for (const wk of person.weeks) {
+        if (!first || wk.weekStart < first) first = wk.weekStart;
+        if (!last || wk.weekStart > last) last = wk.weekStart;
+      }
+    }
+    const columns = [];
+    for (let ws = first; ws && ws <= last && columns.length < 104; ws = shiftIsoDate(ws, 7)) {
+      columns.push({ weekKey: getWeekKey(ws), weekStart: ws });
+    }
+    return columns;
+  }, [resourceData]);
 
   const hasAnyAssignees = resourceData.length > 0;
   const overloadedCount = resourceData.filter(
@@ -20,6 +90,14 @@ export default function ResourceLoadPanel({ tasks, onClose }) {
     });
   };
 
+  const formatCell = (wk) => {
+    if (!wk || wk.hours <= 0) return "";
+    return unit === "percent" ? `${Math.round(wk.load * 100)}%` : `${Math.round(wk.hours)}`;
+  };
+
+  const selectedPerson = selectedCell && resourceData.find((p) => p.name === selectedCell.name);
+  const selectedWeek = selectedPerson && selectedPerson.weeks.find((wk) => wk.weekKey === selectedCell.weekKey);
+
   return (
     <div className="resource-panel">
       <div className="resource-panel-header">
@@ -47,69 +125,97 @@ export default function ResourceLoadPanel({ tasks, onClose }) {
                 {overloadedCount === 1 ? "person" : "people"} overloaded
               </span>
             )}
+            {overloadedCount > 0 && onLevelResources && (
+              <button className="soft-btn resource-level-btn" onClick={onLevelResources}>
+                Level resources...
+              </button>
+            )}
+            <div className="resource-unit-toggle">
+              <button
+                className={`date-toggle-btn${unit === "hours" ? " active" : ""}`}
+                onClick={() => setUnit("hours")}
+              >
+                Hours
+              </button>
+              <button
+                className={`date-toggle-btn${unit === "percent" ? " active" : ""}`}
+                onClick={() => setUnit("percent")}
+              >
+                %
+              </button>
+            </div>
           </div>
 
-          <div className="resource-list">
-            {resourceData.map((person) => {
-              const isOverloaded = person.overloadedWeeks.length > 0;
-              const isExpanded = expandedPerson === person.name;
-
-              return (
-                <div
-                  key={person.name}
-                  className={`resource-item ${isOverloaded ? "overloaded" : ""}`}
-                >
-                  <div
-                    className="resource-item-header"
-                    onClick={() =>
-                      isOverloaded &&
-                      setExpandedPerson(isExpanded ? null : person.name)
-                    }
-                    style={{ cursor: isOverloaded ? "pointer" : "default" }}
-                  >
-                    <span className="resource-name">{person.name}</span>
-                    <span className="resource-stats">
-                      <span className="resource-task-count">
-                        {person.totalTasks}{" "}
-                        {person.totalTasks === 1 ? "task" : "tasks"}
-                      </span>
-                      {isOverloaded && (
-                        <span className="resource-overload-count">
-                          {person.overloadedWeeks.length}{" "}
-                          {person.overloadedWeeks.length === 1
-                            ? "week"
-                            : "weeks"}{" "}
-                          overloaded
-                        </span>
-                      )}
-                    </span>
-                    {isOverloaded && (
-                      <span className="resource-chevron">
-                        {isExpanded ? "\u25B4" : "\u25BE"}
-                      </span>
-                    )}
-                  </div>
-
-                  {isExpanded && isOverloaded && (
-                    <div className="resource-weeks">
-                      {person.overloadedWeeks.map((wk) => (
-                        <div key={wk.weekKey} className="resource-week-row">
-                          <span className="resource-week-label">
-                            Week of {formatWeekLabel(wk.weekStart)}
-                          </span>
-                          <ul className="resource-week-tasks">
-                            {wk.tasks.map((taskLabel) => (
-                              <li key={taskLabel}>{taskLabel}</li>
-                            ))}
-                          </ul>
-                        </div>
-                      ))}
-                    </div>
-                  )}
-                </div>
-              );
-            })}
+          <div className="resource-heatmap-wrap">
+            <table className="resource-heatmap">
+              <thead>
+                <tr>
+                  <th className="resource-heatmap-name">Person</th>
+                  <th title="Weekly capacity (hours)">h/wk</th>
+                  {weekColumns.map((col) => (
+                    <th key={col.weekKey}>{formatWeekLabel(col.weekStart)}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {resourceData.map((person) => {
+                  const byWeek = new Map(person.weeks.map((wk) => [wk.weekKey, wk]));
+                  return (
+                    <tr key={person.name}>
+                      <td
+                        className="resource-heatmap-name"
+                        title={`${person.totalTasks} ${person.totalTasks === 1 ? "task" : "tasks"}`}
+                      >
+                        {person.name}
+                      </td>
+                      <td>
+                        <CapacityInput
+                          value={person.capacityHours}
+                          disabled={!canEditCapacity || !onCapacityChange}
+                          onCommit={(hours) => onCapacityChange(person.name, hours)}
+                        />
+                      </td>
+                      {weekColumns.map((col) => {
+                        const wk = byWeek.get(col.weekKey);
+                        const isSelected = selectedCell?.name === person.name && selectedCell?.weekKey === col.weekKey;
+                        return (
+                          <td
+                            key={col.weekKey}
+                            className={`resource-heatmap-cell${wk && wk.load > 1 ? " over" : ""}${isSelected ? " selected" : ""}`}
+                            style={{ background: heatColor(wk ? wk.load : 0) }}
+                            title={wk ? `${Math.round(wk.hours)}h of ${person.capacityHours}h (${Math.round(wk.load * 100)}%)` : ""}
+                            onClick={() => setSelectedCell(wk && !isSelected ? { name: person.name, weekKey: col.weekKey } : null)}
+                          >
+                            {formatCell(wk)}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
           </div>
+
+          {selectedWeek && (
+            <div className="resource-weeks">
+              <div className="resource-week-row">
+                <span className="resource-week-label">
+                  {selectedPerson.name} &middot; Week of {formatWeekLabel(selectedWeek.weekStart)} &middot;{" "}
+                  {Math.round(selectedWeek.hours)}h / {selectedPerson.capacityHours}h
+                </span>
+                <ul className="resource-week-tasks">
+                  {selectedWeek.tasks.map((taskLabel) => (
+                    <li key={taskLabel}>{taskLabel}</li>
+                  ))}
+                </ul>
+              </div>
+            </div>
+          )}
+
+          <p className="resource-hint">
+            Tasks count as full-time unless they carry <code>%% allocation: 50%</code>.
+          </p>
         </>
       )}
     </div>
@@ -0,0 +1,91 @@
+import { useEffect, useMemo, useState } from "react";
+import { buildStatusReport, formatStatusReportMarkdown, formatStatusReportHtml } from "../ganttStatusReport";
+
+const WINDOW_OPTIONS = [7, 14, 30];
+
+export default function StatusReportDialog({ open, code, baselineCode, baselineName, externalTasks, title, canComment, onCopy, onDownload, onSaveComment, onClose }) {
+  const [days, setDays] = useState(7);
+  const [format, setFormat] = useState("markdown"); // "markdown" | "html"
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [open, onClose]);
+
+  const report = useMemo(
+    () => (open ? buildStatusReport(code, { days, baselineCode, externalTasks, title }) : null),
+    [open, code, days, baselineCode, externalTasks, title]
+  );
+  const markdown = useMemo(() => (report ? formatStatusReportMarkdown(report) : ""), [report]);
+  const html = useMemo(() => (report ? formatStatusReportHtml(report) : ""), [report]);
+
+  if (!open) return null;
+
+  const text = format === "html" ? html : markdown;
+
+  const saveComment = async () => {
+    setSaving(true);
+    try {
+      await onSaveComment(markdown);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="node-edit-modal status-report-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="task-modal-header">
+          <h2>Status report</h2>
+          <button className="drawer-close-btn" onClick={onClose}>&times;</button>
+        </div>
+        <div className="task-modal-body">
+          <div className="status-report-controls">
+            <label>
+              Completed in the last
+              <select value={days} onChange={(e) => setDays(Number(e.target.value))}>
+                {WINDOW_OPTIONS.map((n) => (
+                  <option key={n} value={n}>{n} days</option>
+                ))}
+              </select>
+            </label>
+            <div className="resource-unit-toggle">
+              <button
+                className={`date-toggle-btn${format === "markdown" ? " active" : ""}`}
+                onClick={() => setFormat("markdown")}
+              >
+                Markdown
+              </button>
+              <button
+                className={`date-toggle-btn${format === "html" ? " active" : ""}`}
+                onClick={() => setFormat("html")}
+              >
+                HTML
+              </button>
+            </div>
+          </div>
+          <p className="resource-hint">
+            {baselineCode
+              ? <>Critical path compared with baseline <strong>{baselineName || "Baseline"}</strong>.</>
+              : "Set a baseline to see how the critical path moved."}
+          </p>
+          <textarea className="status-report-preview" value={text} readOnly spellCheck={false} />
+        </div>
+        <div className="task-modal-actions">
+          {canComment && (
+            <button className="soft-btn" disabled={saving} onClick={saveComment}>
+              {saving ? "Saving…" : "Save as comment"}
+            </button>
+          )}
+          <button className="soft-btn" onClick={() => onDownload(text, format)}>Download</button>
+          <button className="soft-btn primary" onClick={() => onCopy(text)}>Copy</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,187 @@
+import { useEffect, useState } from "react";
+import { parseDayList } from "../ganttUtils";
+import { parseIcsHolidays } from "../ganttIcs";
+
+const DEFAULT_ASSIGNEE = "*";
+
+function countDays(raw) {
+  return Object.keys(parseDayList(raw)).length;
+}
+
+function slugifyName(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/\.ics$/, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+export default function WorkingCalendarDialog({ open, calendars, assignees, onApply, onClose }) {
+  const [holidays, setHolidays] = useState([]);
+  const [defaultCalendar, setDefaultCalendar] = useState("");
+  const [people, setPeople] = useState([]); // [{ name, calendar, timeOff }]
+  const [importError, setImportError] = useState("");
+
+  useEffect(() => {
+    if (!open) return;
+    setHolidays(calendars.holidays.map((h) => ({ name: h.name, raw: h.raw })));
+    setDefaultCalendar(calendars.assignments.find((a) => a.assignee === DEFAULT_ASSIGNEE)?.calendar || "");
+    const byName = new Map();
+    const personFor = (name) => {
+      const key = name.toLowerCase();
+      if (!byName.has(key)) byName.set(key, { name, calendar: "", timeOff: "" });
+      return byName.get(key);
+    };
+    for (const name of assignees) personFor(name);
+    for (const a of calendars.assignments) {
+      if (a.assignee !== DEFAULT_ASSIGNEE) personFor(a.assignee).calendar = a.calendar;
+    }
+    for (const t of calendars.timeOff) {
+      const person = personFor(t.assignee);
+      person.timeOff = person.timeOff ? `${person.timeOff}, ${t.raw}` : t.raw;
+    }
+    setPeople([...byName.values()]);
+    setImportError("");
+  }, [open, calendars, assignees]);
+
+  useEffect(() => {
+    if (!open) return;
+    const handleKey = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKey);
+    return () => window.removeEventListener("keydown", handleKey);
+  }, [open, onClose]);
+
+  if (!open) return null;
+
+  const updateHoliday = (idx, patch) =>
+    setHolidays((prev) => prev.map((h, i) => (i === idx ? { ...h, ...patch } : h)));
+  const updatePerson = (idx, patch) =>
+    setPeople((prev) => prev.map((p, i) => (i === idx ? { ...p, ...patch } : p)));
+
+  const importIcs = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const parsed = parseIcsHolidays(String(reader.result || ""));
+      if (!parsed.count) {
+        setImportError(`No events found in ${file.name}`);
+        return;
+      }
+      const name = slugifyName(parsed.name) || slugifyName(file.name) || "holidays";
+      setImportError("");
+      setHolidays((prev) => {
+        const existing = prev.findIndex((h) => h.name.toLowerCase() === name);
+        if (existing < 0) return [...prev, { name, raw: parsed.raw }];
+        return prev.map((h, i) => (i === existing ? { ...h, raw: parsed.raw } : h));
+      });
+    };
+    reader.readAsText(file);
+  };
+
+  const calendarNames = holidays.map((h) => h.name.trim()).filter(Boolean);
+
+  const apply = () => {
+    const clean = (value) => value.trim().replace(/\s+/g, "-").replace(/:/g, "");
+    onApply({
+      holidays: holidays.map((h) => ({ name: clean(h.name), raw: h.raw.trim() })),
+      assignments: [
+        ...(defaultCalendar ? [{ assignee: DEFAULT_ASSIGNEE, calendar: defaultCalendar }] : []),
+        ...people.filter((p) => p.calendar).map((p) => ({ assignee: p.name, calendar: p.calendar })),
+      ],
+      timeOff: people.filter((p) => p.timeOff.trim()).map((p) => ({ assignee: p.name, raw: p.timeOff.trim() })),
+    });
+  };
+
+  return (
+    <div className="modal-backdrop" onClick={onClose}>
+      <div className="node-edit-modal" style={{ maxWidth: 680 }} onClick={(e) => e.stopPropagation()}>
+        <div className="task-modal-header">
+          <h2>Working calendars</h2>
+          <button className="drawer-close-btn" onClick={onClose}>&times;</button>
+        </div>
+        <div className="task-modal-body">
+          <div className="working-calendar-section">
+            <div className="working-calendar-heading">
+              <span>Holiday calendars</span>
+              <div className="working-calendar-actions">
+                <label className="soft-btn working-calendar-import">
+                  Import .ics
+                  <input type="file" accept=".ics,text/calendar" onChange={(e) => { importIcs(e.target.files?.[0]); e.target.value = ""; }} />
+                </label>
+                <button className="soft-btn" onClick={() => setHolidays((prev) => [...prev, { name: `calendar-${prev.length + 1}`, raw: "" }])}>
+                  Add calendar
+                </button>
+              </div>
+            </div>
+            {importError && <p className="gantt-import-error">{importError}</p>}
+            {holidays.length === 0 && <p className="resource-empty">No holiday calendars yet.</p>}
+            {holidays.map((h, idx) => (
+              <div key={idx} className="working-calendar-row holiday">
+                <input
+                  className="working-calendar-name"
+                  value={h.name}
+                  placeholder="uk"
+                  onChange={(e) => updateHoliday(idx, { name: e.target.value })}
+                />
+                <input
+                  value={h.raw}
+                  placeholder="2026-12-25, 2026-12-28..2026-12-29, 2026-12-24 half"
+                  onChange={(e) => updateHoliday(idx, { raw: e.target.value })}
+                />
+                <span className="working-calendar-count">{countDays(h.raw)}d</span>
+                <button className="saved-item-delete" onClick={() => setHolidays((prev) => prev.filter((_, i) => i !== idx))}>
+                  &times;
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <label>
+            Default calendar
+            <select value={defaultCalendar} onChange={(e) => setDefaultCalendar(e.target.value)}>
+              <option value="">None</option>
+              {calendarNames.map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+          </label>
+
+          <div className="working-calendar-section">
+            <div className="working-calendar-heading">
+              <span>People</span>
+            </div>
+            {people.length === 0 && <p className="resource-empty">Assign tasks to people to give them calendars and time off.</p>}
+            {people.map((p, idx) => (
+              <div key={p.name} className="working-calendar-row">
+                <span className="working-calendar-name">{p.name}</span>
+                <select value={p.calendar} onChange={(e) => updatePerson(idx, { calendar: e.target.value })}>
+                  <option value="">Default</option>
+                  <option value="none">No holidays</option>
+                  {calendarNames.map((name) => (
+                    <option key={name} value={name}>{name}</option>
+                  ))}
+                </select>
+                <input
+                  value={p.timeOff}
+                  placeholder="Time off: 2026-03-02..2026-03-06, 2026-03-13 half"
+                  onChange={(e) => updatePerson(idx, { timeOff: e.target.value })}
+                />
+                <span className="working-calendar-count">{countDays(p.timeOff)}d</span>
+              </div>
+            ))}
+          </div>
+          <p className="resource-hint">
+            Tasks stretch over their assignee's holidays and time off; half days count as 0.5.
+            Saved as <code>%% holidays</code>, <code>%% calendar</code> and <code>%% timeoff</code> comments.
+          </p>
+        </div>
+        <div className="task-modal-actions">
+          <button className="soft-btn" onClick={onClose}>Cancel</button>
+          <button className="soft-btn primary" onClick={apply}>Apply</button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -139,6 +139,7 @@ export const DIAGRAM_LIBRARY = [
       { label: "Add section", snippet: "\n    section New Phase\n" },
       { label: "Add task", snippet: "\n    New Task :task1, 2026-02-15, 3d\n" },
       { label: "Add milestone", snippet: "\n    Sprint Review :milestone, review, 2026-02-28, 0d\n" },
+      { label: "Add recurring task", snippet: "\n    Sprint demo :demo, 2026-02-24, 1d\n    %% repeat: every 2w x6\n" },
     ],
   },
   {
@@ -219,6 +219,14 @@ export async function svgToPngBlob(svgString, scale = 2) {
   });
 }
 
+/**
+ * Download plain-text content (XML, CSV, iCalendar, …) as a file.
+ */
+export function downloadTextFile(text, filename, mimeType = "text/plain") {
+  const blob = new Blob([text], { type: `${mimeType};charset=utf-8` });
+  triggerDownload(blob, filename);
+}
+
 function triggerDownload(blob, filename) {
   const url = URL.createObjectURL(blob);
   const link = document.createElement("a");
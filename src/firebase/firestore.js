@@ -78,13 +78,21 @@ async function runFirestoreOperation(operation, context, fn) {
 //   - sharedWith: string[]  ← flat array for querying
 //   - publicAccess: null | "read" | "comment" | "edit"
 //   - thumbnailUrl (optional, stored in Firebase Storage)
+//   - resourceCapacity (optional): { [assignee]: hoursPerWeek } for gantt load
+//   - tabs (optional): [{ id, label, code, layout? }], activeTabId
+//     layout: { positionOverrides: { [nodeId]: { absX, absY } }, styleOverrides }
+//     holds dragged flowchart positions and node styles for that tab
+//   - baselineCode, baselineSetAt (legacy single baseline, read-only)
 //
 // flows/{flowId}/comments/{commentId}
 //   - authorId, authorName, text, createdAt
 //
+// flows/{flowId}/baselines/{baselineId}
+//   - name, code (mermaid), createdBy (uid), createdAt
+//
 // templates/{templateId}
 //   - name, description, category, code (mermaid), diagramType
-//   - tabs: [{ id, label, code }], ganttViewState (nullable)
+//   - tabs: [{ id, label, code, layout? }], ganttViewState (nullable)
 //   - ownerId, thumbnailUrl (nullable), tags: string[]
 //   - createdAt, updatedAt
 //
@@ -371,16 +379,6 @@ export async function updateFlow(flowId, updates) {
   });
 }
 
-export async function setFlowBaseline(flowId, baselineCode) {
-  return runFirestoreOperation("setFlowBaseline", { flowId }, async () => {
-    await updateDoc(doc(db, "flows", flowId), {
-      baselineCode,
-      baselineSetAt: serverTimestamp(),
-      updatedAt: serverTimestamp(),
-    });
-  });
-}
-
 export async function clearFlowBaseline(flowId) {
   return runFirestoreOperation("clearFlowBaseline", { flowId }, async () => {
     await updateDoc(doc(db, "flows", flowId), {
@@ -392,14 +390,16 @@ export async function clearFlowBaseline(flowId) {
 }
 
 export async function deleteFlow(flowId) {
-  // Delete comments and versions subcollections in batches
-  const [commentsSnap, versionsSnap] = await Promise.all([
+  // Delete comments, versions and baselines subcollections in batches
+  const [commentsSnap, versionsSnap, baselinesSnap] = await Promise.all([
     getDocs(collection(db, "flows", flowId, "comments")),
     getDocs(collection(db, "flows", flowId, "versions")),
+    getDocs(collection(db, "flows", flowId, "baselines")),
   ]);
   const allDocs = [
     ...commentsSnap.docs.map((d) => d.ref),
     ...versionsSnap.docs.map((d) => d.ref),
+    ...baselinesSnap.docs.map((d) => d.ref),
     doc(db, "flows", flowId),
   ];
   const chunks = chunkArray(allDocs, 499);
@@ -437,7 +437,13 @@ export async function saveFlowVersion(flowId, { code, diagramType, tabs }) {
         createdAt: serverTimestamp(),
       };
       if (tabs && tabs.length > 0) {
-        versionData.tabs = tabs.map((t) => ({ id: t.id, label: t.label, code: t.code }));
+        versionData.tabs = tabs.map((t) => ({
+          id: t.id,
+          label: t.label,
+          code: t.code,
+          ...(t.layout ? { layout: t.layout } : {}),
+          ...(t.scenarioOf ? { scenarioOf: t.scenarioOf, scenarioColor: t.scenarioColor || null } : {}),
+        }));
       }
       const ref = await addDoc(collection(db, "flows", flowId, "versions"), versionData);
 
@@ -470,6 +476,41 @@ export async function getFlowVersions(flowId) {
   });
 }
 
+// ── Flow Baselines ────────────────────────────────────
+
+export async function addFlowBaseline(flowId, { name, code, createdBy }) {
+  return runFirestoreOperation(
+    "addFlowBaseline",
+    { flowId, codeLength: code?.length || 0 },
+    async () => {
+      const ref = await addDoc(collection(db, "flows", flowId, "baselines"), {
+        name,
+        code,
+        createdBy: createdBy || null,
+        createdAt: serverTimestamp(),
+      });
+      return ref.id;
+    }
+  );
+}
+
+export async function getFlowBaselines(flowId) {
+  return runFirestoreOperation("getFlowBaselines", { flowId }, async () => {
+    const q = query(
+      collection(db, "flows", flowId, "baselines"),
+      orderBy("createdAt", "desc")
+    );
+    const snap = await getDocs(q);
+    return snap.docs.map((d) => ({ id: d.id, ...d.data() }));
+  });
+}
+
+export async function deleteFlowBaseline(flowId, baselineId) {
+  return runFirestoreOperation("deleteFlowBaseline", { flowId, baselineId }, async () => {
+    await deleteDoc(doc(db, "flows", flowId, "baselines", baselineId));
+  });
+}
+
 // ── Flow Sharing ──────────────────────────────────────
 
 export async function shareFlow(flowId, uid, role) {
@@ -517,6 +558,9 @@ export async function removeFlowTag(flowId, tag) {
 
 // ── Comments ──────────────────────────────────────────
 
+// firestore.rules rejects longer comment text
+export const COMMENT_MAX_LENGTH = 5000;
+
 export async function addComment(flowId, authorId, authorName, text) {
   const ref = await addDoc(collection(db, "flows", flowId, "comments"), {
     authorId,
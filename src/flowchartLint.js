@@ -0,0 +1,199 @@
+/**
+ * Flowchart lint
+ *
+ * parseFlowchart accepts anything Mermaid can draw, including graphs that
+ * are probably mistakes. lintFlowchart walks the parsed graph and reports
+ * them as { id, rule, severity, line, message, fix } issues, with 1-based
+ * line numbers in the original code. Issues with a `fix` can be repaired by
+ * applyFlowchartLintFix, which returns the rewritten code.
+ */
+
+import {
+  parseFlowchart,
+  parseClassDefs,
+  parseClassAssignments,
+  normalizeFlowchartSubgraphEdges,
+  removeFlowchartNode,
+  updateFlowchartNode,
+} from "./flowchartUtils";
+
+// Same front matter pattern parseFlowchart strips before numbering lines
+const FRONT_MATTER_RE = /^---[\s\S]*?---\s*/;
+
+// Links without a direction connect both ways for reachability
+const UNDIRECTED_ARROWS = new Set(["---", "-.-", "===", "~~~", "<-->", "<-.->", "<==>", "o--o", "x--x"]);
+
+export const LINT_RULES = {
+  "subgraph-edge": { severity: "error", title: "Edge to a subgraph" },
+  "orphan-node": { severity: "warning", title: "Unconnected node" },
+  "unreachable-node": { severity: "warning", title: "Unreachable node" },
+  "single-branch-decision": { severity: "warning", title: "Decision with one branch" },
+  "duplicate-label": { severity: "info", title: "Duplicate label" },
+  "unused-classdef": { severity: "info", title: "Unused classDef" },
+};
+
+const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+function issue(rule, key, line, message, fix = null) {
+  return { id: `${rule}:${key}`, rule, severity: LINT_RULES[rule].severity, line, message, fix };
+}
+
+function nodeName(node) {
+  return node.label && node.label !== node.id ? `${node.id} "${node.label}"` : node.id;
+}
+
+/**
+ * Lint a flowchart. Returns issues sorted by severity, then line.
+ */
+export function lintFlowchart(code) {
+  if (typeof code !== "string" || !code.trim()) return [];
+  const frontMatter = code.match(FRONT_MATTER_RE);
+  const offset = frontMatter ? frontMatter[0].split("\n").length - 1 : 0;
+  const lineOf = (lineIndex) => lineIndex + offset + 1;
+
+  const { nodes: parsedNodes, edges, subgraphs } = parseFlowchart(code);
+  const subgraphIds = new Set(subgraphs.map((sg) => sg.id));
+  // Edges that name a subgraph make parseFlowchart invent a node for it
+  const nodes = parsedNodes.filter((n) => !subgraphIds.has(n.id));
+  const issues = [];
+
+  // Edges pointing at subgraph ids
+  const canRetarget = normalizeFlowchartSubgraphEdges(code).changed;
+  edges.forEach((e, i) => {
+    const ends = [e.source, e.target].filter((id) => subgraphIds.has(id));
+    if (!ends.length) return;
+    issues.push(issue(
+      "subgraph-edge",
+      i,
+      lineOf(e.lineIndex),
+      `${e.source} ${e.arrowType} ${e.target} links to subgraph ${ends.join(" and ")}; Mermaid can fail to lay this out`,
+      canRetarget ? { kind: "retarget-subgraph-edges", label: "Retarget to a node inside" } : null
+    ));
+  });
+
+  // Subgraph membership by line range, so edges to a subgraph reach its nodes
+  const membersOf = (sg) => nodes.filter((n) => n.lineIndex > sg.lineIndex && (sg.endLineIndex < 0 || n.lineIndex < sg.endLineIndex)).map((n) => n.id);
+  const expand = (id) => {
+    const sg = subgraphs.find((s) => s.id === id);
+    return sg ? membersOf(sg) : [id];
+  };
+
+  const degree = new Map(nodes.map((n) => [n.id, { in: 0, out: 0 }]));
+  const next = new Map(nodes.map((n) => [n.id, new Set()]));
+  for (const e of edges) {
+    const sources = expand(e.source);
+    const targets = expand(e.target);
+    const both = UNDIRECTED_ARROWS.has(e.arrowType);
+    for (const s of sources) {
+      for (const t of targets) {
+        if (!next.has(s) || !next.has(t)) continue;
+        next.get(s).add(t);
+        if (both) next.get(t).add(s);
+      }
+    }
+    if (degree.has(e.source)) degree.get(e.source).out += 1;
+    if (degree.has(e.target)) degree.get(e.target).in += 1;
+    if (subgraphIds.has(e.target)) for (const t of targets) if (degree.has(t)) degree.get(t).in += 1;
+    if (subgraphIds.has(e.source)) for (const s of sources) if (degree.has(s)) degree.get(s).out += 1;
+  }
+
+  // Nodes with no edges at all
+  const connected = (id) => degree.get(id).in + degree.get(id).out > 0;
+  for (const n of nodes) {
+    if (connected(n.id)) continue;
+    issues.push(issue(
+      "orphan-node",
+      n.id,
+      lineOf(n.lineIndex),
+      `${nodeName(n)} has no links`,
+      { kind: "remove-node", label: "Remove node", nodeId: n.id }
+    ));
+  }
+
+  // Nodes that cannot be reached from the start node. The start is a node
+  // named "Start", otherwise the first node with outgoing links and none
+  // coming in.
+  const start =
+    nodes.find((n) => connected(n.id) && (/^start$/i.test(n.id) || /^start$/i.test(String(n.label).trim()))) ||
+    nodes.find((n) => degree.get(n.id).out > 0 && degree.get(n.id).in === 0);
+  if (start) {
+    const seen = new Set([start.id]);
+    const queue = [start.id];
+    while (queue.length) {
+      for (const t of next.get(queue.shift())) {
+        if (seen.has(t)) continue;
+        seen.add(t);
+        queue.push(t);
+      }
+    }
+    for (const n of nodes) {
+      if (seen.has(n.id) || !connected(n.id)) continue;
+      issues.push(issue("unreachable-node", n.id, lineOf(n.lineIndex), `${nodeName(n)} cannot be reached from ${nodeName(start)}`));
+    }
+  }
+
+  // Decisions should branch
+  for (const n of nodes) {
+    if (n.shape !== "diamond" || degree.get(n.id).out !== 1) continue;
+    issues.push(issue(
+      "single-branch-decision",
+      n.id,
+      lineOf(n.lineIndex),
+      `Decision ${nodeName(n)} has only one outgoing link`,
+      { kind: "make-process", label: "Change to a process box", nodeId: n.id }
+    ));
+  }
+
+  // Several nodes sharing a label read as the same step
+  const firstByLabel = new Map();
+  for (const n of nodes) {
+    const key = String(n.label || "").trim().toLowerCase();
+    if (!key || n.label === n.id) continue;
+    const first = firstByLabel.get(key);
+    if (!first) {
+      firstByLabel.set(key, n);
+      continue;
+    }
+    issues.push(issue(
+      "duplicate-label",
+      n.id,
+      lineOf(n.lineIndex),
+      `${n.id} has the same label as ${first.id} (line ${lineOf(first.lineIndex)})`
+    ));
+  }
+
+  // classDefs nothing refers to
+  const usedClasses = new Set(
+    Object.values(parseClassAssignments(code)).flatMap((value) => String(value).split(/[\s,]+/).filter(Boolean))
+  );
+  for (const cd of parseClassDefs(code)) {
+    if (usedClasses.has(cd.name) || cd.name === "default") continue;
+    issues.push(issue(
+      "unused-classdef",
+      cd.name,
+      cd.lineIndex + 1,
+      `classDef ${cd.name} is not used by any node`,
+      { kind: "remove-line", label: "Remove classDef", lineIndex: cd.lineIndex }
+    ));
+  }
+
+  return issues.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.line - b.line);
+}
+
+/**
+ * Apply an issue's fix and return the new code (unchanged when the issue has
+ * no fix).
+ */
+export function applyFlowchartLintFix(code, lintIssue) {
+  const fix = lintIssue?.fix;
+  if (!fix) return code;
+  if (fix.kind === "retarget-subgraph-edges") return normalizeFlowchartSubgraphEdges(code).code;
+  if (fix.kind === "remove-node") return removeFlowchartNode(code, fix.nodeId);
+  if (fix.kind === "make-process") return updateFlowchartNode(code, fix.nodeId, { shape: "rect" });
+  if (fix.kind === "remove-line") {
+    const lines = code.split("\n");
+    lines.splice(fix.lineIndex, 1);
+    return lines.join("\n");
+  }
+  return code;
+}
@@ -2,6 +2,7 @@
 
 const DIRECTION_RE = /^\s*(?:flowchart|graph)\s+(LR|RL|TD|TB|BT)\s*$/;
 const FRONT_MATTER_RE = /^---[\s\S]*?---\s*/;
+const LAYOUT_COMMENT_RE = /^\s*%%\s*mf-layout\s+(\{.*\})\s*$/;
 
 /* Shape delimiters → shape name lookup */
 const SHAPE_TABLE = [
@@ -890,7 +891,7 @@ export function addFlowchartNode(code, { id, label, shape = "rect" }) {
   let insertIdx = lines.length;
   for (let i = lines.length - 1; i >= 0; i--) {
     const t = lines[i].trim();
-    if (t && !t.startsWith("classDef ") && !t.startsWith("class ") && !t.startsWith("style ") && !t.startsWith("linkStyle ")) {
+    if (t && !t.startsWith("classDef ") && !t.startsWith("class ") && !t.startsWith("style ") && !t.startsWith("linkStyle ") && !LAYOUT_COMMENT_RE.test(t)) {
       insertIdx = i + 1;
       break;
     }
@@ -1092,7 +1093,7 @@ export function addFlowchartEdge(code, { source, target, label = "", arrowType =
     const t = lines[i].trim();
     if (t && !t.startsWith("classDef ") && !t.startsWith("class ") &&
         !t.startsWith("style ") && !t.startsWith("linkStyle ") &&
-        !/^[\w]+@\{/.test(t)) {
+        !/^[\w]+@\{/.test(t) && !LAYOUT_COMMENT_RE.test(t)) {
       insertIdx = i + 1;
       break;
     }
@@ -1395,3 +1396,104 @@ export function renameSubgraph(code, subgraphId, newLabel) {
   );
   return lines.join("\n");
 }
+
+/* ── Layout persistence ───────────────────────────────── */
+
+export const FLOW_LAYOUT_ENGINES = ["dagre", "elk"];
+export const FLOW_EDGE_STYLES = ["straight", "orthogonal", "curved"];
+
+/**
+ * Keep only what the custom renderer needs from the editor's drag and style
+ * state: absolute node positions (rounded) and style overrides, limited to
+ * `nodeIds` when given so deleted nodes don't linger in saved layouts, plus
+ * the layout engine when it isn't the dagre default and the chosen edge style.
+ * Returns { positionOverrides, styleOverrides, engine?, edgeStyle? }.
+ */
+export function normalizeFlowLayout(layout, nodeIds = null) {
+  const keep = nodeIds ? new Set(nodeIds) : null;
+  const positionOverrides = {};
+  const styleOverrides = {};
+  for (const [id, pos] of Object.entries(layout?.positionOverrides || {})) {
+    if (keep && !keep.has(id)) continue;
+    if (!pos || !Number.isFinite(Number(pos.absX)) || !Number.isFinite(Number(pos.absY))) continue;
+    positionOverrides[id] = { absX: Math.round(Number(pos.absX)), absY: Math.round(Number(pos.absY)) };
+  }
+  for (const [id, style] of Object.entries(layout?.styleOverrides || {})) {
+    if (keep && !keep.has(id)) continue;
+    if (!style || typeof style !== "object") continue;
+    const clean = {};
+    for (const key of ["fill", "stroke", "strokeStyle", "textColor"]) {
+      if (typeof style[key] === "string" && style[key]) clean[key] = style[key];
+    }
+    if (Object.keys(clean).length) styleOverrides[id] = clean;
+  }
+  const result = { positionOverrides, styleOverrides };
+  if (FLOW_LAYOUT_ENGINES.includes(layout?.engine) && layout.engine !== "dagre") result.engine = layout.engine;
+  if (FLOW_EDGE_STYLES.includes(layout?.edgeStyle)) result.edgeStyle = layout.edgeStyle;
+  return result;
+}
+
+export function isEmptyFlowLayout(layout) {
+  return !Object.keys(layout?.positionOverrides || {}).length && !Object.keys(layout?.styleOverrides || {}).length && !layout?.engine && !layout?.edgeStyle;
+}
+
+/**
+ * Read a `%% mf-layout {...}` comment. Positions are stored as { x, y },
+ * styles under their override keys, the engine and edge style by name; returns a
+ * normalized layout or null when the code has no (valid) layout comment.
+ */
+export function parseLayoutComment(code) {
+  for (const line of String(code || "").split("\n")) {
+    const match = line.match(LAYOUT_COMMENT_RE);
+    if (!match) continue;
+    try {
+      const data = JSON.parse(match[1]);
+      const positionOverrides = {};
+      for (const [id, pos] of Object.entries(data.positions || {})) {
+        positionOverrides[id] = { absX: pos?.x, absY: pos?.y };
+      }
+      return normalizeFlowLayout({ positionOverrides, styleOverrides: data.styles || {}, engine: data.engine, edgeStyle: data.edges });
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+export function hasLayoutComment(code) {
+  return String(code || "").split("\n").some((line) => LAYOUT_COMMENT_RE.test(line));
+}
+
+/**
+ * Write `layout` into a single `%% mf-layout` comment line, replacing an
+ * existing one in place or appending it at the end. Mermaid ignores `%%`
+ * comments, so the layout travels with the code without changing the diagram.
+ */
+export function writeLayoutComment(code, layout) {
+  const { positionOverrides, styleOverrides, engine, edgeStyle } = normalizeFlowLayout(layout);
+  const positions = {};
+  for (const [id, pos] of Object.entries(positionOverrides)) positions[id] = { x: pos.absX, y: pos.absY };
+  const payload = {};
+  if (engine) payload.engine = engine;
+  if (edgeStyle) payload.edges = edgeStyle;
+  payload.positions = positions;
+  if (Object.keys(styleOverrides).length) payload.styles = styleOverrides;
+  const comment = `%% mf-layout ${JSON.stringify(payload)}`;
+
+  const lines = String(code || "").split("\n");
+  const idx = lines.findIndex((line) => LAYOUT_COMMENT_RE.test(line));
+  if (idx >= 0) {
+    lines[idx] = comment;
+    return lines.join("\n");
+  }
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  lines.push(comment);
+  return lines.join("\n");
+}
+
+export function removeLayoutComment(code) {
+  return String(code || "")
+    .split("\n")
+    .filter((line) => !LAYOUT_COMMENT_RE.test(line))
+    .join("\n");
+}
@@ -0,0 +1,400 @@
+/**
+ * Gantt ↔ CSV conversion
+ *
+ * Round-trips Gantt tasks through a spreadsheet-friendly CSV with the columns
+ *   section, id, label, start, end, duration, deps, status, assignee,
+ *   progress, notes, link
+ *
+ * Export writes resolved start/end dates for every task so the sheet is
+ * readable on its own. Import treats `deps` as the source of truth: a row
+ * with deps becomes `after <deps>` (start is informational), so `after`
+ * chains survive the round trip unchanged. Typed links are written the way
+ * `%% dep:` spells them ("design, build SS+2d") and come back as one.
+ *
+ * Import merges into the current chart: its directives (excludes, weekend,
+ * ...), chart-level comments (`%% holidays`, `%% calendar`, `%% timeoff`) and
+ * the metadata of tasks matched by id or label are kept, so the schedule
+ * resolves the same way after a round trip.
+ */
+
+import {
+  parseGanttTasks,
+  parseGanttDirectives,
+  resolveDependencies,
+  resolveGanttSchedule,
+  getTaskDependencies,
+  formatTypedDeps,
+  isSubDayFormat,
+  detectCycles,
+  dateToMs,
+} from "./ganttUtils";
+
+export const GANTT_CSV_COLUMNS = [
+  "section",
+  "id",
+  "label",
+  "start",
+  "end",
+  "duration",
+  "deps",
+  "status",
+  "assignee",
+  "progress",
+  "notes",
+  "link",
+];
+
+const CSV_STATUS_TOKENS = new Set(["done", "active", "crit", "milestone"]);
+const CSV_DATE = /^\d{4}-\d{2}-\d{2}(?: \d{2}:\d{2})?$/;
+const CSV_DURATION = /^\d+(?:h|min|m|d|w|y)$/i;
+const CSV_ID = /^[A-Za-z_][\w-]*$/;
+const RESERVED_IDS = new Set([...CSV_STATUS_TOKENS, "after", "until"]);
+const TIME_SUFFIX = / \d{2}:\d{2}$/;
+// Header lines carried over from the current chart on import
+const KEPT_DIRECTIVE = /^(title|excludes|includes|weekend|weekday|axisFormat|tickInterval|todayMarker|displayMode|inclusiveEndDates|topAxis)\b/;
+// Metadata the CSV owns; everything else under a matched task is kept
+const CSV_METADATA_KEYS = new Set(["assignee", "progress", "notes", "link", "dep"]);
+// Type and lag following a dep ref: "SS", "+2d", "FF-1d"
+const CSV_DEP_SPEC = /^(FS|SS|FF|SF)?(?:([+-])(\d+(?:h|min|m|d|w|y)))?$/i;
+
+// Chart-level lines and per-task metadata of the gantt an import replaces
+function readBaseChart(baseCode) {
+  const base = { header: [], metadataById: new Map(), metadataByLabel: new Map(), subDay: false };
+  if (!/^\s*gantt\b/m.test(baseCode || "")) return base;
+  const directives = parseGanttDirectives(baseCode);
+  base.subDay = isSubDayFormat(directives.dateFormat);
+  const lines = baseCode.split("\n");
+  const taskMetadata = new Set();
+  for (const t of parseGanttTasks(baseCode, directives.dateFormat)) {
+    if (t.isOccurrence) continue;
+    const meta = [];
+    for (let i = t.lineIndex + 1; i < lines.length && lines[i].trim().startsWith("%%"); i++) {
+      taskMetadata.add(i);
+      const key = (lines[i].trim().match(/^%%\s*([\w-]+)\s*:/) || [])[1];
+      if (key && !CSV_METADATA_KEYS.has(key.toLowerCase())) meta.push(lines[i].trim());
+    }
+    if (t.idToken && !base.metadataById.has(t.idToken.toLowerCase())) base.metadataById.set(t.idToken.toLowerCase(), meta);
+    if (t.label && !base.metadataByLabel.has(t.label.toLowerCase())) base.metadataByLabel.set(t.label.toLowerCase(), meta);
+  }
+  lines.forEach((line, i) => {
+    const trimmed = line.trim();
+    if (KEPT_DIRECTIVE.test(trimmed)) base.header.push(trimmed);
+    else if (trimmed.startsWith("%%") && (!taskMetadata.has(i) || /^%%\s*(holidays|calendar|timeoff)\s/i.test(trimmed))) {
+      base.header.push(trimmed);
+    }
+  });
+  return base;
+}
+
+// Mermaid-safe id for a row that other rows reference by label
+function idFromLabel(label, taken) {
+  const stem = label.toLowerCase().replace(/[^\w-]+/g, "_").replace(/^[^a-z_]+/, "").replace(/_+$/, "") || "task";
+  let id = RESERVED_IDS.has(stem) ? `${stem}_task` : stem;
+  for (let n = 2; taken.has(id); n++) id = `${stem}_${n}`;
+  taken.add(id);
+  return id;
+}
+
+// "a, b SS+2d" for the deps column; plain finish-to-start links are just the ref
+function formatCsvDeps(links) {
+  return links.map((l) => (l.type === "FS" && !l.lag ? l.ref : `${l.ref} ${l.type}${l.lag}`)).join(", ");
+}
+
+// Reverse of formatCsvDeps; also reads the older space-separated "a b"
+function parseCsvDeps(value) {
+  const deps = [];
+  for (const token of value.split(/[\s,]+/).filter(Boolean)) {
+    const spec = token.match(CSV_DEP_SPEC);
+    const last = deps[deps.length - 1];
+    if (spec && last && !last.typed) {
+      last.type = (spec[1] || "FS").toUpperCase();
+      last.lag = spec[3] ? spec[2] + spec[3] : "";
+      last.typed = true;
+    } else {
+      deps.push({ ref: token, type: "FS", lag: "", typed: false });
+    }
+  }
+  return deps;
+}
+
+function escapeCsvField(value) {
+  const str = String(value ?? "");
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// RFC 4180 parser: quoted fields, escaped quotes, CRLF or LF line endings
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ""));
+}
+
+// ── Gantt → CSV ──
+
+export function ganttToCsv(code) {
+  const { tasks } = resolveGanttSchedule(code);
+
+  const lines = [GANTT_CSV_COLUMNS.join(",")];
+  for (const t of tasks) {
+    // Occurrences come back from the `%% repeat:` kept on their source task
+    if (t.isVertMarker || t.isOccurrence) continue;
+    const status = [...t.statusTokens, ...(t.isMilestone ? ["milestone"] : [])].join(" ");
+    const values = {
+      section: t.section,
+      id: t.idToken,
+      label: t.label,
+      start: t.startDate,
+      end: t.computedEnd,
+      duration: t.durationToken,
+      deps: formatCsvDeps(getTaskDependencies(t)),
+      status,
+      assignee: t.assignee,
+      progress: t.progress ?? "",
+      notes: t.notes,
+      link: t.link,
+    };
+    lines.push(GANTT_CSV_COLUMNS.map((col) => escapeCsvField(values[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+// ── CSV → Gantt ──
+
+/**
+ * Convert CSV rows back into Mermaid gantt code. When `baseCode` is a gantt
+ * the rows replace its tasks and everything else is kept (see above).
+ * Returns { code, errors, taskCount }; `errors` holds { row, message } with
+ * 1-based spreadsheet row numbers. `code` is empty whenever errors exist.
+ */
+export function csvToGantt(csvText, title = "Project Timeline", baseCode = "") {
+  const errors = [];
+  const rows = parseCsv(csvText);
+  if (rows.length === 0) {
+    return { code: "", errors: [{ row: 1, message: "CSV is empty" }], taskCount: 0 };
+  }
+
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const colIndex = {};
+  for (const col of GANTT_CSV_COLUMNS) colIndex[col] = header.indexOf(col);
+  if (colIndex.label < 0) {
+    return { code: "", errors: [{ row: 1, message: 'Header row must include a "label" column' }], taskCount: 0 };
+  }
+  const cell = (cells, col) => (colIndex[col] >= 0 ? String(cells[colIndex[col]] ?? "").trim() : "");
+
+  // First pass: read rows and collect ids
+  const entries = [];
+  const ids = new Map();
+  rows.slice(1).forEach((cells, idx) => {
+    const rowNumber = idx + 2;
+    const entry = { rowNumber };
+    for (const col of GANTT_CSV_COLUMNS) entry[col] = cell(cells, col);
+    entries.push(entry);
+    if (entry.id) {
+      const key = entry.id.toLowerCase();
+      if (ids.has(key)) errors.push({ row: rowNumber, message: `Duplicate id "${entry.id}" (also on row ${ids.get(key)})` });
+      else ids.set(key, rowNumber);
+    }
+  });
+  const labels = new Set(entries.map((e) => e.label.toLowerCase()).filter(Boolean));
+
+  // Second pass: validate each row
+  for (const e of entries) {
+    const fail = (message) => errors.push({ row: e.rowNumber, message });
+    if (!e.label) fail("Label is required");
+    else if (/[:#;]/.test(e.label)) fail('Label cannot contain ":", "#" or ";"');
+    if (e.id && !CSV_ID.test(e.id)) fail(`Id "${e.id}" may only contain letters, digits, "_" and "-"`);
+    else if (e.id && RESERVED_IDS.has(e.id.toLowerCase())) fail(`Id "${e.id}" is a reserved word`);
+    const isDate = (value) => CSV_DATE.test(value) && dateToMs(value) !== null;
+    if (e.start && !isDate(e.start)) fail(`Start "${e.start}" is not a YYYY-MM-DD date`);
+    if (e.end && !isDate(e.end)) fail(`End "${e.end}" is not a YYYY-MM-DD date`);
+    if (e.start && e.end && isDate(e.start) && isDate(e.end) && e.end < e.start) {
+      fail("End is before start");
+    }
+    if (e.duration && !CSV_DURATION.test(e.duration)) fail(`Duration "${e.duration}" should look like 3d, 2w or 4h`);
+    const statusTokens = e.status.toLowerCase().split(/[\s,;|]+/).filter(Boolean);
+    for (const token of statusTokens) {
+      if (!CSV_STATUS_TOKENS.has(token)) fail(`Unknown status "${token}" (use done, active, crit, milestone)`);
+    }
+    e.statusTokens = statusTokens.filter((t) => CSV_STATUS_TOKENS.has(t));
+    e.depList = parseCsvDeps(e.deps);
+    for (const { ref } of e.depList) {
+      if (!ids.has(ref.toLowerCase()) && !labels.has(ref.toLowerCase())) fail(`Unknown dependency "${ref}"`);
+    }
+    if (e.progress && !(/^\d+$/.test(e.progress) && Number(e.progress) <= 100)) {
+      fail(`Progress "${e.progress}" must be a whole number from 0 to 100`);
+    }
+    if (/[\r\n]/.test(e.assignee + e.notes + e.link)) {
+      e.assignee = e.assignee.replace(/\s*[\r\n]+\s*/g, " ");
+      e.notes = e.notes.replace(/\s*[\r\n]+\s*/g, " ");
+      e.link = e.link.replace(/\s*[\r\n]+\s*/g, " ");
+    }
+    const isMilestone = e.statusTokens.includes("milestone");
+    if (!e.depList.length && !e.start && !e.duration && !isMilestone) {
+      fail("Needs a start date, deps or a duration");
+    }
+  }
+
+  if (errors.length) return { code: "", errors, taskCount: entries.length };
+
+  // `after` needs ids: give rows referenced by label one
+  const takenIds = new Set(entries.filter((e) => e.id).map((e) => e.id.toLowerCase()));
+  const entryByLabel = new Map();
+  for (const e of entries) if (!entryByLabel.has(e.label.toLowerCase())) entryByLabel.set(e.label.toLowerCase(), e);
+  for (const e of entries) {
+    for (const dep of e.depList) {
+      if (ids.has(dep.ref.toLowerCase())) continue;
+      const target = entryByLabel.get(dep.ref.toLowerCase());
+      if (!target.id) target.id = idFromLabel(target.label, takenIds);
+      dep.ref = target.id;
+    }
+  }
+
+  const base = readBaseChart(baseCode);
+  const subDay = base.subDay || entries.some((e) => TIME_SUFFIX.test(e.start) || TIME_SUFFIX.test(e.end));
+  const dateFormat = subDay ? "YYYY-MM-DD HH:mm" : "YYYY-MM-DD";
+  const dateValue = (value) => (subDay && !TIME_SUFFIX.test(value) ? `${value} 00:00` : value);
+
+  // Build Mermaid code in row order, opening a section whenever it changes
+  const kept = base.header.length ? base.header : [`title ${title}`, "axisFormat  %b %d"];
+  const lines = ["gantt", ...kept.filter((l) => l.startsWith("title ")), `dateFormat  ${dateFormat}`, ...kept.filter((l) => !l.startsWith("title "))]
+    .map((l, i) => (i ? `    ${l}` : l));
+  const lineRows = new Map();
+  let currentSection = null;
+  for (const e of entries) {
+    if (e.section !== currentSection) {
+      currentSection = e.section;
+      if (currentSection) lines.push("", `    section ${currentSection}`);
+    }
+    const isMilestone = e.statusTokens.includes("milestone");
+    const tokens = [
+      ...e.statusTokens.filter((t) => t !== "milestone"),
+      ...(isMilestone ? ["milestone"] : []),
+    ];
+    if (e.id) tokens.push(e.id);
+    if (e.depList.length) {
+      tokens.push(`after ${e.depList.map((dep) => dep.ref).join(" ")}`);
+      tokens.push(e.duration || (isMilestone ? "0d" : "1d"));
+    } else if (e.start) {
+      tokens.push(dateValue(e.start));
+      if (e.duration) tokens.push(e.duration);
+      else if (e.end) tokens.push(dateValue(e.end));
+      else tokens.push(isMilestone ? "0d" : "1d");
+    } else {
+      tokens.push(e.duration || "0d");
+    }
+    lineRows.set(lines.length, e.rowNumber);
+    lines.push(`    ${e.label} :${tokens.join(", ")}`);
+    if (e.assignee) lines.push(`    %% assignee: ${e.assignee}`);
+    if (e.progress) lines.push(`    %% progress: ${Number(e.progress)}`);
+    if (e.notes) lines.push(`    %% notes: ${e.notes}`);
+    if (e.link) lines.push(`    %% link: ${e.link}`);
+    const typed = e.depList.filter((dep) => dep.type !== "FS" || dep.lag);
+    if (typed.length) lines.push(`    %% dep: ${formatTypedDeps(typed)}`);
+    const metadata = (e.id && base.metadataById.get(e.id.toLowerCase())) || base.metadataByLabel.get(e.label.toLowerCase()) || [];
+    for (const meta of metadata) lines.push(`    ${meta}`);
+  }
+  const code = lines.join("\n") + "\n";
+
+  // Validate the result with the same model the editor uses
+  const tasks = resolveDependencies(parseGanttTasks(code, dateFormat), subDay, parseGanttDirectives(code));
+  tasks.forEach((t, idx) => {
+    if (t.startDate || t.resolvedStartDate) return;
+    errors.push({
+      row: lineRows.get(t.lineIndex) || 0,
+      message: idx === 0 ? "First task needs a start date" : "Start date could not be resolved",
+    });
+  });
+  for (const cycle of detectCycles(tasks)) {
+    const first = tasks.find((t) => t.label === cycle[0]);
+    errors.push({
+      row: first ? lineRows.get(first.lineIndex) || 0 : 0,
+      message: `Circular dependency: ${cycle.join(" → ")}`,
+    });
+  }
+
+  errors.sort((a, b) => a.row - b.row);
+  return { code: errors.length ? "" : code, errors, taskCount: entries.length };
+}
+
+// ── Baseline variance → CSV ──
+
+const round2 = (value) => (value === null || value === undefined ? "" : Math.round(value * 100) / 100);
+
+/**
+ * Serialize a computeBaselineVariance() report. `view` picks the per-task
+ * ("tasks") or per-section ("sections") table.
+ */
+export function baselineVarianceToCsv(report, view = "tasks") {
+  const isSections = view === "sections";
+  const columns = [
+    "section",
+    ...(isSections ? [] : ["task", "status"]),
+    "baseline_start",
+    "baseline_end",
+    "current_start",
+    "current_end",
+    "start_variance_days",
+    "finish_variance_days",
+    ...(isSections ? [] : ["progress"]),
+    "planned_value",
+    "earned_value",
+    "spi",
+    "moved_end",
+  ];
+  const rows = isSections ? report.sections : report.tasks;
+  const lines = [columns.join(",")];
+  for (const row of rows) {
+    const values = {
+      section: row.section,
+      task: row.label,
+      status: row.status,
+      baseline_start: row.baselineStart,
+      baseline_end: row.baselineEnd,
+      current_start: row.currentStart,
+      current_end: row.currentEnd,
+      start_variance_days: row.startVariance ?? "",
+      finish_variance_days: row.finishVariance ?? "",
+      progress: row.progress ?? "",
+      planned_value: round2(row.pv),
+      earned_value: round2(row.ev),
+      spi: round2(row.spi),
+      moved_end: row.movedEnd ? "yes" : "",
+    };
+    lines.push(columns.map((col) => escapeCsvField(values[col])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
@@ -0,0 +1,165 @@
+/**
+ * Gantt → iCalendar (.ics) export
+ *
+ * Every task becomes a VEVENT spanning its computed start and end. Milestones
+ * become all-day events. `%% notes:` maps to DESCRIPTION and `%% link:` to URL.
+ *
+ * UIDs are derived from the task id (or label when no id is set) plus a
+ * per-flow namespace, so importing the file again updates existing events
+ * instead of duplicating them.
+ *
+ * parseIcsHolidays goes the other way: the all-day events of a holiday
+ * calendar become a `%% holidays name:` day list for working calendars.
+ */
+
+import { resolveGanttSchedule, shiftIsoDate, dateToMs } from "./ganttUtils";
+
+// RFC 5545 TEXT escaping
+function escapeIcsText(value) {
+  return String(value || "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold content lines longer than 75 octets onto continuation lines
+function foldIcsLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const ch of line) {
+    const size = new TextEncoder().encode(ch).length;
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + size > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += ch;
+    currentBytes += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function icsDate(iso) {
+  return iso.slice(0, 10).replace(/-/g, "");
+}
+
+function icsDateTime(value) {
+  const [datePart, timePart = "00:00"] = value.split(" ");
+  return `${icsDate(datePart)}T${timePart.replace(":", "")}00`;
+}
+
+function icsTimestamp(date) {
+  return date.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function slugify(value) {
+  return String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "task";
+}
+
+/**
+ * Build an .ics calendar from Mermaid gantt code.
+ * `uidNamespace` should be stable per chart (e.g. the flow id).
+ */
+export function ganttToIcs(code, { title = "", uidNamespace = "gantt", now = new Date() } = {}) {
+  const { directives, subDay, tasks } = resolveGanttSchedule(code);
+  const namespace = slugify(uidNamespace);
+  const stamp = icsTimestamp(now);
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Mermaid Flow//Gantt Export//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  const calendarName = title || directives.title;
+  if (calendarName) lines.push(`X-WR-CALNAME:${escapeIcsText(calendarName)}`);
+
+  const usedUids = new Set();
+  let eventCount = 0;
+  for (const task of tasks) {
+    if (task.isVertMarker) continue;
+    const start = task.startDate;
+    if (!start || dateToMs(start) === null) continue;
+
+    const baseUid = `${slugify(task.idToken || task.label)}@${namespace}.mermaid-flow`;
+    let uid = baseUid;
+    for (let n = 2; usedUids.has(uid); n++) uid = baseUid.replace("@", `-${n}@`);
+    usedUids.add(uid);
+
+    lines.push("BEGIN:VEVENT", `UID:${uid}`, `DTSTAMP:${stamp}`);
+    const end = task.computedEnd;
+    if (task.isMilestone) {
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(start)}`, `DTEND;VALUE=DATE:${icsDate(shiftIsoDate(start.slice(0, 10), 1))}`);
+    } else if (!subDay) {
+      // DTEND is exclusive, matching Mermaid's bar end
+      const endDate = end && end.slice(0, 10) > start.slice(0, 10) ? end.slice(0, 10) : shiftIsoDate(start.slice(0, 10), 1);
+      lines.push(`DTSTART;VALUE=DATE:${icsDate(start)}`, `DTEND;VALUE=DATE:${icsDate(endDate)}`);
+    } else {
+      lines.push(`DTSTART:${icsDateTime(start)}`);
+      if (end && dateToMs(end) > dateToMs(start)) lines.push(`DTEND:${icsDateTime(end)}`);
+    }
+    lines.push(`SUMMARY:${escapeIcsText(task.label)}`);
+    if (task.notes) lines.push(`DESCRIPTION:${escapeIcsText(task.notes)}`);
+    if (task.link) lines.push(`URL:${task.link.replace(/[\r\n]/g, "")}`);
+    if (task.section) lines.push(`CATEGORIES:${escapeIcsText(task.section)}`);
+    lines.push("TRANSP:TRANSPARENT", "END:VEVENT");
+    eventCount++;
+  }
+
+  lines.push("END:VCALENDAR");
+  return { ics: lines.map(foldIcsLine).join("\r\n") + "\r\n", eventCount };
+}
+
+// ── iCalendar → holiday list ──
+
+function unfoldIcs(text) {
+  return String(text || "").replace(/\r\n/g, "\n").replace(/\n[ \t]/g, "").split("\n");
+}
+
+function isoFromIcs(value) {
+  const m = String(value || "").match(/(\d{4})(\d{2})(\d{2})/);
+  return m ? `${m[1]}-${m[2]}-${m[3]}` : "";
+}
+
+function unescapeIcsText(value) {
+  return String(value || "").replace(/\\([,;\\])/g, "$1").replace(/\\n/gi, " ").trim();
+}
+
+/**
+ * Read the events of an .ics file as a holiday day list.
+ * Returns { name, raw, count } where `raw` is "2026-12-25, 2026-12-28..2026-12-29";
+ * multi-day events become ranges (DTEND is exclusive).
+ */
+export function parseIcsHolidays(text) {
+  const ranges = [];
+  let name = "";
+  let event = null;
+  for (const line of unfoldIcs(text)) {
+    const colon = line.indexOf(":");
+    if (colon < 0) continue;
+    const key = line.slice(0, colon).split(";")[0].toUpperCase();
+    const value = line.slice(colon + 1).trim();
+    if (key === "X-WR-CALNAME" && !name) name = unescapeIcsText(value);
+    else if (key === "BEGIN" && value.toUpperCase() === "VEVENT") event = { start: "", end: "" };
+    else if (key === "END" && value.toUpperCase() === "VEVENT" && event) {
+      if (event.start) {
+        const last = event.end && event.end > event.start ? shiftIsoDate(event.end, -1) : event.start;
+        ranges.push(last > event.start ? `${event.start}..${last}` : event.start);
+      }
+      event = null;
+    } else if (event && key === "DTSTART") event.start = isoFromIcs(value);
+    else if (event && key === "DTEND") event.end = isoFromIcs(value);
+  }
+  const unique = [...new Set(ranges)].sort();
+  return { name, raw: unique.join(", "), count: unique.length };
+}
@@ -0,0 +1,189 @@
+/**
+ * Monte Carlo schedule risk simulation
+ *
+ * Tasks carrying `%% estimate: 3d/5d/10d` get a sampled duration on every
+ * iteration (PERT or triangular between the optimistic, likely and
+ * pessimistic values). Each sampled plan runs through resolveDependencies and
+ * computeCriticalPath, so `after` chains and sequencing behave exactly like
+ * the chart. Tasks without an estimate keep their fixed duration.
+ *
+ * Pure and synchronous — run it from ganttMonteCarlo.worker.js to keep the UI
+ * responsive.
+ */
+
+import {
+  parseGanttTasks,
+  parseGanttDirectives,
+  resolveDependencies,
+  computeCriticalPath,
+  isSubDayFormat,
+  dateToMs,
+  msToDateStr,
+} from "./ganttUtils";
+
+const DAY_MS = 86400000;
+
+// ── Sampling ──
+
+// mulberry32: small seeded PRNG so a given seed reproduces a run
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleTriangular(rand, low, mode, high) {
+  if (high <= low) return mode;
+  const u = rand();
+  const cut = (mode - low) / (high - low);
+  return u < cut
+    ? low + Math.sqrt(u * (high - low) * (mode - low))
+    : high - Math.sqrt((1 - u) * (high - low) * (high - mode));
+}
+
+function sampleNormal(rand) {
+  const u = rand() || Number.EPSILON;
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+// Marsaglia–Tsang; PERT shapes are always >= 1
+function sampleGamma(rand, shape) {
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = sampleNormal(rand);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = rand();
+    if (u < 1 - 0.0331 * x ** 4) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+}
+
+function samplePert(rand, low, mode, high) {
+  if (high <= low) return mode;
+  const alpha = 1 + (4 * (mode - low)) / (high - low);
+  const beta = 1 + (4 * (high - mode)) / (high - low);
+  const x = sampleGamma(rand, alpha);
+  const y = sampleGamma(rand, beta);
+  return low + (x / (x + y)) * (high - low);
+}
+
+// ── Simulation ──
+
+function taskEndMs(task) {
+  const iso = task.resolvedEndDate || task.endDate;
+  if (iso) return dateToMs(iso);
+  const start = dateToMs(task.resolvedStartDate || task.startDate || "");
+  if (start === null) return null;
+  if (task.durationMs) return start + task.durationMs;
+  return start + (task.durationDays || 0) * DAY_MS;
+}
+
+function projectEndMs(tasks) {
+  let max = null;
+  for (const t of tasks) {
+    if (t.isVertMarker) continue;
+    const end = taskEndMs(t);
+    if (end !== null && (max === null || end > max)) max = end;
+  }
+  return max;
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p * sorted.length) - 1))];
+}
+
+/**
+ * Run the simulation.
+ * Returns { iterations, estimatedTasks, subDay, deterministicEnd, percentiles: { p50, p80, p95 },
+ *   onTimeProbability, histogram: [{ date, count, cumulative }], criticality: [{ label, ratio, hasEstimate }] }.
+ */
+export function runMonteCarlo(code, { iterations = 5000, distribution = "pert", seed = 1, onProgress } = {}) {
+  const directives = parseGanttDirectives(code);
+  const subDay = isSubDayFormat(directives.dateFormat);
+  const template = parseGanttTasks(code, directives.dateFormat);
+  const estimatedTasks = template.filter((t) => t.estimate && !t.isMilestone && !t.isVertMarker).length;
+  const deterministicEndMs = projectEndMs(resolveDependencies(template.map((t) => ({ ...t })), subDay, directives));
+
+  const rand = createRandom(seed);
+  const sample = distribution === "triangular" ? sampleTriangular : samplePert;
+  const unitMs = subDay ? 60000 : DAY_MS;
+  const finishes = [];
+  const criticalCounts = new Map();
+  const labelByKey = new Map(template.map((t) => [t.idToken || t.label, t]));
+
+  for (let i = 0; i < iterations; i++) {
+    const tasks = template.map((t) => {
+      if (!t.estimate || t.isMilestone || t.isVertMarker) return { ...t };
+      const { optimisticMs, likelyMs, pessimisticMs } = t.estimate;
+      // Whole days (or minutes for sub-day charts) keep dates aligned with the chart
+      const sampledMs = Math.max(unitMs, Math.round(sample(rand, optimisticMs, likelyMs, pessimisticMs) / unitMs) * unitMs);
+      return {
+        ...t,
+        endDate: "",
+        durationMs: subDay ? sampledMs : null,
+        durationDays: sampledMs / DAY_MS,
+      };
+    });
+    resolveDependencies(tasks, subDay, directives);
+    const end = projectEndMs(tasks);
+    if (end !== null) finishes.push(end);
+    const { criticalSet } = computeCriticalPath(tasks);
+    for (const key of criticalSet) criticalCounts.set(key, (criticalCounts.get(key) || 0) + 1);
+    if (onProgress && (i + 1) % 500 === 0) onProgress(i + 1, iterations);
+  }
+
+  finishes.sort((a, b) => a - b);
+  const toIso = (ms) => (ms === null ? "" : msToDateStr(ms, subDay));
+
+  // Bucket by day (by hour for sub-day charts)
+  const bucketMs = subDay ? 3600000 : DAY_MS;
+  const buckets = new Map();
+  for (const ms of finishes) {
+    const bucket = Math.floor(ms / bucketMs) * bucketMs;
+    buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+  }
+  let running = 0;
+  const histogram = [...buckets.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([ms, count]) => {
+      running += count;
+      return { date: toIso(ms), count, cumulative: running / finishes.length };
+    });
+
+  const criticality = [...criticalCounts.entries()]
+    .map(([key, count]) => ({
+      label: labelByKey.get(key)?.label || key,
+      ratio: count / iterations,
+      hasEstimate: Boolean(labelByKey.get(key)?.estimate),
+    }))
+    .sort((a, b) => b.ratio - a.ratio || a.label.localeCompare(b.label));
+
+  return {
+    iterations,
+    estimatedTasks,
+    subDay,
+    deterministicEnd: toIso(deterministicEndMs),
+    percentiles: {
+      p50: toIso(percentile(finishes, 0.5)),
+      p80: toIso(percentile(finishes, 0.8)),
+      p95: toIso(percentile(finishes, 0.95)),
+    },
+    onTimeProbability: finishes.length && deterministicEndMs !== null
+      ? finishes.filter((ms) => ms <= deterministicEndMs).length / finishes.length
+      : null,
+    histogram,
+    criticality,
+  };
+}
@@ -0,0 +1,15 @@
+import { runMonteCarlo } from "./ganttMonteCarlo";
+
+// Message in: { id, code, options }. Messages out: progress, result or error, tagged with `id`.
+self.onmessage = (event) => {
+  const { id, code, options } = event.data || {};
+  try {
+    const result = runMonteCarlo(code || "", {
+      ...options,
+      onProgress: (done, total) => self.postMessage({ id, type: "progress", done, total }),
+    });
+    self.postMessage({ id, type: "result", result });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,149 @@
+/**
+ * Project portfolio timeline
+ *
+ * Combines every gantt in a project into one timeline. Each flow (and each
+ * gantt tab inside a multi-tab flow) becomes a group, ordered by subproject
+ * then flow name. Tasks are resolved exactly like the editor, so `after`
+ * chains, excludes and working calendars land on the same dates.
+ *
+ * Assignee load is computed across all flows at once with
+ * computeResourceLoad, so someone who is fine in every individual plan but
+ * double-booked across two of them still shows up as overloaded.
+ */
+
+import { resolveGanttSchedule, computeResourceLoad, getTaskProgress } from "./ganttUtils";
+
+const NO_SUBPROJECT = "No subproject";
+
+// Skips front matter and leading %% lines (init directives, comments)
+function isGanttCode(code) {
+  const body = String(code || "")
+    .replace(/^\s*---\n[\s\S]*?\n---\s*\n/, "")
+    .replace(/^\s*(%%[^\n]*\n\s*)*/, "");
+  return /^\s*gantt\b/.test(body);
+}
+
+/** Gantt sources in a flow: its gantt tabs, or the flow code itself. */
+function getGanttSources(flow) {
+  const tabs = Array.isArray(flow.tabs) ? flow.tabs.filter((t) => isGanttCode(t.code)) : [];
+  if (tabs.length) {
+    return tabs.map((t) => ({ code: t.code, tabLabel: tabs.length > 1 ? t.label || "" : "" }));
+  }
+  return isGanttCode(flow.code) ? [{ code: flow.code, tabLabel: "" }] : [];
+}
+
+/**
+ * Build the combined timeline for a project's flows.
+ *
+ * Options: `subprojects` ([{ id, name }]) for group names, `capacities`
+ * ({ assignee: hours/week }, on top of each flow's saved resourceCapacity)
+ * and `today` (ISO date) for overdue checks.
+ *
+ * Returns { groups, start, end, overloads, counts } where each group is
+ * { key, flowId, flowName, tabLabel, subprojectName, start, end, tasks } and
+ * each task is { key, label, section, assignee, start, end, progress,
+ * isMilestone, isDone, isOverdue, overloadedWeeks }.
+ */
+export function buildPortfolio(flows, { subprojects = [], capacities = {}, today = new Date().toISOString().slice(0, 10) } = {}) {
+  const subprojectNames = new Map(subprojects.map((s) => [s.id, s.name]));
+  const groups = [];
+  const loadTasks = [];
+  const taskByKey = new Map();
+
+  for (const flow of flows) {
+    getGanttSources(flow).forEach((source, sourceIdx) => {
+      const groupKey = `${flow.id}:${sourceIdx}`;
+      const group = {
+        key: groupKey,
+        flowId: flow.id,
+        flowName: flow.name || "Untitled",
+        tabLabel: source.tabLabel,
+        subprojectName: subprojectNames.get(flow.subprojectId) || NO_SUBPROJECT,
+        start: "",
+        end: "",
+        tasks: [],
+      };
+
+      const scheduled = resolveGanttSchedule(source.code).tasks.filter((t) => !t.isVertMarker);
+      scheduled.forEach((task, taskIdx) => {
+        const start = task.startDate.split(" ")[0];
+        const end = (task.computedEnd || task.startDate).split(" ")[0];
+        if (!start) return;
+        const isDone = task.statusTokens.includes("done");
+        const entry = {
+          key: `${groupKey}:${taskIdx}`,
+          label: task.label,
+          section: task.section || "",
+          assignee: task.assignee || "",
+          start,
+          end,
+          progress: getTaskProgress(task),
+          isMilestone: task.isMilestone,
+          isDone,
+          isOverdue: !isDone && (task.isMilestone ? start : end) < today,
+          overloadedWeeks: [],
+        };
+        group.tasks.push(entry);
+        if (!group.start || start < group.start) group.start = start;
+        if (!group.end || end > group.end) group.end = end;
+
+        // Unique labels so the shared load map can point back at each task
+        taskByKey.set(entry.key, entry);
+        loadTasks.push({
+          label: entry.key,
+          assignee: entry.assignee,
+          allocation: task.allocation,
+          startDate: start,
+          computedEnd: task.isMilestone ? start : end,
+        });
+      });
+
+      if (group.tasks.length) groups.push(group);
+    });
+  }
+
+  groups.sort((a, b) => {
+    if (a.subprojectName !== b.subprojectName) {
+      if (a.subprojectName === NO_SUBPROJECT) return 1;
+      if (b.subprojectName === NO_SUBPROJECT) return -1;
+      return a.subprojectName.localeCompare(b.subprojectName);
+    }
+    return a.flowName.localeCompare(b.flowName) || a.tabLabel.localeCompare(b.tabLabel);
+  });
+
+  const groupNameByKey = new Map(groups.map((g) => [g.key, g.tabLabel ? `${g.flowName} / ${g.tabLabel}` : g.flowName]));
+  const flowOf = (taskKey) => groupNameByKey.get(taskKey.slice(0, taskKey.lastIndexOf(":")));
+
+  const mergedCapacities = Object.assign({}, ...flows.map((f) => f.resourceCapacity || {}), capacities);
+  const overloads = [];
+  for (const person of computeResourceLoad(loadTasks, { capacities: mergedCapacities })) {
+    if (!person.overloadedWeeks.length) continue;
+    const weeks = person.overloadedWeeks.map((wk) => {
+      for (const key of wk.tasks) taskByKey.get(key)?.overloadedWeeks.push(wk.weekStart);
+      const flowNames = [...new Set(wk.tasks.map(flowOf))];
+      return {
+        weekStart: wk.weekStart,
+        hours: wk.hours,
+        capacityHours: person.capacityHours,
+        flows: flowNames,
+        crossFlow: flowNames.length > 1,
+      };
+    });
+    overloads.push({ name: person.name, weeks });
+  }
+
+  const allTasks = groups.flatMap((g) => g.tasks);
+  return {
+    groups,
+    start: groups.reduce((min, g) => (!min || g.start < min ? g.start : min), ""),
+    end: groups.reduce((max, g) => (g.end > max ? g.end : max), ""),
+    overloads,
+    counts: {
+      flows: new Set(groups.map((g) => g.flowId)).size,
+      tasks: allTasks.length,
+      milestones: allTasks.filter((t) => t.isMilestone).length,
+      overdue: allTasks.filter((t) => t.isOverdue).length,
+      overloaded: allTasks.filter((t) => t.overloadedWeeks.length).length,
+    },
+  };
+}
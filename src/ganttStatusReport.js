@@ -0,0 +1,248 @@
+/**
+ * Weekly status report
+ *
+ * Reads the resolved schedule (the same dates the chart draws) and
+ * summarizes it for a status update: recent completions, work in progress,
+ * overdue tasks, upcoming milestones, risk flags and how the critical path
+ * moved against the active baseline. buildStatusReport returns plain data;
+ * the formatters turn it into Markdown (for comments and chat) or a
+ * standalone HTML page.
+ */
+
+import {
+  resolveGanttSchedule,
+  computeCriticalPath,
+  computeRiskFlags,
+  computeSectionRollups,
+  getTaskProgress,
+  shiftIsoDate,
+  dateToMs,
+} from "./ganttUtils";
+
+const DAY_MS = 86400000;
+const MILESTONE_LIMIT = 8;
+
+function dayPart(value) {
+  return String(value || "").split(" ")[0];
+}
+
+function daysBetween(fromIso, toIso) {
+  const a = dateToMs(dayPart(fromIso));
+  const b = dateToMs(dayPart(toIso));
+  return a !== null && b !== null ? Math.round((b - a) / DAY_MS) : null;
+}
+
+function criticalLabels(tasks) {
+  const { criticalSet } = computeCriticalPath(tasks);
+  return tasks.filter((t) => criticalSet.has(t.idToken || t.label || "")).map((t) => t.label);
+}
+
+function projectEnd(tasks) {
+  return tasks.reduce((max, t) => (dayPart(t.computedEnd) > max ? dayPart(t.computedEnd) : max), "");
+}
+
+/**
+ * Build the report data for a gantt.
+ *
+ * Options: `days` (look-back window for completions, default 7), `asOf`
+ * (ISO date, default today), `baselineCode` (enables the critical-path
+ * comparison), `externalTasks` (resolved `%% blockedBy:` tasks keyed like
+ * the chart's, for upstream-slip risks) and `title`.
+ */
+export function buildStatusReport(code, { days = 7, asOf = new Date().toISOString().slice(0, 10), baselineCode = "", externalTasks = {}, title = "" } = {}) {
+  const { tasks: scheduled } = resolveGanttSchedule(code);
+  const tasks = scheduled
+    .filter((t) => !t.isVertMarker)
+    .map((t) => (t.blockedBy?.length ? { ...t, blockedBy: t.blockedBy.map((b) => externalTasks[b.key] || b) } : t));
+  const since = shiftIsoDate(asOf, -days);
+
+  const row = (t) => ({
+    label: t.label,
+    section: t.section || "",
+    assignee: t.assignee || "",
+    start: dayPart(t.startDate),
+    end: dayPart(t.computedEnd || t.startDate),
+    progress: getTaskProgress(t),
+  });
+  const isDone = (t) => t.statusTokens.includes("done") || t.progress === 100;
+
+  const completed = tasks
+    .filter((t) => isDone(t) && !t.isMilestone && dayPart(t.computedEnd) >= since && dayPart(t.computedEnd) <= asOf)
+    .map(row);
+  const inProgress = tasks
+    .filter((t) => !isDone(t) && !t.isMilestone && (t.statusTokens.includes("active") || (dayPart(t.startDate) <= asOf && dayPart(t.computedEnd) > asOf)))
+    .map(row);
+  const overdue = tasks
+    .filter((t) => !isDone(t) && dayPart(t.isMilestone ? t.startDate : t.computedEnd) && dayPart(t.isMilestone ? t.startDate : t.computedEnd) < asOf)
+    .map((t) => ({ ...row(t), daysLate: daysBetween(t.isMilestone ? t.startDate : t.computedEnd, asOf) }));
+  const milestones = tasks
+    .filter((t) => t.isMilestone && !isDone(t) && dayPart(t.startDate) >= asOf)
+    .sort((a, b) => dayPart(a.startDate).localeCompare(dayPart(b.startDate)))
+    .slice(0, MILESTONE_LIMIT)
+    .map((t) => ({ ...row(t), daysAway: daysBetween(asOf, t.startDate) }));
+
+  const riskFlags = computeRiskFlags(tasks);
+  const risks = Object.entries(riskFlags).map(([label, entry]) => ({ label, reasons: entry.reasons }));
+
+  const currentCritical = criticalLabels(tasks);
+  let critical = { current: currentCritical, hasBaseline: false, added: [], removed: [], baselineEnd: "", currentEnd: projectEnd(tasks), endSlip: null };
+  if (baselineCode) {
+    const baselineTasks = resolveGanttSchedule(baselineCode).tasks.filter((t) => !t.isVertMarker);
+    const baselineCritical = criticalLabels(baselineTasks);
+    const before = new Set(baselineCritical.map((l) => l.toLowerCase()));
+    const after = new Set(currentCritical.map((l) => l.toLowerCase()));
+    const baselineEnd = projectEnd(baselineTasks);
+    critical = {
+      ...critical,
+      hasBaseline: true,
+      added: currentCritical.filter((l) => !before.has(l.toLowerCase())),
+      removed: baselineCritical.filter((l) => !after.has(l.toLowerCase())),
+      baselineEnd,
+      endSlip: baselineEnd && critical.currentEnd ? daysBetween(baselineEnd, critical.currentEnd) : null,
+    };
+  }
+
+  const overall = Object.values(computeSectionRollups(tasks.map((t) => ({ ...t, section: "" }))))[0] || null;
+
+  return {
+    title,
+    asOf,
+    since,
+    days,
+    summary: {
+      taskCount: overall?.taskCount || 0,
+      doneCount: overall?.doneCount || 0,
+      progress: overall?.progress || 0,
+    },
+    completed,
+    inProgress,
+    overdue,
+    milestones,
+    risks,
+    critical,
+  };
+}
+
+/* ── Formatters ────────────────────────────────────────── */
+
+function formatDay(iso) {
+  if (!iso) return "";
+  return new Date(iso + "T00:00:00Z").toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+}
+
+function formatSlip(days) {
+  if (days === null) return "";
+  if (days === 0) return "on baseline";
+  return days > 0 ? `${days}d later than baseline` : `${-days}d earlier than baseline`;
+}
+
+function withAssignee(item) {
+  return item.assignee ? ` (${item.assignee})` : "";
+}
+
+// Every section as { heading, items: [text], empty }, shared by both formats
+function reportSections(report) {
+  const { critical } = report;
+  const criticalItems = [];
+  if (critical.hasBaseline) {
+    criticalItems.push(`Finish ${formatDay(critical.currentEnd)}, ${formatSlip(critical.endSlip)}`);
+    for (const label of critical.added) criticalItems.push(`Now critical: ${label}`);
+    for (const label of critical.removed) criticalItems.push(`No longer critical: ${label}`);
+    if (!critical.added.length && !critical.removed.length) criticalItems.push("Critical path unchanged");
+  } else {
+    criticalItems.push(`Finish ${formatDay(critical.currentEnd)}`);
+    if (critical.current.length) criticalItems.push(`Critical path: ${critical.current.join(" → ")}`);
+  }
+
+  return [
+    {
+      heading: `Completed in the last ${report.days} days`,
+      items: report.completed.map((t) => `${t.label}${withAssignee(t)}, finished ${formatDay(t.end)}`),
+      empty: "Nothing finished in this window.",
+    },
+    {
+      heading: "In progress",
+      items: report.inProgress.map((t) => `${t.label}${withAssignee(t)}: ${t.progress}%, due ${formatDay(t.end)}`),
+      empty: "Nothing in progress.",
+    },
+    {
+      heading: "Overdue",
+      items: report.overdue.map((t) => `${t.label}${withAssignee(t)}: due ${formatDay(t.end)}, ${t.daysLate}d late`),
+      empty: "Nothing overdue.",
+    },
+    {
+      heading: "Upcoming milestones",
+      items: report.milestones.map((t) => `${t.label}: ${formatDay(t.start)} (${t.daysAway === 0 ? "today" : `in ${t.daysAway}d`})`),
+      empty: "No upcoming milestones.",
+    },
+    {
+      heading: "Risks",
+      items: report.risks.flatMap((r) => r.reasons.map((reason) => `${r.label}: ${reason}`)),
+      empty: "No risk flags.",
+    },
+    {
+      heading: critical.hasBaseline ? "Critical path vs. baseline" : "Critical path",
+      items: criticalItems,
+      empty: "",
+    },
+  ];
+}
+
+function summaryLine(report) {
+  const { summary } = report;
+  return `${summary.progress}% complete · ${summary.doneCount}/${summary.taskCount} tasks done`;
+}
+
+export function formatStatusReportMarkdown(report) {
+  const lines = [`# ${report.title ? `${report.title}: ` : ""}Status report, ${formatDay(report.asOf)}`, "", `**${summaryLine(report)}**`];
+  for (const section of reportSections(report)) {
+    lines.push("", `## ${section.heading}`, "");
+    if (section.items.length) {
+      for (const item of section.items) lines.push(`- ${item}`);
+    } else {
+      lines.push(`_${section.empty}_`);
+    }
+  }
+  return lines.join("\n") + "\n";
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+export function formatStatusReportHtml(report) {
+  const heading = `${report.title ? `${report.title}: ` : ""}Status report, ${formatDay(report.asOf)}`;
+  const body = reportSections(report)
+    .map((section) => {
+      const content = section.items.length
+        ? `<ul>${section.items.map((item) => `<li>${escapeHtml(item)}</li>`).join("")}</ul>`
+        : `<p class="empty">${escapeHtml(section.empty)}</p>`;
+      return `<h2>${escapeHtml(section.heading)}</h2>${content}`;
+    })
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(heading)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #1a1d26; max-width: 760px; margin: 32px auto; padding: 0 16px; line-height: 1.5; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 16px; margin: 24px 0 6px; border-bottom: 1px solid #e0e3e9; padding-bottom: 4px; }
+  ul { margin: 0; padding-left: 20px; }
+  .summary { color: #5a5f72; font-weight: 600; }
+  .empty { color: #8e93a4; font-style: italic; margin: 0; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(heading)}</h1>
+<p class="summary">${escapeHtml(summaryLine(report))}</p>
+${body}
+</body>
+</html>
+`;
+}
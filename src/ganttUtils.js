@@ -93,6 +93,67 @@ function durationToDays(token, subDay = false) {
   return ms !== null ? ms / DAY_MS : null;
 }
 
+// "3d/5d/10d" → optimistic/likely/pessimistic durations in ms (must be ordered)
+function parseEstimate(value, subDay = false) {
+  const parts = String(value || "").split("/").map((p) => p.trim());
+  if (parts.length !== 3) return null;
+  const [optimisticMs, likelyMs, pessimisticMs] = parts.map((p) => (isDuration(p, subDay) ? durationToMs(p, subDay) : null));
+  if (optimisticMs === null || likelyMs === null || pessimisticMs === null) return null;
+  if (optimisticMs > likelyMs || likelyMs > pessimisticMs) return null;
+  return { optimisticMs, likelyMs, pessimisticMs, raw: parts.join("/") };
+}
+
+// "design SS+2d, build FF-1d" → [{ ref, type, lag, lagMs }]; type defaults to FS, lag to 0
+function parseTypedDeps(value, subDay = false) {
+  const deps = [];
+  for (const entry of String(value || "").split(",")) {
+    const [ref, ...rest] = entry.trim().split(/\s+/);
+    if (!ref) continue;
+    const m = rest.join("").match(/^(FS|SS|FF|SF)?(?:([+-])(\w+))?$/i);
+    if (!m) continue;
+    let lagMs = 0;
+    if (m[3]) {
+      if (!isDuration(m[3], subDay)) continue;
+      lagMs = durationToMs(m[3], subDay) * (m[2] === "-" ? -1 : 1);
+    }
+    deps.push({ ref, type: (m[1] || "FS").toUpperCase(), lag: m[3] ? m[2] + m[3] : "", lagMs });
+  }
+  return deps;
+}
+
+// "flow/abc123#api, flow/xyz#Launch" → [{ flowId, ref, key }]; key is "flowId#ref" lowercased
+function parseBlockedBy(value) {
+  const refs = [];
+  for (const entry of String(value || "").split(",")) {
+    const m = entry.trim().match(/^flow\/([^#\s]+)#(.+)$/i);
+    if (m) refs.push({ flowId: m[1], ref: m[2].trim(), key: `${m[1]}#${m[2].trim()}`.toLowerCase() });
+  }
+  return refs;
+}
+
+const MAX_OCCURRENCES = 500;
+
+// "every 2w x6" / "every 1w until 2026-06-30" → { intervalMs, count, until, raw }; count includes the first
+function parseRecurrence(value, subDay = false) {
+  const raw = String(value || "").trim().replace(/\s+/g, " ");
+  const m = raw.match(/^every (\S+) (?:x ?(\d+)|until (\d{4}-\d{2}-\d{2}(?: \d{2}:\d{2})?))$/i);
+  if (!m || !isDuration(m[1], subDay)) return null;
+  const intervalMs = durationToMs(m[1], subDay);
+  const count = m[2] ? Math.min(parseInt(m[2], 10), MAX_OCCURRENCES) : null;
+  if (!intervalMs || count === 0 || (m[3] && dateToMs(m[3]) === null)) return null;
+  return { intervalMs, count, until: m[3] || "", raw };
+}
+
+// "3 skip" / "3 2026-03-06" / "3 2026-03-06 2d" / "3 2d" → [occurrence, { skip, startDate, duration }]
+function parseRecurrenceOverride(value, subDay = false) {
+  const m = String(value || "").trim().match(/^(\d+)\s+(?:(skip)|(\d{4}-\d{2}-\d{2}(?: \d{2}:\d{2})?)?\s*(\S+)?)$/i);
+  if (!m) return null;
+  if (m[2]) return [Number(m[1]), { skip: true, startDate: "", duration: "" }];
+  if (m[4] && !isDuration(m[4], subDay)) return null;
+  if (!m[3] && !m[4]) return null;
+  return [Number(m[1]), { skip: false, startDate: m[3] || "", duration: m[4] || "" }];
+}
+
 function findMetadataEndIndex(lines, taskLineIndex) {
   let endIndex = taskLineIndex;
   for (let i = taskLineIndex + 1; i < lines.length; i++) {
@@ -131,6 +192,7 @@ export function parseGanttDirectives(code) {
     excludes: [],
     displayMode: "",
     weekend: "",
+    calendars: parseGanttCalendars(code),
   };
 
   const lines = code.split("\n");
@@ -183,7 +245,28 @@ export function isExcludedDate(isoDate, excludes, weekend) {
   return false;
 }
 
-export function addWorkingDays(startIso, workingDays, excludes, weekend) {
+/**
+ * Exclusive end date after `workingDays` working days from `startIso`.
+ * With `offDays` (from getAssigneeOffDays) each day only contributes what is
+ * left after holidays and time off, so a half day counts 0.5 and a week of
+ * leave pushes the end out by a week.
+ */
+export function addWorkingDays(startIso, workingDays, excludes, weekend, offDays = null) {
+  if (offDays) {
+    const datePart = startIso.split(" ")[0];
+    const capacity = (iso) => (isExcludedDate(iso, excludes, weekend) ? 0 : 1 - (offDays[iso] || 0));
+    let current = datePart;
+    let remaining = workingDays;
+    for (let guard = 0; guard < 3660; guard++) {
+      remaining -= capacity(current);
+      if (remaining <= 1e-9) break;
+      current = shiftIsoDate(current, 1);
+    }
+    // Like the excludes path, the end lands on the next day with working time
+    current = shiftIsoDate(current, 1);
+    for (let guard = 0; guard < 366 && capacity(current) <= 0; guard++) current = shiftIsoDate(current, 1);
+    return current;
+  }
   if (!excludes || !excludes.length) {
     return shiftIsoDate(startIso, workingDays);
   }
@@ -198,6 +281,143 @@ export function addWorkingDays(startIso, workingDays, excludes, weekend) {
   return current;
 }
 
+// Move a date by whole working days (negative goes back), keeping any time part
+export function shiftWorkingDays(isoDate, days, excludes, weekend, offDays = null) {
+  const [datePart, timePart] = isoDate.split(" ");
+  const isOff = (iso) => isExcludedDate(iso, excludes, weekend) || (offDays?.[iso] || 0) >= 1;
+  const step = days < 0 ? -1 : 1;
+  let current = datePart;
+  let remaining = Math.abs(days);
+  for (let guard = 0; remaining > 0 && guard < 3660; guard++) {
+    current = shiftIsoDate(current, step);
+    if (!isOff(current)) remaining--;
+  }
+  return timePart ? `${current} ${timePart}` : current;
+}
+
+/* ── Working calendars ────────────────────────────────── */
+
+// Chart-level comments, kept in the header so plain Mermaid ignores them:
+//   %% holidays uk: 2026-12-25, 2026-12-28..2026-12-29, 2026-12-24 half
+//   %% calendar *: uk            (default for every assignee)
+//   %% calendar Sam: us
+//   %% timeoff Sam: 2026-03-02..2026-03-06, 2026-03-13 half
+const CALENDAR_LINE = /^%%\s*(holidays|calendar|timeoff)\s+([^:]+?)\s*:\s*(.*)$/i;
+const MAX_RANGE_DAYS = 366;
+
+// "2026-03-02..2026-03-06, 2026-03-13 half" → { "2026-03-02": 1, …, "2026-03-13": 0.5 }
+export function parseDayList(raw) {
+  const days = {};
+  for (const entry of String(raw || "").split(",")) {
+    const m = entry.trim().match(/^(\d{4}-\d{2}-\d{2})(?:\s*\.\.\s*(\d{4}-\d{2}-\d{2}))?(?:\s+(half))?$/i);
+    if (!m) continue;
+    const fraction = m[3] ? 0.5 : 1;
+    let current = m[1];
+    const last = m[2] && m[2] > m[1] ? m[2] : m[1];
+    for (let i = 0; i < MAX_RANGE_DAYS; i++) {
+      days[current] = Math.min(1, (days[current] || 0) + fraction);
+      if (current === last) break;
+      current = shiftIsoDate(current, 1);
+    }
+  }
+  return days;
+}
+
+export function parseGanttCalendars(code) {
+  const calendars = { holidays: [], assignments: [], timeOff: [] };
+  for (const line of code.split("\n")) {
+    const m = line.trim().match(CALENDAR_LINE);
+    if (!m) continue;
+    const kind = m[1].toLowerCase();
+    const name = m[2].trim();
+    const raw = m[3].trim();
+    if (kind === "holidays") calendars.holidays.push({ name, raw, days: parseDayList(raw) });
+    else if (kind === "calendar") calendars.assignments.push({ assignee: name, calendar: raw });
+    else calendars.timeOff.push({ assignee: name, raw, days: parseDayList(raw) });
+  }
+  return calendars;
+}
+
+export function hasWorkingCalendars(calendars) {
+  return Boolean(calendars && (calendars.holidays.length || calendars.timeOff.length));
+}
+
+const offDaysCache = new WeakMap();
+
+/**
+ * Merged non-working fractions ({ iso: 0..1 }) for a task's assignee(s), or
+ * null when nobody on the task has holidays or time off. Several assignees on
+ * one task block a day if any of them is away (max of their fractions).
+ */
+export function getAssigneeOffDays(directives, assignee) {
+  const calendars = directives?.calendars;
+  if (!hasWorkingCalendars(calendars)) return null;
+  let cache = offDaysCache.get(calendars);
+  if (!cache) {
+    cache = new Map();
+    offDaysCache.set(calendars, cache);
+  }
+  const key = String(assignee || "").trim().toLowerCase();
+  if (cache.has(key)) return cache.get(key);
+
+  const holidaysByName = new Map(calendars.holidays.map((h) => [h.name.toLowerCase(), h.days]));
+  const calendarFor = (name) => {
+    const own = calendars.assignments.find((a) => a.assignee.toLowerCase() === name);
+    const fallback = calendars.assignments.find((a) => a.assignee === "*");
+    const calendarName = (own || fallback)?.calendar.toLowerCase() || "";
+    return holidaysByName.get(calendarName) || null;
+  };
+  const people = key ? key.split(",").map((n) => n.trim()).filter(Boolean) : [""];
+  let merged = null;
+  for (const person of people) {
+    const personal = {};
+    const holidays = calendarFor(person);
+    if (holidays) Object.assign(personal, holidays);
+    for (const entry of calendars.timeOff) {
+      if (entry.assignee.toLowerCase() !== person) continue;
+      for (const [iso, fraction] of Object.entries(entry.days)) {
+        personal[iso] = Math.min(1, (personal[iso] || 0) + fraction);
+      }
+    }
+    for (const [iso, fraction] of Object.entries(personal)) {
+      merged = merged || {};
+      merged[iso] = Math.max(merged[iso] || 0, fraction);
+    }
+  }
+  cache.set(key, merged);
+  return merged;
+}
+
+// Day-mode end date for a task started at `startIso`, honouring excludes and
+// the assignee's calendar. Null when neither applies (plain calendar days).
+export function computeWorkingEnd(task, startIso, directives, subDay = false) {
+  if (!directives || subDay || !startIso || !task.durationDays || task.endDate) return null;
+  const offDays = getAssigneeOffDays(directives, task.assignee);
+  if (!offDays && !directives.excludes.length) return null;
+  return addWorkingDays(startIso, task.durationDays, directives.excludes, directives.weekend, offDays);
+}
+
+/**
+ * Rewrite every calendar comment from a { holidays, assignments, timeOff }
+ * model (raw strings only). The block goes right after the chart directives.
+ */
+export function updateGanttCalendars(code, calendars) {
+  const lines = code.split("\n").filter((line) => !CALENDAR_LINE.test(line.trim()));
+  const block = [
+    ...calendars.holidays.filter((h) => h.name && h.raw).map((h) => `    %% holidays ${h.name}: ${h.raw}`),
+    ...calendars.assignments.filter((a) => a.assignee && a.calendar).map((a) => `    %% calendar ${a.assignee}: ${a.calendar}`),
+    ...calendars.timeOff.filter((t) => t.assignee && t.raw).map((t) => `    %% timeoff ${t.assignee}: ${t.raw}`),
+  ];
+  let insertAt = 0;
+  for (let i = 0; i < lines.length; i++) {
+    const trimmed = lines[i].trim();
+    if (!isDirectiveLine(trimmed)) break;
+    if (trimmed) insertAt = i + 1;
+  }
+  lines.splice(insertAt, 0, ...block);
+  return lines.join("\n");
+}
+
 /* ── Task parser ──────────────────────────────────────── */
 
 export function parseGanttTasks(code, dateFormat = "YYYY-MM-DD") {
@@ -205,11 +425,19 @@ export function parseGanttTasks(code, dateFormat = "YYYY-MM-DD") {
   const lines = code.split("\n");
   const tasks = [];
   let currentSection = "";
+  let sectionRecurrence = null;
 
   lines.forEach((rawLine, lineIndex) => {
     const trimmed = rawLine.trim();
     if (trimmed.startsWith("section ")) {
       currentSection = trimmed.slice("section ".length).trim();
+      // `%% repeat:` directly under the header repeats the whole section
+      sectionRecurrence = null;
+      for (let i = lineIndex + 1; i < lines.length && lines[i].trim().startsWith("%%"); i++) {
+        const rMatch = lines[i].trim().match(/^%%\s*repeat:\s*(.+)$/i);
+        const parsed = rMatch ? parseRecurrence(rMatch[1], subDay) : null;
+        if (parsed) sectionRecurrence = { ...parsed, line: i, scope: "section" };
+      }
       return;
     }
     if (isDirectiveLine(trimmed)) return;
@@ -334,11 +562,17 @@ export function parseGanttTasks(code, dateFormat = "YYYY-MM-DD") {
       }
     }
 
-    // Check subsequent lines for metadata comments (assignee, notes, link, progress)
+    // Check subsequent lines for metadata comments (assignee, notes, link, progress, allocation, estimate, dep, blockedBy, repeat)
     let assignee = "";
     let notes = "";
     let link = "";
     let progress = null;
+    let allocation = null;
+    let estimate = null;
+    const typedDeps = [];
+    const blockedBy = [];
+    let recurrence = sectionRecurrence;
+    const recurrenceOverrides = {};
     let metaIdx = lineIndex + 1;
     while (metaIdx < lines.length) {
       const metaLine = lines[metaIdx].trim();
@@ -351,6 +585,20 @@ export function parseGanttTasks(code, dateFormat = "YYYY-MM-DD") {
       if (lMatch) link = lMatch[1].trim();
       const pMatch = metaLine.match(/^%%\s*progress:\s*(\d+)$/i);
       if (pMatch) { const val = parseInt(pMatch[1], 10); if (val >= 0 && val <= 100) progress = val; }
+      const alMatch = metaLine.match(/^%%\s*allocation:\s*(\d+(?:\.\d+)?)\s*%?$/i);
+      if (alMatch) { const val = parseFloat(alMatch[1]); if (val > 0 && val <= 100) allocation = val; }
+      const eMatch = metaLine.match(/^%%\s*estimate:\s*(.+)$/i);
+      if (eMatch) estimate = parseEstimate(eMatch[1], subDay);
+      const dMatch = metaLine.match(/^%%\s*dep:\s*(.+)$/i);
+      if (dMatch) typedDeps.push(...parseTypedDeps(dMatch[1], subDay));
+      const bMatch = metaLine.match(/^%%\s*blockedBy:\s*(.+)$/i);
+      if (bMatch) blockedBy.push(...parseBlockedBy(bMatch[1]));
+      const rMatch = metaLine.match(/^%%\s*repeat:\s*(.+)$/i);
+      const parsedRecurrence = rMatch ? parseRecurrence(rMatch[1], subDay) : null;
+      if (parsedRecurrence) recurrence = { ...parsedRecurrence, line: metaIdx, scope: "task" };
+      const roMatch = metaLine.match(/^%%\s*repeat-override:\s*(.+)$/i);
+      const parsedOverride = roMatch ? parseRecurrenceOverride(roMatch[1], subDay) : null;
+      if (parsedOverride) recurrenceOverrides[parsedOverride[0]] = parsedOverride[1];
       metaIdx++;
     }
 
@@ -377,21 +625,183 @@ export function parseGanttTasks(code, dateFormat = "YYYY-MM-DD") {
       notes,
       link,
       progress,
+      allocation,
+      estimate,
       isMilestone,
       isVertMarker,
       afterDeps,
       afterTokenIndex,
+      typedDeps,
+      blockedBy,
       untilDep,
       untilTokenIndex,
+      recurrence: isVertMarker ? null : recurrence,
+      recurrenceOverrides,
     });
   });
 
-  return tasks;
+  return expandRecurrences(tasks, subDay);
+}
+
+/* ── Recurring tasks ──────────────────────────────────── */
+
+function buildOccurrence(source, n, offsetMs, subDay) {
+  const override = source.recurrenceOverrides[n] || null;
+  if (override?.skip) return null;
+  const shift = (iso) => (iso && dateToMs(iso) !== null ? msToDateStr(dateToMs(iso) + offsetMs, subDay) : "");
+  const occurrence = {
+    ...source,
+    label: `${source.label} (${n})`,
+    idToken: source.idToken ? `${source.idToken}-${n}` : "",
+    // Progress belongs to the first run; later runs only keep `crit`
+    statusTokens: source.statusTokens.filter((t) => t === "crit"),
+    progress: null,
+    startDate: override?.startDate || shift(source.startDate),
+    endDate: override?.startDate || override?.duration ? "" : shift(source.endDate),
+    afterDeps: [],
+    afterTokenIndex: -1,
+    typedDeps: [],
+    blockedBy: [],
+    untilDep: "",
+    untilTokenIndex: -1,
+    recurrence: null,
+    recurrenceOverrides: {},
+    isOccurrence: true,
+    occurrence: n,
+    occurrenceOf: source.lineIndex,
+    occurrenceOffsetMs: offsetMs,
+    override,
+  };
+  occurrence.hasExplicitDate = Boolean(occurrence.startDate);
+  if (override?.duration) {
+    occurrence.durationToken = override.duration;
+    occurrence.durationMs = durationToMs(override.duration, subDay);
+    occurrence.durationDays = occurrence.durationMs / DAY_MS;
+  }
+  return occurrence;
+}
+
+/**
+ * Expand `%% repeat:` into virtual occurrences labelled "Label (2)", "Label (3)", …
+ * A task-level repeat places occurrences right after the task; a section-level
+ * repeat appends copies of the whole section, one cadence at a time. Occurrences
+ * are edited through their source line (see findTaskByLabel), except for
+ * per-occurrence `%% repeat-override:` lines written by updateGanttOccurrence.
+ */
+function expandRecurrences(tasks, subDay) {
+  if (!tasks.some((t) => t.recurrence)) return tasks;
+
+  const occurrenceCount = (task, anchorIso) => {
+    const { count, until, intervalMs } = task.recurrence;
+    if (count) return count;
+    const anchorMs = anchorIso ? dateToMs(anchorIso) : null;
+    if (anchorMs === null) return 1; // `until` needs a dated task to count from
+    return Math.min(MAX_OCCURRENCES, Math.floor((dateToMs(until) - anchorMs) / intervalMs) + 1);
+  };
+
+  const expanded = [];
+  for (let i = 0; i < tasks.length; i++) {
+    const task = tasks[i];
+    expanded.push(task);
+    if (!task.recurrence) continue;
+
+    if (task.recurrence.scope === "task") {
+      const total = occurrenceCount(task, task.startDate);
+      for (let n = 2; n <= total; n++) {
+        const occurrence = buildOccurrence(task, n, (n - 1) * task.recurrence.intervalMs, subDay);
+        if (occurrence) expanded.push(occurrence);
+      }
+      continue;
+    }
+
+    // Section repeat: emit once, after the section's last task
+    const next = tasks[i + 1];
+    if (next && next.recurrence?.line === task.recurrence.line) continue;
+    const block = tasks.filter((t) => t.recurrence?.line === task.recurrence.line);
+    const anchor = block.map((t) => t.startDate).filter(Boolean).sort()[0] || "";
+    const total = occurrenceCount(task, anchor);
+    for (let n = 2; n <= total; n++) {
+      for (const source of block) {
+        const occurrence = buildOccurrence(source, n, (n - 1) * task.recurrence.intervalMs, subDay);
+        if (occurrence) expanded.push(occurrence);
+      }
+    }
+  }
+  return expanded;
+}
+
+/* ── Typed dependencies ───────────────────────────────── */
+
+/**
+ * All predecessors of a task as typed links { ref, type, lag, lagMs }.
+ * `after X` is finish-to-start with no lag; a `%% dep: X SS+2d` entry for the
+ * same ref replaces it, so `after X` can stay on the task line as the
+ * plain-Mermaid fallback.
+ */
+export function getTaskDependencies(task) {
+  const typed = task.typedDeps || [];
+  const typedRefs = new Set(typed.map((d) => d.ref.toLowerCase()));
+  const plain = (task.afterDeps || [])
+    .filter((ref) => !typedRefs.has(ref.toLowerCase()))
+    .map((ref) => ({ ref, type: "FS", lag: "", lagMs: 0 }));
+  return [...plain, ...typed];
+}
+
+export function formatTypedDeps(deps) {
+  return (deps || []).map((d) => `${d.ref} ${d.type}${d.lag}`).join(", ");
+}
+
+// Earliest start a link allows, from the predecessor's start/end and the task's own duration
+function dependencyStartMs(link, predStartMs, predEndMs, durationMs) {
+  if (link.type === "SS") return predStartMs + link.lagMs;
+  if (link.type === "FF") return predEndMs + link.lagMs - durationMs;
+  if (link.type === "SF") return predStartMs + link.lagMs - durationMs;
+  return predEndMs + link.lagMs;
+}
+
+// Latest finish a link allows the predecessor, from the successor's latest start/finish
+function dependencyFinishLimitMs(link, succStartMs, succFinishMs, durationMs) {
+  if (link.type === "SS") return succStartMs - link.lagMs + durationMs;
+  if (link.type === "FF") return succFinishMs - link.lagMs;
+  if (link.type === "SF") return succFinishMs - link.lagMs + durationMs;
+  return succStartMs - link.lagMs;
+}
+
+/* ── Cross-flow dependencies ──────────────────────────── */
+
+/** Flow ids referenced by `%% blockedBy: flow/<flowId>#task` across a task list. */
+export function getBlockedByFlowIds(tasks) {
+  const ids = new Set();
+  for (const t of tasks) {
+    for (const b of t.blockedBy || []) ids.add(b.flowId);
+  }
+  return [...ids];
+}
+
+/**
+ * Schedule another flow's gantt code and look up one task by id or label.
+ * Returns { label, startDate, computedEnd, isDone, progress } or null when
+ * the code has no such task.
+ */
+export function resolveExternalTask(code, ref) {
+  const key = String(ref || "").trim().toLowerCase();
+  const candidates = resolveGanttSchedule(code).tasks.filter((t) => !t.isVertMarker);
+  const task =
+    candidates.find((t) => t.idToken && t.idToken.toLowerCase() === key) ||
+    candidates.find((t) => t.label.toLowerCase() === key);
+  if (!task) return null;
+  return {
+    label: task.label,
+    startDate: task.startDate,
+    computedEnd: task.computedEnd,
+    isDone: task.statusTokens.includes("done"),
+    progress: getTaskProgress(task),
+  };
 }
 
 /* ── Dependency resolver ──────────────────────────────── */
 
-export function resolveDependencies(tasks, subDay = false) {
+export function resolveDependencies(tasks, subDay = false, directives = null) {
   // Build lookup maps
   const byId = new Map();
   const byLabel = new Map();
@@ -408,6 +818,8 @@ export function resolveDependencies(tasks, subDay = false) {
     if (task.resolvedEndDate) return dateToMs(task.resolvedEndDate);
     if (task.endDate) return dateToMs(task.endDate);
     const start = task.resolvedStartDate || task.startDate;
+    const workingEnd = computeWorkingEnd(task, start, directives, subDay);
+    if (workingEnd) return dateToMs(workingEnd);
     if (start && task.durationMs) {
       const sMs = dateToMs(start);
       return sMs !== null ? sMs + task.durationMs : null;
@@ -428,7 +840,19 @@ export function resolveDependencies(tasks, subDay = false) {
 
   const toIso = (ms) => msToDateStr(ms, subDay);
 
-  // Iterative resolution for "after" dependencies (handles chains)
+  // End for a freshly resolved start; working days when a calendar applies
+  const setResolvedEnd = (task, startMs) => {
+    const workingEnd = computeWorkingEnd(task, toIso(startMs), directives, subDay);
+    if (workingEnd) {
+      task.resolvedEndDate = workingEnd;
+    } else if (task.durationMs) {
+      task.resolvedEndDate = toIso(startMs + task.durationMs);
+    } else if (task.durationDays) {
+      task.resolvedEndDate = toIso(startMs + task.durationDays * DAY_MS);
+    }
+  };
+
+  // Iterative resolution for "after" and typed dependencies (handles chains)
   let changed = true;
   let iterations = 0;
   const maxIterations = tasks.length + 1;
@@ -438,27 +862,27 @@ export function resolveDependencies(tasks, subDay = false) {
     iterations++;
 
     for (const task of tasks) {
-      if (task.afterDeps.length === 0) continue;
+      const links = getTaskDependencies(task);
+      if (links.length === 0) continue;
       if (task.startDate && task.hasExplicitDate) continue;
 
-      let latestEndMs = null;
-      for (const depId of task.afterDeps) {
-        const dep = byId.get(depId.toLowerCase()) || byLabel.get(depId.toLowerCase());
+      const durationMs = task.durationMs || (task.durationDays || 0) * DAY_MS;
+      let latestStartMs = null;
+      for (const link of links) {
+        const dep = byId.get(link.ref.toLowerCase()) || byLabel.get(link.ref.toLowerCase());
         if (!dep) continue;
         const endMs = getEndMs(dep);
         if (endMs === null) continue;
-        if (latestEndMs === null || endMs > latestEndMs) latestEndMs = endMs;
+        const startMs = getStartMs(dep) ?? endMs;
+        const candidate = dependencyStartMs(link, startMs, endMs, durationMs);
+        if (latestStartMs === null || candidate > latestStartMs) latestStartMs = candidate;
       }
 
-      if (latestEndMs !== null) {
-        const resolvedStart = toIso(latestEndMs);
+      if (latestStartMs !== null) {
+        const resolvedStart = toIso(latestStartMs);
         if (task.resolvedStartDate !== resolvedStart) {
           task.resolvedStartDate = resolvedStart;
-          if (task.durationMs) {
-            task.resolvedEndDate = toIso(latestEndMs + task.durationMs);
-          } else if (task.durationDays) {
-            task.resolvedEndDate = toIso(latestEndMs + task.durationDays * DAY_MS);
-          }
+          setResolvedEnd(task, latestStartMs);
           changed = true;
         }
       }
@@ -483,26 +907,67 @@ export function resolveDependencies(tasks, subDay = false) {
     }
   }
 
-  // Sequential default: tasks without dates or deps inherit end of previous task
+  // Sequential default: tasks without dates or deps inherit end of previous task.
+  // Recurring occurrences neither chain nor break the chain.
   let prevEndMs = null;
   for (const task of tasks) {
+    if (task.isOccurrence) continue;
     const hasStart = task.startDate || task.resolvedStartDate;
     if (!hasStart && task.afterDeps.length === 0 && prevEndMs !== null) {
       task.resolvedStartDate = toIso(prevEndMs);
-      if (task.durationMs) {
-        task.resolvedEndDate = toIso(prevEndMs + task.durationMs);
-      } else if (task.durationDays) {
-        task.resolvedEndDate = toIso(prevEndMs + task.durationDays * DAY_MS);
-      }
+      setResolvedEnd(task, prevEndMs);
     }
     // Update prevEndMs for sequential chaining
     const endMs = getEndMs(task);
     if (endMs !== null) prevEndMs = endMs;
   }
 
+  // Undated occurrences follow their source's resolved start
+  const sourceByLine = new Map(tasks.filter((t) => !t.isOccurrence).map((t) => [t.lineIndex, t]));
+  for (const task of tasks) {
+    if (!task.isOccurrence || task.startDate) continue;
+    const source = sourceByLine.get(task.occurrenceOf);
+    const sourceStartMs = source ? getStartMs(source) : null;
+    if (sourceStartMs === null) continue;
+    const startMs = sourceStartMs + task.occurrenceOffsetMs;
+    task.resolvedStartDate = toIso(startMs);
+    setResolvedEnd(task, startMs);
+  }
+
+  // Dated tasks keep their start but still stretch over non-working days
+  for (const task of tasks) {
+    if (task.resolvedEndDate || !task.startDate) continue;
+    const workingEnd = computeWorkingEnd(task, task.startDate, directives, subDay);
+    if (workingEnd) task.resolvedEndDate = workingEnd;
+  }
+
   return tasks;
 }
 
+/**
+ * Parse and resolve a whole gantt, giving every task the effective
+ * `startDate` and `computedEnd` the chart draws (working calendars included).
+ *
+ * Returns { directives, subDay, tasks }.
+ */
+export function resolveGanttSchedule(code) {
+  const directives = parseGanttDirectives(code);
+  const subDay = isSubDayFormat(directives.dateFormat);
+  const resolved = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay, directives);
+  const tasks = resolved.map((t) => {
+    const startDate = t.startDate || t.resolvedStartDate || "";
+    let computedEnd = t.endDate || t.resolvedEndDate || "";
+    if (!computedEnd && startDate && (t.durationMs || t.durationDays)) {
+      computedEnd = t.durationMs && subDay
+        ? msToDateStr(dateToMs(startDate) + t.durationMs, true)
+        : computeWorkingEnd(t, startDate, directives, subDay)
+          || msToDateStr(dateToMs(startDate) + t.durationDays * DAY_MS, subDay);
+    }
+    return { ...t, startDate, computedEnd };
+  });
+  return { directives, subDay, tasks };
+}
+
 /* ── Critical Path Method (CPM) ──────────────────────── */
 
 export function computeCriticalPath(tasks) {
@@ -552,17 +1017,22 @@ export function computeCriticalPath(tasks) {
     }
   }
 
-  // Add explicit "after" dependencies
+  // Add explicit "after" and typed dependencies; inferred edges are plain finish-to-start
   let hasExplicitDeps = false;
+  const links = new Map(); // "pred>succ" → { type, lagMs }
+  const finishToStart = { type: "FS", lagMs: 0 };
+  const linkFor = (from, to) => links.get(`${from}>${to}`) || finishToStart;
   for (const t of tasks) {
     const k = taskKey(t);
     if (!k || !byKey.has(k)) continue;
-    for (const dep of t.afterDeps || []) {
-      const depKey = byKey.has(dep.toLowerCase()) ? dep.toLowerCase() : byLabel.get(dep.toLowerCase());
+    for (const link of getTaskDependencies(t)) {
+      const ref = link.ref.toLowerCase();
+      const depKey = byKey.has(ref) ? ref : byLabel.get(ref);
       if (!depKey || !byKey.has(depKey)) continue;
       hasExplicitDeps = true;
       successors.get(depKey).push(k);
       predecessors.get(k).push(depKey);
+      links.set(`${depKey}>${k}`, link);
     }
   }
 
@@ -666,7 +1136,9 @@ export function computeCriticalPath(tasks) {
       let maxPredEF = -Infinity;
       for (const p of preds) {
         const pef = EF.get(p);
-        if (pef !== undefined && pef > maxPredEF) maxPredEF = pef;
+        if (pef === undefined) continue;
+        const allowed = dependencyStartMs(linkFor(p, k), ES.get(p), pef, getDurationMs(t));
+        if (allowed > maxPredEF) maxPredEF = allowed;
       }
       ES.set(k, maxPredEF === -Infinity ? (getStartMs(t) || 0) : maxPredEF);
     }
@@ -706,7 +1178,9 @@ export function computeCriticalPath(tasks) {
       let minSuccLS = Infinity;
       for (const s of succs) {
         const sls = LS.get(s);
-        if (sls !== undefined && sls < minSuccLS) minSuccLS = sls;
+        if (sls === undefined) continue;
+        const allowed = dependencyFinishLimitMs(linkFor(k, s), sls, LF.get(s), getDurationMs(t));
+        if (allowed < minSuccLS) minSuccLS = allowed;
       }
       LF.set(k, minSuccLS === Infinity ? projectEnd : minSuccLS);
     }
@@ -760,10 +1234,10 @@ export function detectCycles(tasks) {
     if (t.isVertMarker) continue;
     const key = (t.idToken || t.label || "").toLowerCase();
     if (!key || !graph.has(key)) continue;
-    for (const dep of t.afterDeps || []) {
-      const depKey = byKey.has(dep.toLowerCase())
-        ? dep.toLowerCase()
-        : byLabel.get(dep.toLowerCase());
+    for (const { ref } of getTaskDependencies(t)) {
+      const depKey = byKey.has(ref.toLowerCase())
+        ? ref.toLowerCase()
+        : byLabel.get(ref.toLowerCase());
       if (depKey && graph.has(depKey)) {
         graph.get(depKey).push(key);
       }
@@ -816,16 +1290,21 @@ export function detectConflicts(tasks) {
     if (task.isVertMarker) continue;
     const startMs = toMs(task.startDate || task.resolvedStartDate);
     if (startMs === null) continue;
-    for (const depId of task.afterDeps || []) {
-      const dep = byId.get(depId.toLowerCase()) || byLabel.get(depId.toLowerCase());
+    const endMs = toMs(task.computedEnd || task.endDate || task.resolvedEndDate);
+    const durationMs = endMs !== null ? Math.max(0, endMs - startMs) : task.durationMs || (task.durationDays || 0) * DAY;
+    for (const link of getTaskDependencies(task)) {
+      const dep = byId.get(link.ref.toLowerCase()) || byLabel.get(link.ref.toLowerCase());
       if (!dep) continue;
       const depEndMs = toMs(dep.computedEnd || dep.endDate || dep.resolvedEndDate);
       if (depEndMs === null) continue;
-      if (startMs < depEndMs) {
+      const depStartMs = toMs(dep.startDate || dep.resolvedStartDate) ?? depEndMs;
+      const allowedMs = dependencyStartMs(link, depStartMs, depEndMs, durationMs);
+      if (startMs < allowedMs) {
         conflicts.push({
           taskLabel: task.label,
           depLabel: dep.label,
-          overlapDays: Math.ceil((depEndMs - startMs) / DAY),
+          linkType: link.type + link.lag,
+          overlapDays: Math.ceil((allowedMs - startMs) / DAY),
         });
       }
     }
@@ -838,11 +1317,26 @@ export function detectConflicts(tasks) {
 export function findTaskByLabel(tasks, label) {
   if (!label) return null;
   const clean = label.trim();
-  return (
-    tasks.find((task) => task.label === clean) ||
-    tasks.find((task) => task.label.toLowerCase() === clean.toLowerCase()) ||
-    null
-  );
+  const task =
+    tasks.find((t) => t.label === clean) ||
+    tasks.find((t) => t.label.toLowerCase() === clean.toLowerCase()) ||
+    null;
+  // Recurring occurrences have no line of their own — edits go to the series
+  if (task?.isOccurrence) {
+    return tasks.find((t) => !t.isOccurrence && t.lineIndex === task.occurrenceOf) || null;
+  }
+  return task;
+}
+
+/**
+ * The virtual occurrence with this label, or null when the label belongs to a
+ * real task line. Use it before findTaskByLabel when an edit should only
+ * touch one occurrence.
+ */
+export function findGanttOccurrence(tasks, label) {
+  if (!label) return null;
+  const clean = label.trim().toLowerCase();
+  return tasks.find((t) => t.isOccurrence && t.label.toLowerCase() === clean) || null;
 }
 
 export function updateGanttTask(code, task, updates) {
@@ -880,6 +1374,13 @@ export function updateGanttTask(code, task, updates) {
     }
   }
 
+  // Implicitly sequenced task (no date, no "after"): pin it with a start date
+  // in front of its duration token. Done last so the indices above stay valid.
+  if (updates.startDate && task.dateIndex < 0 && task.afterTokenIndex < 0) {
+    if (task.durationIndex >= 0) nextTokens.splice(task.durationIndex, 0, updates.startDate);
+    else nextTokens.push(updates.startDate);
+  }
+
   lines[task.lineIndex] = `${task.indent}${nextLabel} :${nextTokens.join(", ")}`;
   return lines.join("\n");
 }
@@ -887,7 +1388,8 @@ export function updateGanttTask(code, task, updates) {
 export function autoAdjustGanttDates(code, targetDate, dateFormat = "YYYY-MM-DD") {
   const subDay = isSubDayFormat(dateFormat);
   const tasks = parseGanttTasks(code, dateFormat);
-  const explicit = tasks.filter((t) => t.hasExplicitDate);
+  // Occurrences shift with their source line
+  const explicit = tasks.filter((t) => t.hasExplicitDate && !t.isOccurrence);
   if (explicit.length === 0) return code;
 
   const targetMs = dateToMs(targetDate);
@@ -962,7 +1464,8 @@ export function deleteGanttTask(code, task) {
 }
 
 /**
- * Find all tasks that directly depend on the given task (via "after" references).
+ * Find all tasks that directly depend on the given task (via "after" references
+ * or `%% dep:` links).
  * Matches by both idToken and label.
  */
 export function findDependentTasks(tasks, task) {
@@ -972,7 +1475,7 @@ export function findDependentTasks(tasks, task) {
   if (task.label) keys.add(task.label.toLowerCase());
   return tasks.filter((t) =>
     t !== task &&
-    (t.afterDeps || []).some((dep) => keys.has(dep.toLowerCase()))
+    getTaskDependencies(t).some((dep) => keys.has(dep.ref.toLowerCase()))
   );
 }
 
@@ -1001,7 +1504,7 @@ export function findAllDependentTasks(tasks, task) {
 }
 
 /**
- * Remove all "after" references to the given task from the code.
+ * Remove all "after" and `%% dep:` references to the given task from the code.
  * When a dependent loses all its "after" deps and has no explicit date,
  * replaces the "after" token with a resolved start date so downstream
  * chains keep working.
@@ -1025,12 +1528,21 @@ export function removeDependencyReferences(code, allTasks, resolvedTasks, delete
   // Process dependents in reverse line order so line indices stay valid
   const sorted = [...dependents].sort((a, b) => b.lineIndex - a.lineIndex);
   for (const dep of sorted) {
+    // The `%% dep:` comment sits below the task line, so dep.lineIndex stays valid
+    const typedRemaining = (dep.typedDeps || []).filter((d) => !keys.has(d.ref.toLowerCase()));
+    if (typedRemaining.length !== (dep.typedDeps || []).length) {
+      updated = updateGanttTypedDeps(updated, dep, typedRemaining);
+    }
     const remaining = (dep.afterDeps || []).filter(
       (d) => !keys.has(d.toLowerCase())
     );
+    const afterChanged = remaining.length !== (dep.afterDeps || []).length;
     if (remaining.length > 0) {
       // Still has other deps — just remove the deleted task's reference
-      updated = updateGanttDependency(updated, dep, remaining);
+      if (afterChanged) updated = updateGanttDependency(updated, dep, remaining);
+    } else if (typedRemaining.length > 0) {
+      // Still anchored by its other typed links
+      if (afterChanged) updated = updateGanttDependency(updated, dep, []);
     } else if (!dep.startDate) {
       // No remaining deps AND no explicit date — replace "after" with
       // the resolved start date so downstream tasks still resolve.
@@ -1041,7 +1553,7 @@ export function removeDependencyReferences(code, allTasks, resolvedTasks, delete
       } else {
         updated = updateGanttDependency(updated, dep, []);
       }
-    } else {
+    } else if (afterChanged) {
       // Has an explicit date — just remove the after token
       updated = updateGanttDependency(updated, dep, []);
     }
@@ -1191,6 +1703,126 @@ export function updateGanttProgress(code, task, progress) {
   return updateGanttMetadataComment(code, task, "progress", value);
 }
 
+export function updateGanttEstimate(code, task, estimate) {
+  return updateGanttMetadataComment(code, task, "estimate", estimate);
+}
+
+// Rewrites the task's `%% dep:` links as a single comment line (empty removes it)
+export function updateGanttTypedDeps(code, task, deps) {
+  if (!task) return code;
+  const value = typeof deps === "string" ? deps : formatTypedDeps(deps);
+  const lines = code.split("\n");
+  const depLines = [];
+  for (let i = task.lineIndex + 1; i <= findMetadataEndIndex(lines, task.lineIndex); i++) {
+    if (/^%%\s*dep:/i.test(lines[i].trim())) depLines.push(i);
+  }
+  for (const idx of depLines.slice(1).reverse()) lines.splice(idx, 1);
+  return updateGanttMetadataComment(lines.join("\n"), task, "dep", value);
+}
+
+export function updateGanttRecurrence(code, task, recurrence) {
+  return updateGanttMetadataComment(code, task, "repeat", recurrence);
+}
+
+/**
+ * Write a `%% repeat-override:` line for one occurrence under its source task.
+ * `updates` ({ startDate, duration } or { skip: true }) merges with the current
+ * override; pass null to drop the override.
+ */
+export function updateGanttOccurrence(code, occurrence, updates) {
+  if (!occurrence?.isOccurrence) return code;
+  const lines = code.split("\n");
+  const sourceLine = occurrence.occurrenceOf;
+  const metaEnd = findMetadataEndIndex(lines, sourceLine);
+  const matcher = new RegExp(`^%%\\s*repeat-override:\\s*${occurrence.occurrence}\\s`, "i");
+  let overrideIdx = -1;
+  for (let i = sourceLine + 1; i <= metaEnd; i++) {
+    if (matcher.test(lines[i].trim())) {
+      overrideIdx = i;
+      break;
+    }
+  }
+
+  const next = updates ? { ...(occurrence.override || {}), ...updates } : null;
+  const parts = next?.skip ? ["skip"] : [next?.startDate, next?.duration].filter(Boolean);
+  if (!parts.length) {
+    if (overrideIdx >= 0) lines.splice(overrideIdx, 1);
+    return lines.join("\n");
+  }
+  const indent = (lines[sourceLine].match(/^\s*/) || [""])[0];
+  const commentLine = `${indent}%% repeat-override: ${occurrence.occurrence} ${parts.join(" ")}`;
+  if (overrideIdx >= 0) lines[overrideIdx] = commentLine;
+  else lines.splice(metaEnd + 1, 0, commentLine);
+  return lines.join("\n");
+}
+
+/**
+ * Replace every `%% repeat:` with explicit task lines so the chart renders the
+ * same in plain Mermaid. Occurrences are written with their scheduled start;
+ * a task that relied on implicit sequencing right after an inserted block is
+ * pinned to its current start so it doesn't move.
+ * Returns { code, count }.
+ */
+export function materializeGanttRecurrences(code) {
+  const directives = parseGanttDirectives(code);
+  const subDay = isSubDayFormat(directives.dateFormat);
+  const tasks = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay);
+  const occurrences = tasks.filter((t) => t.isOccurrence);
+  const hasRepeat = (line) => /^%%\s*repeat(?:-override)?:/i.test(line.trim());
+  if (!occurrences.length && !code.split("\n").some(hasRepeat)) return { code, count: 0 };
+
+  let lines = code.split("\n");
+  const sources = tasks.filter((t) => !t.isOccurrence);
+  const sourceByLine = new Map(sources.map((t) => [t.lineIndex, t]));
+
+  // Group occurrence lines by the line they are inserted before
+  const insertions = new Map();
+  for (const occ of occurrences) {
+    const source = sourceByLine.get(occ.occurrenceOf);
+    const anchor = source.recurrence.scope === "section"
+      ? Math.max(...sources.filter((t) => t.recurrence?.line === source.recurrence.line).map((t) => t.lineIndex))
+      : source.lineIndex;
+    const at = findMetadataEndIndex(lines, anchor) + 1;
+    const start = occ.startDate || occ.resolvedStartDate;
+    const tokens = [...occ.statusTokens];
+    if (occ.isMilestone) tokens.push("milestone");
+    if (occ.idToken) tokens.push(occ.idToken);
+    if (start) tokens.push(start);
+    const length = occ.durationToken || occ.endDate || occ.resolvedEndDate;
+    if (length) tokens.push(length);
+    const block = [`${source.indent}${occ.label} :${tokens.join(", ")}`];
+    for (let i = source.lineIndex + 1; i <= findMetadataEndIndex(lines, source.lineIndex); i++) {
+      if (!hasRepeat(lines[i]) && !/^%%\s*dep:/i.test(lines[i].trim())) block.push(lines[i]);
+    }
+    if (!insertions.has(at)) insertions.set(at, []);
+    insertions.get(at).push(...block);
+  }
+
+  // Pin implicitly sequenced tasks that would otherwise chain off the new lines
+  for (const at of insertions.keys()) {
+    const follower = sources.find((t) => t.lineIndex >= at);
+    if (!follower || follower.hasExplicitDate || follower.afterTokenIndex >= 0 || follower.isVertMarker) continue;
+    if (follower.resolvedStartDate) {
+      lines = updateGanttTask(lines.join("\n"), follower, { startDate: follower.resolvedStartDate }).split("\n");
+    }
+  }
+
+  const out = [];
+  for (let i = 0; i <= lines.length; i++) {
+    if (insertions.has(i)) out.push(...insertions.get(i));
+    if (i < lines.length && !hasRepeat(lines[i])) out.push(lines[i]);
+  }
+  return { code: out.join("\n"), count: occurrences.length };
+}
+
+export function updateGanttAllocation(code, task, allocation) {
+  const num = Number(allocation);
+  const value = allocation !== null && allocation !== undefined && allocation !== "" && Number.isFinite(num) && num > 0 && num < 100
+    ? `${Math.round(num * 10) / 10}%`
+    : "";
+  return updateGanttMetadataComment(code, task, "allocation", value);
+}
+
 function parseSectionHeader(line) {
   const match = String(line || "").match(/^(\s*)section\s+(.+?)\s*$/i);
   if (!match) return null;
@@ -1288,6 +1920,185 @@ export function moveGanttTaskToSection(code, task, targetSection) {
   return lines.join("\n");
 }
 
+/**
+ * Set a task's done/active state: "done", "active" or "todo" (neither). Done
+ * and active replace each other and `crit` is kept; done sets progress to 100
+ * and leaving done clears a 100% progress so the task doesn't still read as
+ * finished.
+ */
+export function setGanttTaskState(code, task, state) {
+  if (!task) return code;
+  const dateFormat = parseGanttDirectives(code).dateFormat;
+  const find = (src) => parseGanttTasks(src, dateFormat).find((t) => !t.isOccurrence && t.lineIndex === task.lineIndex);
+  let next = code;
+  for (const flag of ["done", "active"]) {
+    const current = find(next);
+    if (current.statusTokens.includes(flag) !== (state === flag)) {
+      next = toggleGanttStatus(next, current, flag);
+    }
+  }
+  const refreshed = find(next);
+  if (state === "done") {
+    next = updateGanttProgress(next, refreshed, 100);
+  } else if (task.statusTokens.includes("done") && refreshed.progress === 100) {
+    next = updateGanttProgress(next, refreshed, "");
+  }
+  return next;
+}
+
+/* ── Bulk edit ────────────────────────────────────────── */
+
+/**
+ * Apply one action to several tasks, re-parsing between edits so line moves
+ * (section changes) stay consistent. Actions:
+ *   { type: "status", value: "done" | "active" | "crit" | "clear" }
+ *   { type: "assignee" | "section" | "progress", value }
+ *   { type: "shift", days }  — working days; only tasks with explicit dates move
+ * Recurring occurrences ("Label (2)") only take shifts, written as a
+ * `%% repeat-override:` so the rest of the series stays put.
+ * Returns { code, changed, skipped } (skipped lists labels that could not change).
+ */
+export function bulkEditGanttTasks(code, labels, action) {
+  const directives = parseGanttDirectives(code);
+  let next = code;
+  let changed = 0;
+  const skipped = [];
+  const seen = new Set();
+
+  const move = (iso, assignee) =>
+    shiftWorkingDays(iso, action.days, directives.excludes, directives.weekend, getAssigneeOffDays(directives, assignee));
+
+  for (const label of labels) {
+    const tasks = parseGanttTasks(next, directives.dateFormat);
+    const occurrence = findGanttOccurrence(tasks, label);
+    if (occurrence) {
+      if (seen.has(occurrence.label)) continue;
+      seen.add(occurrence.label);
+      if (action.type !== "shift" || !occurrence.startDate) {
+        skipped.push(occurrence.label);
+        continue;
+      }
+      next = updateGanttOccurrence(next, occurrence, { startDate: move(occurrence.startDate, occurrence.assignee) });
+      changed++;
+      continue;
+    }
+    const task = findTaskByLabel(tasks, label);
+    if (!task || seen.has(task.lineIndex + "|" + task.label)) continue;
+    seen.add(task.lineIndex + "|" + task.label);
+    let updated = next;
+
+    if (action.type === "status") {
+      if (action.value === "clear") {
+        updated = setGanttTaskState(clearGanttStatus(next, task), task, "todo");
+      } else if (action.value === "crit") {
+        if (!task.statusTokens.includes("crit")) updated = toggleGanttStatus(next, task, "crit");
+      } else {
+        updated = setGanttTaskState(next, task, action.value);
+      }
+    } else if (action.type === "assignee") {
+      updated = updateGanttAssignee(next, task, action.value);
+    } else if (action.type === "section") {
+      updated = moveGanttTaskToSection(next, task, action.value);
+    } else if (action.type === "progress") {
+      updated = updateGanttProgress(next, task, action.value);
+    } else if (action.type === "shift") {
+      if (!task.hasExplicitDate || !task.startDate) {
+        skipped.push(task.label);
+        continue;
+      }
+      const updates = { startDate: move(task.startDate, task.assignee) };
+      if (task.endDate) updates.endDate = move(task.endDate, task.assignee);
+      updated = updateGanttTask(next, task, updates);
+    }
+
+    if (updated !== next) changed++;
+    next = updated;
+  }
+
+  return { code: next, changed, skipped };
+}
+
+/* ── Board view ───────────────────────────────────────── */
+
+/** Board status column for a task: "done", "active" or "todo" (not started). */
+export function getGanttBoardStatus(task) {
+  if (task.statusTokens.includes("done")) return "done";
+  if (task.statusTokens.includes("active")) return "active";
+  return "todo";
+}
+
+/**
+ * Rewrite a task for a drop on a board column. `groupBy` is "status"
+ * (column "todo" | "active" | "done"), "section" or "assignee" (column is
+ * the section / assignee name, "" for none). Status moves go through
+ * setGanttTaskState.
+ */
+export function moveGanttTaskToBoardColumn(code, label, groupBy, column) {
+  const task = findTaskByLabel(parseGanttTasks(code, parseGanttDirectives(code).dateFormat), label);
+  if (!task) return code;
+
+  if (groupBy === "section") return moveGanttTaskToSection(code, task, column);
+  if (groupBy === "assignee") {
+    return (task.assignee || "") === column ? code : updateGanttAssignee(code, task, column);
+  }
+
+  return setGanttTaskState(code, task, column);
+}
+
+/* ── Section roll-up ──────────────────────────────────── */
+
+/**
+ * Percent complete for one task: `%% progress:` when set, otherwise 100
+ * for `done` and 0 for everything else.
+ */
+export function getTaskProgress(task) {
+  if (task.progress != null) return task.progress;
+  return (task.statusTokens || []).includes("done") ? 100 : 0;
+}
+
+/**
+ * Summarize each section of a resolved task list (tasks carrying
+ * `startDate` and `computedEnd`). Progress is weighted by task duration so
+ * a finished 10-day task counts for more than a finished 1-day one;
+ * milestones only count when a section has nothing else.
+ *
+ * Returns { [section]: { start, end, progress, taskCount, doneCount } },
+ * keyed by the raw section name ("" for unsectioned tasks).
+ */
+export function computeSectionRollups(tasks) {
+  const rollups = {};
+  for (const task of tasks) {
+    if (task.isVertMarker) continue;
+    const key = task.section || "";
+    if (!rollups[key]) {
+      rollups[key] = { start: "", end: "", progress: 0, taskCount: 0, doneCount: 0, weight: 0, earned: 0, points: 0 };
+    }
+    const entry = rollups[key];
+    const start = task.startDate || "";
+    const end = task.computedEnd || task.endDate || start;
+    if (start && (!entry.start || start < entry.start)) entry.start = start;
+    if (end && (!entry.end || end > entry.end)) entry.end = end;
+
+    const progress = getTaskProgress(task);
+    const startMs = dateToMs(start);
+    const endMs = dateToMs(end);
+    const weight = !task.isMilestone && startMs !== null && endMs !== null ? Math.max(0, endMs - startMs) : 0;
+    entry.taskCount++;
+    if (progress >= 100) entry.doneCount++;
+    entry.weight += weight;
+    entry.earned += weight * progress;
+    entry.points += progress;
+  }
+
+  for (const entry of Object.values(rollups)) {
+    entry.progress = Math.round(entry.weight > 0 ? entry.earned / entry.weight : entry.points / entry.taskCount);
+    delete entry.weight;
+    delete entry.earned;
+    delete entry.points;
+  }
+  return rollups;
+}
+
 /* ── Risk flag computation ──────────────────────────── */
 
 export function computeRiskFlags(tasks) {
@@ -1313,8 +2124,8 @@ export function computeRiskFlags(tasks) {
   // Reverse dep map: depKey -> [tasks that depend on it]
   const reverseDeps = new Map();
   for (const t of tasks) {
-    for (const depId of t.afterDeps || []) {
-      const key = depId.toLowerCase();
+    for (const { ref } of getTaskDependencies(t)) {
+      const key = ref.toLowerCase();
       if (!reverseDeps.has(key)) reverseDeps.set(key, []);
       reverseDeps.get(key).push(t);
     }
@@ -1323,7 +2134,7 @@ export function computeRiskFlags(tasks) {
   for (const task of tasks) {
     if (task.isVertMarker) continue;
 
-    const deps = task.afterDeps || [];
+    const deps = getTaskDependencies(task);
 
     // Condition 1: Many dependencies
     if (deps.length >= MANY_DEPS_THRESHOLD) {
@@ -1332,21 +2143,39 @@ export function computeRiskFlags(tasks) {
       entry.reasons.push("Bottleneck: waiting on " + deps.length + " tasks to finish before this can start");
     }
 
-    // Condition 2: Broken dependency (starts before dep ends)
+    // Condition 2: Broken dependency (starts before dep ends, or earlier than a typed link allows)
     const taskStartMs = isoToMs(task.startDate);
     if (taskStartMs !== null) {
-      for (const depId of deps) {
-        const dep = byId.get(depId.toLowerCase()) || byLabel.get(depId.toLowerCase());
+      const taskEndMs = isoToMs(task.computedEnd);
+      const durationMs = taskEndMs !== null ? Math.max(0, taskEndMs - taskStartMs) : 0;
+      for (const link of deps) {
+        const dep = byId.get(link.ref.toLowerCase()) || byLabel.get(link.ref.toLowerCase());
         if (!dep) continue;
         const depEndMs = isoToMs(dep.computedEnd);
-        if (depEndMs !== null && taskStartMs < depEndMs) {
+        if (depEndMs === null) continue;
+        const depStartMs = isoToMs(dep.startDate) ?? depEndMs;
+        if (taskStartMs < dependencyStartMs(link, depStartMs, depEndMs, durationMs)) {
           const entry = getEntry(task.label);
           entry.flags.push("broken-dep");
-          entry.reasons.push("Broken dependency: this task starts before '" + (dep.label || depId) + "' finishes");
+          entry.reasons.push(link.type === "FS" && !link.lagMs
+            ? "Broken dependency: this task starts before '" + (dep.label || link.ref) + "' finishes"
+            : "Broken dependency: this task doesn't satisfy its " + link.type + link.lag + " link to '" + (dep.label || link.ref) + "'");
         }
       }
     }
 
+    // Condition 3: Upstream task in another flow (`%% blockedBy:`) finishes after this starts
+    if (taskStartMs !== null) {
+      for (const upstream of task.blockedBy || []) {
+        const upstreamEndMs = isoToMs(upstream.computedEnd);
+        if (upstream.isDone || upstreamEndMs === null || upstreamEndMs <= taskStartMs) continue;
+        const entry = getEntry(task.label);
+        entry.flags.push("upstream-slip");
+        entry.reasons.push("Upstream slip: '" + (upstream.label || upstream.ref) + "'" +
+          (upstream.flowName ? " in " + upstream.flowName : "") + " finishes " + upstream.computedEnd + ", after this task starts");
+      }
+    }
+
     // Zero-slack removed — same-day handoffs via `after` are normal workflow.
     // Critical path indicator already shows which tasks have no slack.
   }
@@ -1442,8 +2271,30 @@ export function getWeekKey(isoDate) {
 
 /* ── Resource load / overload detection ──────────────── */
 
-export function computeResourceLoad(tasks) {
+export const DEFAULT_WEEKLY_CAPACITY_HOURS = 40;
+
+// Number of working weekdays per week under the given excludes (date-specific
+// holidays are ignored here — they only remove individual days).
+function countWorkingWeekdays(excludes, weekend) {
+  const weekdayRules = (excludes || []).filter((e) => !ISO_DATE.test(e));
+  if (!weekdayRules.length) return 7;
+  let count = 0;
+  for (let i = 0; i < 7; i++) {
+    if (!isExcludedDate(shiftIsoDate("2024-01-01", i), weekdayRules, weekend)) count++;
+  }
+  return count || 7;
+}
+
+/**
+ * Per-assignee weekly load in hours. Each task contributes its `%% allocation:`
+ * share (100% when unset) of a standard week, spread over its working days.
+ * A week is overloaded when its hours exceed the person's capacity
+ * (`capacities[name]`, defaulting to DEFAULT_WEEKLY_CAPACITY_HOURS).
+ * Holidays and time off from `calendars` (parseGanttCalendars) book no hours.
+ */
+export function computeResourceLoad(tasks, { capacities = {}, excludes = [], weekend = "", calendars = null } = {}) {
   const assigneeWeeks = new Map();
+  const hoursPerDay = DEFAULT_WEEKLY_CAPACITY_HOURS / countWorkingWeekdays(excludes, weekend);
 
   for (const task of tasks) {
     if (!task.assignee || !task.startDate || !task.computedEnd) continue;
@@ -1452,10 +2303,12 @@ export function computeResourceLoad(tasks) {
       .split(",")
       .map((n) => n.trim())
       .filter(Boolean);
+    const share = (task.allocation || 100) / 100;
 
     for (const name of names) {
       if (!assigneeWeeks.has(name)) assigneeWeeks.set(name, new Map());
       const weeks = assigneeWeeks.get(name);
+      const offDays = getAssigneeOffDays({ calendars }, name) || {};
 
       const datePart = task.startDate.includes(" ") ? task.startDate.split(" ")[0] : task.startDate;
       let current = datePart;
@@ -1469,12 +2322,15 @@ export function computeResourceLoad(tasks) {
           const day = d.getUTCDay() || 7;
           d.setUTCDate(d.getUTCDate() - day + 1);
           const weekStart = d.toISOString().slice(0, 10);
-          weeks.set(wk, { weekStart, tasks: [] });
+          weeks.set(wk, { weekStart, tasks: [], hours: 0 });
         }
         const entry = weeks.get(wk);
         if (!entry.tasks.includes(task.label)) {
           entry.tasks.push(task.label);
         }
+        if (!isExcludedDate(current, excludes, weekend)) {
+          entry.hours += hoursPerDay * share * (1 - (offDays[current] || 0));
+        }
 
         const next = new Date(Date.parse(current + "T00:00:00Z") + 86400000);
         current = next.toISOString().slice(0, 10);
@@ -1485,21 +2341,24 @@ export function computeResourceLoad(tasks) {
   const result = [];
   for (const [name, weeks] of assigneeWeeks) {
     const taskSet = new Set();
-    const overloadedWeeks = [];
+    const capacityHours = Number(capacities[name]) > 0 ? Number(capacities[name]) : DEFAULT_WEEKLY_CAPACITY_HOURS;
+    const loadWeeks = [];
 
     for (const [weekKey, entry] of weeks) {
       for (const t of entry.tasks) taskSet.add(t);
-      if (entry.tasks.length >= 2) {
-        overloadedWeeks.push({
-          weekKey,
-          weekStart: entry.weekStart,
-          tasks: [...entry.tasks],
-        });
-      }
+      const hours = Math.round(entry.hours * 10) / 10;
+      loadWeeks.push({
+        weekKey,
+        weekStart: entry.weekStart,
+        tasks: [...entry.tasks],
+        hours,
+        load: hours / capacityHours,
+      });
     }
 
-    overloadedWeeks.sort((a, b) => a.weekKey.localeCompare(b.weekKey));
-    result.push({ name, totalTasks: taskSet.size, overloadedWeeks });
+    loadWeeks.sort((a, b) => a.weekKey.localeCompare(b.weekKey));
+    const overloadedWeeks = loadWeeks.filter((wk) => wk.hours > capacityHours + 0.05);
+    result.push({ name, totalTasks: taskSet.size, capacityHours, weeks: loadWeeks, overloadedWeeks });
   }
 
   result.sort((a, b) => {
@@ -1509,3 +2368,433 @@ export function computeResourceLoad(tasks) {
 
   return result;
 }
+
+/**
+ * Stacked workload per day or week for the histogram lane under the chart.
+ * Hours are booked the same way as computeResourceLoad. Each bucket is
+ * { start, end (exclusive ISO dates), hours: { name: h }, total, capacity,
+ * overloaded: [names], labels: [task labels] }; `capacity` is the summed
+ * capacity of every charted assignee (a day's share of the weekly hours on
+ * working days). Pass `assignees` to limit the chart to those people.
+ */
+export function computeWorkloadHistogram(tasks, { granularity = "week", capacities = {}, excludes = [], weekend = "", calendars = null, assignees = null } = {}) {
+  const workingDays = countWorkingWeekdays(excludes, weekend);
+  const hoursPerDay = DEFAULT_WEEKLY_CAPACITY_HOURS / workingDays;
+  const only = assignees && assignees.length ? new Set(assignees.map((n) => n.toLowerCase())) : null;
+  const weeklyCapacity = (name) => (Number(capacities[name]) > 0 ? Number(capacities[name]) : DEFAULT_WEEKLY_CAPACITY_HOURS);
+  const days = new Map(); // iso -> { hours: Map(name -> h), labels: Set }
+  const names = new Set();
+
+  for (const task of tasks) {
+    if (!task.assignee || !task.startDate || !task.computedEnd || task.isVertMarker) continue;
+    const share = (task.allocation || 100) / 100;
+    const endMs = Date.parse(task.computedEnd.split(" ")[0] + "T00:00:00Z");
+
+    for (const name of task.assignee.split(",").map((n) => n.trim()).filter(Boolean)) {
+      if (only && !only.has(name.toLowerCase())) continue;
+      names.add(name);
+      const offDays = getAssigneeOffDays({ calendars }, name) || {};
+      for (let current = task.startDate.split(" ")[0]; Date.parse(current + "T00:00:00Z") < endMs; current = shiftIsoDate(current, 1)) {
+        if (isExcludedDate(current, excludes, weekend)) continue;
+        const hours = hoursPerDay * share * (1 - (offDays[current] || 0));
+        if (hours <= 0) continue;
+        if (!days.has(current)) days.set(current, { hours: new Map(), labels: new Set() });
+        const day = days.get(current);
+        day.hours.set(name, (day.hours.get(name) || 0) + hours);
+        day.labels.add(task.label);
+      }
+    }
+  }
+
+  const buckets = new Map();
+  for (const [iso, day] of days) {
+    let start = iso;
+    let end = shiftIsoDate(iso, 1);
+    if (granularity === "week") {
+      const dow = new Date(iso + "T00:00:00Z").getUTCDay() || 7;
+      start = shiftIsoDate(iso, 1 - dow);
+      end = shiftIsoDate(start, 7);
+    }
+    if (!buckets.has(start)) buckets.set(start, { start, end, hours: new Map(), labels: new Set() });
+    const bucket = buckets.get(start);
+    for (const [name, h] of day.hours) bucket.hours.set(name, (bucket.hours.get(name) || 0) + h);
+    for (const label of day.labels) bucket.labels.add(label);
+  }
+
+  const round = (h) => Math.round(h * 10) / 10;
+  const sortedNames = [...names].sort((a, b) => a.localeCompare(b));
+  const result = [...buckets.values()]
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map((bucket) => {
+      const isWorkingDay = granularity === "week" || !isExcludedDate(bucket.start, excludes, weekend);
+      const capacityOf = (name) => (granularity === "week" ? weeklyCapacity(name) : isWorkingDay ? weeklyCapacity(name) / workingDays : 0);
+      const hours = {};
+      const overloaded = [];
+      let total = 0;
+      for (const name of sortedNames) {
+        const h = round(bucket.hours.get(name) || 0);
+        if (!h) continue;
+        hours[name] = h;
+        total += h;
+        if (h > capacityOf(name) + 0.05) overloaded.push(name);
+      }
+      return {
+        start: bucket.start,
+        end: bucket.end,
+        hours,
+        total: round(total),
+        capacity: round(sortedNames.reduce((sum, name) => sum + capacityOf(name), 0)),
+        overloaded,
+        labels: [...bucket.labels],
+      };
+    });
+
+  return {
+    granularity,
+    names: sortedNames,
+    buckets: result,
+    maxHours: result.reduce((max, b) => Math.max(max, b.total, b.capacity), 0),
+  };
+}
+
+/* ── Resource leveling ────────────────────────────────── */
+
+const LEVELING_FIXED_STATUSES = ["done", "active"];
+
+// Whole-day lag for a `%% dep:` link: 3 → "+3d", 0 → ""
+function formatLagDays(days) {
+  if (!days) return "";
+  return `${days > 0 ? "+" : "-"}${Math.abs(days)}d`;
+}
+
+function computeScheduledEnd(task, directives, subDay) {
+  const start = task.startDate || task.resolvedStartDate || "";
+  if (task.endDate || task.resolvedEndDate) return task.endDate || task.resolvedEndDate;
+  if (!start || !task.durationDays) return start;
+  const workingEnd = computeWorkingEnd(task, start, directives, subDay);
+  if (workingEnd) return workingEnd;
+  const sMs = dateToMs(start);
+  return sMs !== null ? msToDateStr(sMs + task.durationDays * DAY_MS, subDay) : start;
+}
+
+function computeDaySchedule(code) {
+  const directives = parseGanttDirectives(code);
+  const subDay = isSubDayFormat(directives.dateFormat);
+  const tasks = resolveDependencies(parseGanttTasks(code, directives.dateFormat), subDay, directives);
+  for (const t of tasks) {
+    t.dayStart = (t.startDate || t.resolvedStartDate || "").split(" ")[0];
+    t.dayEnd = (computeScheduledEnd(t, directives, subDay) || "").split(" ")[0];
+  }
+  return { directives, subDay, tasks };
+}
+
+/**
+ * Reschedule non-critical tasks so no assignee carries more than `capacity`
+ * full-time tasks (summed `%% allocation:` shares) on any working day. Conflicts are resolved earliest-first by pushing
+ * the latest-starting movable task to the day an overlapping task finishes.
+ * A task with dependencies keeps them and is delayed by a `%% dep:` lag;
+ * `after` chains follow automatically on the next resolve.
+ *
+ * Returns { code, moves, unresolved, previousEnd, nextEnd }.
+ */
+export function levelResources(code, { capacity = 1 } = {}) {
+  const cap = Math.max(0.1, Number(capacity) || 1);
+  const initial = computeDaySchedule(code);
+  const result = { code, moves: [], unresolved: [], previousEnd: "", nextEnd: "" };
+  if (initial.subDay) return result;
+
+  const { excludes, weekend } = initial.directives;
+  const { criticalSet } = computeCriticalPath(initial.tasks);
+  const nextWorkingDay = (iso) => {
+    let current = iso;
+    for (let guard = 0; guard < 366 && isExcludedDate(current, excludes, weekend); guard++) {
+      current = shiftIsoDate(current, 1);
+    }
+    return current;
+  };
+  const isMovable = (t) =>
+    !t.isOccurrence &&
+    !t.isMilestone &&
+    !t.isVertMarker &&
+    !criticalSet.has(t.idToken || t.label || "") &&
+    !t.statusTokens.some((s) => LEVELING_FIXED_STATUSES.includes(s));
+
+  const skipped = new Set();
+  const unresolved = new Map();
+  const maxIterations = Math.max(50, initial.tasks.length * 25);
+  let current = code;
+
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const { tasks } = computeDaySchedule(current);
+
+    // Per-assignee daily bookings on working days
+    const bookings = new Map();
+    for (const t of tasks) {
+      if (!t.assignee || !t.dayStart || !t.dayEnd || t.dayEnd <= t.dayStart) continue;
+      const names = t.assignee.split(",").map((n) => n.trim()).filter(Boolean);
+      for (let day = t.dayStart; day < t.dayEnd; day = shiftIsoDate(day, 1)) {
+        if (isExcludedDate(day, excludes, weekend)) continue;
+        for (const name of names) {
+          // Days off are already stretched into the task, not booked against it
+          if ((getAssigneeOffDays(initial.directives, name)?.[day] || 0) >= 1) continue;
+          const key = name + "|" + day;
+          if (!bookings.has(key)) bookings.set(key, { name, day, tasks: [], load: 0 });
+          const entry = bookings.get(key);
+          entry.tasks.push(t);
+          entry.load += (t.allocation || 100) / 100;
+        }
+      }
+    }
+
+    let conflict = null;
+    for (const entry of bookings.values()) {
+      if (entry.load <= cap + 1e-6 || skipped.has(entry.name + "|" + entry.day)) continue;
+      if (
+        !conflict ||
+        entry.day < conflict.day ||
+        (entry.day === conflict.day && entry.name.localeCompare(conflict.name) < 0)
+      ) {
+        conflict = entry;
+      }
+    }
+    if (!conflict) break;
+
+    const candidates = conflict.tasks
+      .filter(isMovable)
+      .sort((a, b) => b.dayStart.localeCompare(a.dayStart) || b.lineIndex - a.lineIndex);
+    const victim = candidates[0];
+    if (!victim) {
+      skipped.add(conflict.name + "|" + conflict.day);
+      const list = unresolved.get(conflict.name) || [];
+      list.push({ date: conflict.day, tasks: conflict.tasks.map((t) => t.label) });
+      unresolved.set(conflict.name, list);
+      continue;
+    }
+
+    // Push the victim to the first working day one of the others frees up
+    let freeDay = "";
+    for (const other of conflict.tasks) {
+      if (other === victim) continue;
+      if (!freeDay || other.dayEnd < freeDay) freeDay = other.dayEnd;
+    }
+    const nextStart = nextWorkingDay(freeDay);
+    if (!nextStart || nextStart <= victim.dayStart) {
+      skipped.add(conflict.name + "|" + conflict.day);
+      continue;
+    }
+
+    const deltaDays = Math.round((dateToMs(nextStart) - dateToMs(victim.dayStart)) / DAY_MS);
+    const links = getTaskDependencies(victim);
+    let next;
+    if (links.length && !victim.hasExplicitDate) {
+      // Keep the dependencies and delay the task with a lag on each of them;
+      // writing a start date would replace the `after` token
+      next = updateGanttTypedDeps(current, victim, links.map((link) => ({
+        ref: link.ref,
+        type: link.type,
+        lag: formatLagDays(Math.round(link.lagMs / DAY_MS) + deltaDays),
+      })));
+    } else {
+      const updates = { startDate: nextStart };
+      if (victim.endDate && victim.endDateIndex >= 0) {
+        updates.endDate = shiftIsoDate(victim.endDate.split(" ")[0], deltaDays);
+      }
+      next = updateGanttTask(current, victim, updates);
+    }
+    if (next === current) {
+      skipped.add(conflict.name + "|" + conflict.day);
+      continue;
+    }
+    current = next;
+  }
+
+  const final = computeDaySchedule(current);
+  const before = new Map(initial.tasks.filter((t) => !t.isOccurrence).map((t) => [t.lineIndex, t]));
+  const projectEnd = (tasks) =>
+    tasks.reduce((max, t) => (t.dayEnd && t.dayEnd > max ? t.dayEnd : max), "");
+
+  for (const t of final.tasks) {
+    if (t.isOccurrence) continue;
+    const prev = before.get(t.lineIndex);
+    if (!prev || prev.dayStart === t.dayStart) continue;
+    result.moves.push({
+      lineIndex: t.lineIndex,
+      label: t.label,
+      assignee: t.assignee,
+      fromStart: prev.dayStart,
+      toStart: t.dayStart,
+      shiftDays: Math.round((dateToMs(t.dayStart) - dateToMs(prev.dayStart)) / DAY_MS),
+      rewritten: prev.rawLine !== t.rawLine,
+    });
+  }
+
+  result.code = current;
+  result.unresolved = [...unresolved.entries()].map(([name, days]) => ({ name, days }));
+  result.previousEnd = projectEnd(initial.tasks);
+  result.nextEnd = projectEnd(final.tasks);
+  return result;
+}
+
+/* ── Baseline variance / earned value ─────────────────── */
+
+function diffDays(fromIso, toIso) {
+  const a = dateToMs(fromIso);
+  const b = dateToMs(toIso);
+  return a !== null && b !== null ? Math.round((b - a) / DAY_MS) : null;
+}
+
+// Share of the baseline window elapsed on `asOf` (0..1)
+function plannedFraction(start, end, asOf) {
+  if (!start || !end) return 0;
+  if (asOf >= end) return 1;
+  if (asOf <= start) return 0;
+  const total = diffDays(start, end);
+  return total > 0 ? diffDays(start, asOf) / total : 1;
+}
+
+function earnedValueRow(baseline, current, asOf) {
+  const budget = baseline && !baseline.isMilestone ? Math.max(1, diffDays(baseline.dayStart, baseline.dayEnd) || 0) : 0;
+  const progress = current ? getTaskProgress(current) : null;
+  const pv = budget * plannedFraction(baseline?.dayStart, baseline?.dayEnd, asOf);
+  const ev = progress !== null ? budget * (progress / 100) : 0;
+  return { budget, progress, pv, ev, spi: pv > 0 ? ev / pv : null };
+}
+
+/**
+ * Compare the current schedule against a baseline snapshot.
+ * Tasks are matched by id, then by label. Variances are in calendar days
+ * (positive = later than planned). SPI is earned value over planned value
+ * as of `asOf`, weighting each task by its baseline duration and using
+ * `%% progress:` (or `done`) for percent complete. Tasks removed since the
+ * baseline carry no value. `movedEnd` marks slipped tasks on the chain that
+ * now finishes past the baseline end.
+ *
+ * Returns { tasks, sections, baselineEnd, currentEnd, endSlip, spi, asOf }.
+ */
+export function computeBaselineVariance(baselineCode, currentCode, { asOf = new Date().toISOString().slice(0, 10) } = {}) {
+  const baseline = computeDaySchedule(baselineCode).tasks.filter((t) => !t.isVertMarker);
+  const current = computeDaySchedule(currentCode).tasks.filter((t) => !t.isVertMarker);
+  const key = (t) => (t.idToken ? `#${t.idToken}` : t.label).toLowerCase();
+  const baselineByKey = new Map();
+  const baselineByLabel = new Map();
+  for (const t of baseline) {
+    baselineByKey.set(key(t), t);
+    baselineByLabel.set(t.label.toLowerCase(), t);
+  }
+
+  const projectEnd = (tasks) => tasks.reduce((max, t) => (t.dayEnd && t.dayEnd > max ? t.dayEnd : max), "");
+  const baselineEnd = projectEnd(baseline);
+  const currentEnd = projectEnd(current);
+  const endSlip = baselineEnd && currentEnd ? diffDays(baselineEnd, currentEnd) : null;
+
+  // Tasks finishing past the baseline end, plus everything upstream of them
+  const byRef = new Map();
+  for (const t of current) {
+    if (t.idToken) byRef.set(t.idToken.toLowerCase(), t);
+    if (!byRef.has(t.label.toLowerCase())) byRef.set(t.label.toLowerCase(), t);
+  }
+  const endDrivers = new Set();
+  const queue = endSlip > 0 ? current.filter((t) => t.dayEnd > baselineEnd) : [];
+  while (queue.length) {
+    const t = queue.pop();
+    if (endDrivers.has(t)) continue;
+    endDrivers.add(t);
+    const links = getTaskDependencies(t);
+    if (links.length) {
+      for (const { ref } of links) {
+        const pred = byRef.get(ref.toLowerCase());
+        if (pred) queue.push(pred);
+      }
+    } else if (!t.startDate) {
+      const idx = current.indexOf(t);
+      if (idx > 0) queue.push(current[idx - 1]);
+    }
+  }
+
+  const matched = new Set();
+  const rows = [];
+  for (const t of current) {
+    const b = baselineByKey.get(key(t)) || baselineByLabel.get(t.label.toLowerCase());
+    const base = b && !matched.has(b) ? b : null;
+    if (base) matched.add(base);
+    const startVariance = base ? diffDays(base.dayStart, t.dayStart) : null;
+    const finishVariance = base ? diffDays(base.dayEnd, t.dayEnd) : null;
+    rows.push({
+      label: t.label,
+      section: t.section || "",
+      status: base ? "matched" : "added",
+      baselineStart: base?.dayStart || "",
+      baselineEnd: base?.dayEnd || "",
+      currentStart: t.dayStart,
+      currentEnd: t.dayEnd,
+      startVariance,
+      finishVariance,
+      slip: finishVariance,
+      movedEnd: endDrivers.has(t) && finishVariance > 0,
+      ...earnedValueRow(base, t, asOf),
+    });
+  }
+  for (const b of baseline) {
+    if (matched.has(b)) continue;
+    rows.push({
+      label: b.label,
+      section: b.section || "",
+      status: "removed",
+      baselineStart: b.dayStart,
+      baselineEnd: b.dayEnd,
+      currentStart: "",
+      currentEnd: "",
+      startVariance: null,
+      finishVariance: null,
+      slip: null,
+      movedEnd: false,
+      ...earnedValueRow(null, null, asOf),
+    });
+  }
+
+  const sectionMap = new Map();
+  for (const row of rows) {
+    if (!sectionMap.has(row.section)) {
+      sectionMap.set(row.section, { section: row.section, rows: [], pv: 0, ev: 0 });
+    }
+    const entry = sectionMap.get(row.section);
+    entry.rows.push(row);
+    entry.pv += row.pv;
+    entry.ev += row.ev;
+  }
+  const minOf = (values) => values.filter(Boolean).sort()[0] || "";
+  const maxOf = (values) => values.filter(Boolean).sort().pop() || "";
+  const sections = [...sectionMap.values()].map(({ section, rows: sectionRows, pv, ev }) => {
+    const baselineStart = minOf(sectionRows.map((r) => r.baselineStart));
+    const currentStart = minOf(sectionRows.map((r) => r.currentStart));
+    const sectionBaselineEnd = maxOf(sectionRows.map((r) => r.baselineEnd));
+    const sectionCurrentEnd = maxOf(sectionRows.map((r) => r.currentEnd));
+    const finishVariance = sectionBaselineEnd && sectionCurrentEnd ? diffDays(sectionBaselineEnd, sectionCurrentEnd) : null;
+    return {
+      section,
+      baselineStart,
+      baselineEnd: sectionBaselineEnd,
+      currentStart,
+      currentEnd: sectionCurrentEnd,
+      startVariance: baselineStart && currentStart ? diffDays(baselineStart, currentStart) : null,
+      finishVariance,
+      slip: finishVariance,
+      movedEnd: sectionRows.some((r) => r.movedEnd),
+      pv,
+      ev,
+      spi: pv > 0 ? ev / pv : null,
+    };
+  });
+
+  const totalPv = rows.reduce((sum, r) => sum + r.pv, 0);
+  const totalEv = rows.reduce((sum, r) => sum + r.ev, 0);
+  return {
+    tasks: rows,
+    sections,
+    baselineEnd,
+    currentEnd,
+    endSlip,
+    spi: totalPv > 0 ? totalEv / totalPv : null,
+    asOf,
+  };
+}
@@ -0,0 +1,403 @@
+/**
+ * Microsoft Project XML (MSPDI) conversion
+ *
+ * Converts between Mermaid Gantt code and the XML interchange format that
+ * MS Project reads and writes ("Save As → XML").
+ *
+ * Mapping:
+ *   - Summary tasks          ↔ `section` headers
+ *   - Finish-to-start links  ↔ `after <id>` dependencies
+ *   - SS/FF/SF links, lags   ↔ `%% dep:` typed dependencies
+ *   - Milestone flag         ↔ `milestone` tag
+ *   - Resource assignments   ↔ `%% assignee:` / `%% allocation:` metadata
+ *   - PercentComplete        ↔ `%% progress:` metadata (100% also sets `done`)
+ *   - Notes / Hyperlink      ↔ `%% notes:` / `%% link:` metadata
+ *
+ * Durations are written in working days with `excludes weekends`, matching
+ * MS Project's standard calendar (8h days, Mon–Fri).
+ */
+
+import { resolveGanttSchedule, getTaskDependencies, formatTypedDeps, isExcludedDate, shiftIsoDate } from "./ganttUtils";
+
+const MSPDI_NAMESPACE = "http://schemas.microsoft.com/project";
+const HOURS_PER_DAY = 8;
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+const LINK_TYPE_FS = "1";
+// MSPDI <Type> codes
+const LINK_TYPES = { 0: "FF", 1: "FS", 2: "SF", 3: "SS" };
+const LINK_TYPE_CODES = { FF: 0, FS: 1, SF: 2, SS: 3 };
+// <LinkLag> is in tenths of a minute; <LagFormat> 7 = days, 5 = hours
+const LAG_UNITS_PER_HOUR = 600;
+const LAG_FORMAT_DAYS = 7;
+const LAG_FORMAT_HOURS = 5;
+// Percentage lags (LagFormat 19, 20) depend on the predecessor's duration
+const PERCENT_LAG_FORMATS = new Set(["19", "20"]);
+// Words the task-line parser treats as keywords, so they cannot be ids
+const RESERVED_IDS = new Set(["done", "active", "crit", "milestone", "vert", "after", "until"]);
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function childText(el, tagName) {
+  for (const child of el.children) {
+    if (child.localName === tagName) return child.textContent.trim();
+  }
+  return "";
+}
+
+function childElements(el, tagName) {
+  return Array.from(el.children).filter((child) => child.localName === tagName);
+}
+
+function parseIsoDuration(value) {
+  // MSPDI durations look like PT40H0M0S
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?T?(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?$/i.exec(value || "");
+  if (!match) return null;
+  const [, d, h, m, s] = match;
+  return Number(d || 0) * 24 + Number(h || 0) + Number(m || 0) / 60 + Number(s || 0) / 3600;
+}
+
+function countWeekdays(startIso, finishIso) {
+  let count = 0;
+  for (let day = startIso; day <= finishIso; day = shiftIsoDate(day, 1)) {
+    if (!isExcludedDate(day, ["weekends"], "")) count++;
+    if (count > 3650) break;
+  }
+  return count;
+}
+
+// Lag in working time → "+2d" / "-4h" ("" for none), with 8h working days
+function formatLag(tenthsOfMinutes) {
+  const hours = Number(tenthsOfMinutes || 0) / LAG_UNITS_PER_HOUR;
+  if (!hours) return "";
+  const sign = hours > 0 ? "+" : "-";
+  const abs = Math.abs(hours);
+  return abs % HOURS_PER_DAY === 0 ? `${sign}${abs / HOURS_PER_DAY}d` : `${sign}${Math.round(abs)}h`;
+}
+
+function sanitizeLabel(name) {
+  // ":" splits the task line and "#" / ";" are comment/statement markers in Mermaid
+  return String(name || "").replace(/[:;#]/g, " ").replace(/\s+/g, " ").trim() || "Untitled";
+}
+
+function sanitizeMetadata(value) {
+  return String(value || "").replace(/\s*\r?\n\s*/g, " ").trim();
+}
+
+// ── MSPDI → Gantt ──
+
+/**
+ * Convert an MSPDI document to gantt code. Returns { code, warnings };
+ * `warnings` ({ row: 0, message }) lists links that could not be kept.
+ * Throws when the text is not an MS Project XML file.
+ */
+export function msProjectXmlToGantt(xmlString, title = "") {
+  const doc = new DOMParser().parseFromString(xmlString, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length > 0) {
+    throw new Error("File is not valid XML");
+  }
+  const project = doc.documentElement;
+  if (!project || project.localName !== "Project") {
+    throw new Error("Not an MS Project XML file (missing <Project> root)");
+  }
+
+  const tasksEl = childElements(project, "Tasks")[0];
+  const rawTasks = tasksEl ? childElements(tasksEl, "Task") : [];
+
+  // Resource names and task → resource assignments
+  const resourceNames = new Map();
+  for (const resourcesEl of childElements(project, "Resources")) {
+    for (const res of childElements(resourcesEl, "Resource")) {
+      const name = childText(res, "Name");
+      if (name) resourceNames.set(childText(res, "UID"), name);
+    }
+  }
+  const assigneesByTask = new Map();
+  const unitsByTask = new Map();
+  for (const assignmentsEl of childElements(project, "Assignments")) {
+    for (const asg of childElements(assignmentsEl, "Assignment")) {
+      const name = resourceNames.get(childText(asg, "ResourceUID"));
+      if (!name) continue;
+      const taskUid = childText(asg, "TaskUID");
+      if (!assigneesByTask.has(taskUid)) assigneesByTask.set(taskUid, []);
+      assigneesByTask.get(taskUid).push(name);
+      const units = Number(childText(asg, "Units") || 1);
+      if (units > 0 && units < 1) unitsByTask.set(taskUid, units);
+    }
+  }
+
+  const usedIds = new Set();
+  const makeId = (name, uid) => {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "").slice(0, 20) || `task_${uid}`;
+    const base = !/^[a-z]/.test(slug) ? `t_${slug}` : RESERVED_IDS.has(slug) ? `${slug}_task` : slug;
+    let id = base;
+    let n = 2;
+    while (usedIds.has(id)) id = `${base}_${n++}`;
+    usedIds.add(id);
+    return id;
+  };
+
+  const entries = [];
+  const idByUid = new Map();
+  const sectionStack = [];
+  for (const el of rawTasks) {
+    const uid = childText(el, "UID");
+    const name = childText(el, "Name");
+    const outlineLevel = Number(childText(el, "OutlineLevel") || 1);
+    if (outlineLevel === 0 || childText(el, "IsNull") === "1" || !name) continue;
+
+    if (childText(el, "Summary") === "1") {
+      sectionStack.length = Math.max(0, outlineLevel - 1);
+      sectionStack[outlineLevel - 1] = sanitizeLabel(name);
+      continue;
+    }
+
+    const start = childText(el, "Start").slice(0, 10);
+    const finish = childText(el, "Finish").slice(0, 10);
+    const isMilestone = childText(el, "Milestone") === "1";
+    const durationHours = parseIsoDuration(childText(el, "Duration"));
+    let durationDays = durationHours !== null ? Math.round(durationHours / HOURS_PER_DAY) : null;
+    if ((durationDays === null || (durationDays === 0 && !isMilestone)) && start && finish) {
+      durationDays = countWeekdays(start, finish);
+    }
+
+    const predecessors = childElements(el, "PredecessorLink").map((link) => ({
+      uid: childText(link, "PredecessorUID"),
+      type: LINK_TYPES[childText(link, "Type") || LINK_TYPE_FS] || "FS",
+      lag: PERCENT_LAG_FORMATS.has(childText(link, "LagFormat")) ? null : formatLag(childText(link, "LinkLag")),
+    }));
+
+    const label = sanitizeLabel(name);
+    const id = makeId(label, uid);
+    idByUid.set(uid, id);
+    entries.push({
+      uid,
+      id,
+      label,
+      section: sectionStack.filter(Boolean).slice(-1)[0] || "",
+      start,
+      isMilestone,
+      durationDays: isMilestone ? 0 : Math.max(1, durationDays || 1),
+      percent: Number(childText(el, "PercentComplete") || 0),
+      predecessors,
+      assignee: (assigneesByTask.get(uid) || []).join(", "),
+      allocation: unitsByTask.has(uid) ? Math.round(unitsByTask.get(uid) * 100) : null,
+      notes: sanitizeMetadata(childText(el, "Notes")),
+      link: sanitizeMetadata(childText(el, "HyperlinkAddress")),
+    });
+  }
+
+  const warnings = [];
+  const projectTitle = title || sanitizeLabel(childText(project, "Title") || childText(project, "Name") || "Project Timeline");
+  const lines = [
+    "gantt",
+    `    title ${projectTitle}`,
+    "    dateFormat  YYYY-MM-DD",
+    "    axisFormat  %b %d",
+    "    excludes    weekends",
+  ];
+
+  let currentSection = null;
+  for (const entry of entries) {
+    if (entry.section !== currentSection) {
+      currentSection = entry.section;
+      lines.push("", `    section ${currentSection || "Tasks"}`);
+    }
+
+    const tokens = [];
+    if (entry.percent >= 100) tokens.push("done");
+    else if (entry.percent > 0) tokens.push("active");
+    if (entry.isMilestone) tokens.push("milestone");
+    tokens.push(entry.id);
+
+    const links = [];
+    for (const pred of entry.predecessors) {
+      const ref = idByUid.get(pred.uid);
+      if (!ref) {
+        warnings.push({ row: 0, message: `${entry.label}: link to task UID ${pred.uid} dropped (not in the file)` });
+        continue;
+      }
+      if (pred.lag === null) {
+        warnings.push({ row: 0, message: `${entry.label}: percentage lag on the link to ${ref} dropped` });
+      }
+      links.push({ ref, type: pred.type, lag: pred.lag || "" });
+    }
+    const afterIds = links.map((link) => link.ref);
+    if (afterIds.length > 0) {
+      tokens.push(`after ${afterIds.join(" ")}`);
+    } else {
+      tokens.push(entry.start || new Date().toISOString().slice(0, 10));
+    }
+    tokens.push(`${entry.durationDays}d`);
+
+    lines.push(`    ${entry.label} :${tokens.join(", ")}`);
+    if (entry.assignee) lines.push(`    %% assignee: ${entry.assignee}`);
+    if (entry.allocation) lines.push(`    %% allocation: ${entry.allocation}%`);
+    if (entry.percent > 0 && entry.percent < 100) lines.push(`    %% progress: ${Math.round(entry.percent)}`);
+    if (entry.notes) lines.push(`    %% notes: ${entry.notes}`);
+    if (entry.link) lines.push(`    %% link: ${entry.link}`);
+    const typed = links.filter((link) => link.type !== "FS" || link.lag);
+    if (typed.length) lines.push(`    %% dep: ${formatTypedDeps(typed)}`);
+  }
+
+  return { code: lines.join("\n") + "\n", warnings };
+}
+
+// ── Gantt → MSPDI ──
+
+export function ganttToMsProjectXml(code, title = "") {
+  const schedule = resolveGanttSchedule(code);
+  const { directives } = schedule;
+  const tasks = schedule.tasks.filter((t) => !t.isVertMarker);
+
+  // Keep MS Project from seeing starts/finishes on excluded days
+  const isOff = (iso) => isExcludedDate(iso, directives.excludes, directives.weekend);
+  const nextWorkingDay = (iso) => {
+    let day = iso;
+    for (let i = 0; i < 30 && isOff(day); i++) day = shiftIsoDate(day, 1);
+    return day;
+  };
+  const lastWorkingDayBefore = (iso) => {
+    let day = shiftIsoDate(iso, -1);
+    for (let i = 0; i < 30 && isOff(day); i++) day = shiftIsoDate(day, -1);
+    return day;
+  };
+
+  let uidCounter = 1;
+  const resources = new Map();
+  const uidByKey = new Map();
+  const rows = [];
+
+  // Summary tasks for sections, then leaf tasks underneath
+  const sectionOrder = [];
+  const bySection = new Map();
+  for (const t of tasks) {
+    const section = t.section || "";
+    if (!bySection.has(section)) {
+      bySection.set(section, []);
+      sectionOrder.push(section);
+    }
+    bySection.get(section).push(t);
+  }
+
+  for (const section of sectionOrder) {
+    const children = bySection.get(section);
+    let summary = null;
+    if (section) {
+      summary = { uid: uidCounter++, name: section, summary: true, level: 1, start: "", finish: "" };
+      rows.push(summary);
+    }
+    for (const t of children) {
+      const rawStart = t.startDate.split(" ")[0];
+      const start = rawStart ? nextWorkingDay(rawStart) : "";
+      const end = t.computedEnd.split(" ")[0];
+      const row = {
+        uid: uidCounter++,
+        name: t.label,
+        summary: false,
+        level: section ? 2 : 1,
+        task: t,
+        start,
+        // MS Project finishes are inclusive (last working day, end of day)
+        finish: t.isMilestone || !end || end <= start ? start : lastWorkingDayBefore(end),
+        workDays: t.isMilestone ? 0 : Math.max(1, Math.round(t.durationDays || 0) || (start && end ? countWeekdays(start, lastWorkingDayBefore(end)) : 1)),
+      };
+      rows.push(row);
+      if (t.idToken) uidByKey.set(t.idToken.toLowerCase(), row.uid);
+      if (t.label && !uidByKey.has(t.label.toLowerCase())) uidByKey.set(t.label.toLowerCase(), row.uid);
+      if (summary && start) {
+        if (!summary.start || start < summary.start) summary.start = start;
+        if (!summary.finish || row.finish > summary.finish) summary.finish = row.finish;
+      }
+      for (const name of (t.assignee || "").split(",").map((n) => n.trim()).filter(Boolean)) {
+        if (!resources.has(name)) resources.set(name, resources.size + 1);
+      }
+    }
+  }
+
+  const projectStart = rows.reduce((min, r) => (r.start && (!min || r.start < min) ? r.start : min), "");
+  const projectTitle = title || directives.title || "Project";
+  const out = [];
+  out.push('<?xml version="1.0" encoding="UTF-8" standalone="yes"?>');
+  out.push(`<Project xmlns="${MSPDI_NAMESPACE}">`);
+  out.push(`  <SaveVersion>14</SaveVersion>`);
+  out.push(`  <Name>${escapeXml(projectTitle)}.xml</Name>`);
+  out.push(`  <Title>${escapeXml(projectTitle)}</Title>`);
+  if (projectStart) out.push(`  <StartDate>${projectStart}T08:00:00</StartDate>`);
+  out.push(`  <MinutesPerDay>${HOURS_PER_DAY * 60}</MinutesPerDay>`);
+  out.push(`  <MinutesPerWeek>${HOURS_PER_DAY * 60 * 5}</MinutesPerWeek>`);
+  out.push("  <Tasks>");
+
+  rows.forEach((row, index) => {
+    out.push("    <Task>");
+    out.push(`      <UID>${row.uid}</UID>`);
+    out.push(`      <ID>${index + 1}</ID>`);
+    out.push(`      <Name>${escapeXml(row.name)}</Name>`);
+    out.push(`      <OutlineLevel>${row.level}</OutlineLevel>`);
+    out.push(`      <Summary>${row.summary ? 1 : 0}</Summary>`);
+    if (row.start) out.push(`      <Start>${row.start}T08:00:00</Start>`);
+    if (row.finish) out.push(`      <Finish>${row.finish}T${row.task?.isMilestone ? "08:00:00" : "17:00:00"}</Finish>`);
+    if (!row.summary) {
+      const t = row.task;
+      const percent = (t.statusTokens || []).includes("done") ? 100 : t.progress || 0;
+      out.push(`      <Duration>PT${row.workDays * HOURS_PER_DAY}H0M0S</Duration>`);
+      out.push("      <DurationFormat>7</DurationFormat>");
+      out.push(`      <Milestone>${t.isMilestone ? 1 : 0}</Milestone>`);
+      out.push(`      <PercentComplete>${percent}</PercentComplete>`);
+      if (t.notes) out.push(`      <Notes>${escapeXml(t.notes)}</Notes>`);
+      if (t.link) out.push(`      <HyperlinkAddress>${escapeXml(t.link)}</HyperlinkAddress>`);
+      for (const link of getTaskDependencies(t)) {
+        const predUid = uidByKey.get(link.ref.toLowerCase());
+        if (!predUid) continue;
+        // Whole-day lags are working days (8h each); anything finer stays in hours
+        const lagDays = link.lagMs / DAY_MS;
+        const wholeDays = Number.isInteger(lagDays);
+        const lagHours = wholeDays ? lagDays * HOURS_PER_DAY : link.lagMs / HOUR_MS;
+        out.push("      <PredecessorLink>");
+        out.push(`        <PredecessorUID>${predUid}</PredecessorUID>`);
+        out.push(`        <Type>${LINK_TYPE_CODES[link.type]}</Type>`);
+        out.push(`        <LinkLag>${Math.round(lagHours * LAG_UNITS_PER_HOUR)}</LinkLag>`);
+        out.push(`        <LagFormat>${wholeDays ? LAG_FORMAT_DAYS : LAG_FORMAT_HOURS}</LagFormat>`);
+        out.push("      </PredecessorLink>");
+      }
+    }
+    out.push("    </Task>");
+  });
+  out.push("  </Tasks>");
+
+  out.push("  <Resources>");
+  for (const [name, uid] of resources) {
+    out.push("    <Resource>");
+    out.push(`      <UID>${uid}</UID>`);
+    out.push(`      <ID>${uid}</ID>`);
+    out.push(`      <Name>${escapeXml(name)}</Name>`);
+    out.push("      <Type>1</Type>");
+    out.push("    </Resource>");
+  }
+  out.push("  </Resources>");
+
+  out.push("  <Assignments>");
+  let assignmentUid = 1;
+  for (const row of rows) {
+    if (row.summary || !row.task.assignee) continue;
+    for (const name of row.task.assignee.split(",").map((n) => n.trim()).filter(Boolean)) {
+      out.push("    <Assignment>");
+      out.push(`      <UID>${assignmentUid++}</UID>`);
+      out.push(`      <TaskUID>${row.uid}</TaskUID>`);
+      out.push(`      <ResourceUID>${resources.get(name)}</ResourceUID>`);
+      out.push(`      <Units>${(row.task.allocation || 100) / 100}</Units>`);
+      out.push("    </Assignment>");
+    }
+  }
+  out.push("  </Assignments>");
+  out.push("</Project>");
+
+  return out.join("\n") + "\n";
+}